@@ -0,0 +1,38 @@
+/**
+ * Configuration des langues du contenu
+ *
+ * Responsabilités:
+ * - Lister les langues dans lesquelles les œuvres peuvent être traduites
+ * - Définir la chaîne de repli lorsqu'une traduction manque
+ */
+
+// Langue du contenu de base (champs title, description et audioGuide des œuvres)
+export const DEFAULT_LOCALE = 'fr';
+
+// fr: français, en: anglais, wo: wolof, ar: arabe
+export const CONTENT_LOCALES = ['fr', 'en', 'wo', 'ar'];
+
+// Langues stockées comme traductions (toutes sauf la langue de base)
+export const TRANSLATION_LOCALES = CONTENT_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+/**
+ * Langues essayées, dans l'ordre, lorsqu'un texte manque dans la langue demandée
+ * La langue de base termine toujours la chaîne
+ */
+export const LOCALE_FALLBACKS = {
+  fr: [],
+  en: [],
+  wo: ['fr'],
+  ar: ['en']
+};
+
+/**
+ * Chaîne de repli complète d'une langue (ex: ar → en → fr)
+ */
+export const getLocaleChain = (locale) => {
+  const chain = CONTENT_LOCALES.includes(locale)
+    ? [locale, ...LOCALE_FALLBACKS[locale], DEFAULT_LOCALE]
+    : [DEFAULT_LOCALE];
+
+  return [...new Set(chain)];
+};
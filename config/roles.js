@@ -0,0 +1,67 @@
+/**
+ * Configuration des rôles et permissions (RBAC)
+ *
+ * Responsabilités:
+ * - Lister les permissions vérifiées par les routes
+ * - Définir chaque rôle comme un ensemble de permissions
+ * - Indiquer si un utilisateur dispose d'une permission
+ */
+
+/**
+ * Permissions disponibles ("ressource:action")
+ */
+export const PERMISSIONS = {
+  ARTWORKS_WRITE: 'artworks:write',
+  TICKETS_WRITE: 'tickets:write',
+  PURCHASES_READ: 'purchases:read',
+  PURCHASES_REFUND: 'purchases:refund',
+  PAYMENTS_CONFIRM: 'payments:confirm',
+  ADMISSIONS_SCAN: 'admissions:scan',
+  ADMISSIONS_REVOKE: 'admissions:revoke',
+  PROMO_CODES_WRITE: 'promo-codes:write',
+  TAX_RULES_WRITE: 'tax-rules:write',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+/**
+ * Permissions de chaque rôle
+ * - user: visiteur (uniquement ses propres achats)
+ * - agent: agent d'accueil, valide les billets aux entrées
+ * - curator: conservateur, gère les œuvres mais pas les ventes
+ * - cashier: caissier, vend au guichet et encaisse les paiements
+ * - admin: toutes les permissions
+ */
+export const ROLE_PERMISSIONS = {
+  user: [],
+  agent: [
+    PERMISSIONS.ADMISSIONS_SCAN
+  ],
+  curator: [
+    PERMISSIONS.ARTWORKS_WRITE
+  ],
+  cashier: [
+    PERMISSIONS.PURCHASES_READ,
+    PERMISSIONS.PAYMENTS_CONFIRM
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Rôles du personnel (au moins une permission): connexion via /api/auth/admin/login
+export const STAFF_ROLES = ROLES.filter(role => ROLE_PERMISSIONS[role].length > 0);
+
+/**
+ * Permissions d'un rôle (aucune pour un rôle inconnu)
+ */
+export const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Vérifier qu'un utilisateur dispose d'une permission
+ */
+export const hasPermission = (user, permission) => {
+  return Boolean(user) && getRolePermissions(user.role).includes(permission);
+};
@@ -2,14 +2,19 @@
  * Middleware d'authentification pour Express
  * 
  * Responsabilités:
- * - Vérifier et valider les tokens JWT
+ * - Vérifier et valider les tokens JWT (liés à une session active)
  * - Protéger les routes sensibles
- * - Gérer les rôles utilisateur (user/admin)
+ * - Vérifier les permissions des rôles (RBAC) déclarées par les routes
+ * - Exiger une adresse email vérifiée selon la politique configurée
  * - Fournir des informations utilisateur aux routes
+ * - Renvoyer des erreurs codées et traduites dans la langue de la requête
  */
 
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { ROLES, hasPermission } from '../config/roles.js';
+import { apiError } from '../services/i18n/index.js';
 
 /**
  * Middleware pour vérifier l'authentification
@@ -21,109 +26,93 @@ export const authenticate = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token d\'accès requis'
-      });
+      return res.status(401).json(apiError(req, 'AUTH_TOKEN_REQUIRED'));
     }
     
     // Extraire le token
     const token = authHeader.substring(7);
     
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token d\'accès manquant'
-      });
+      return res.status(401).json(apiError(req, 'AUTH_TOKEN_MISSING'));
     }
     
     // Vérifier et décoder le token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Les tokens à usage particulier (vérification d'email) ne donnent pas accès à l'API
+    if (decoded.type || !decoded.sid) {
+      return res.status(401).json(apiError(req, 'TOKEN_INVALID'));
+    }
+    
     // Récupérer l'utilisateur depuis la base de données
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Utilisateur non trouvé'
-      });
+      return res.status(401).json(apiError(req, 'USER_NOT_FOUND'));
     }
     
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Compte désactivé'
-      });
+      return res.status(401).json(apiError(req, 'ACCOUNT_DISABLED'));
     }
     
-    // Ajouter l'utilisateur à la requête
+    // Token émis avant un changement de mot de passe, de rôle ou d'activation, ou session fermée
+    if (!user.acceptsToken(decoded) || !(await Session.isActiveFor(decoded.sid, user._id))) {
+      return res.status(401).json(apiError(req, 'SESSION_EXPIRED'));
+    }
+    
+    // Ajouter l'utilisateur et sa session à la requête
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
     
   } catch (error) {
     console.error('Erreur d\'authentification:', error);
     
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token invalide'
-      });
+      return res.status(401).json(apiError(req, 'TOKEN_INVALID'));
     }
     
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expiré'
-      });
+      return res.status(401).json(apiError(req, 'TOKEN_EXPIRED'));
     }
     
-    return res.status(500).json({
-      success: false,
-      message: 'Erreur d\'authentification'
-    });
+    return res.status(500).json(apiError(req, 'AUTHENTICATION_ERROR'));
   }
 };
 
 /**
- * Middleware pour vérifier le rôle administrateur
+ * Middleware pour exiger une ou plusieurs permissions (toutes requises)
  * Doit être utilisé après le middleware authenticate
+ * Exemple: requirePermission(PERMISSIONS.ARTWORKS_WRITE)
  */
-export const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentification requise'
-    });
-  }
-  
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Accès refusé. Droits administrateur requis.'
-    });
-  }
-  
-  next();
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json(apiError(req, 'AUTHENTICATION_REQUIRED'));
+    }
+    
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    
+    if (missing.length > 0) {
+      return res.status(403).json(apiError(req, 'PERMISSION_DENIED', { permissions: missing.join(', ') }));
+    }
+    
+    next();
+  };
 };
 
 /**
- * Middleware pour vérifier le rôle utilisateur (user ou admin)
+ * Middleware pour vérifier que le compte a un rôle connu
+ * (accès à ses propres ressources: achats, paiements...)
  * Doit être utilisé après le middleware authenticate
  */
 export const requireUser = (req, res, next) => {
   if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentification requise'
-    });
+    return res.status(401).json(apiError(req, 'AUTHENTICATION_REQUIRED'));
   }
   
-  if (!['user', 'admin'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Accès refusé. Rôle utilisateur requis.'
-    });
+  if (!ROLES.includes(req.user.role)) {
+    return res.status(403).json(apiError(req, 'USER_ROLE_REQUIRED'));
   }
   
   next();
@@ -142,10 +131,12 @@ export const optionalAuth = async (req, res, next) => {
       
       if (token) {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const user = decoded.type || !decoded.sid ? null : await User.findById(decoded.id).select('-password');
         
-        if (user && user.isActive) {
+        if (user && user.isActive && user.acceptsToken(decoded) &&
+            await Session.isActiveFor(decoded.sid, user._id)) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       }
     }
@@ -157,21 +148,39 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware pour exiger une adresse email vérifiée
+ * Désactivable avec REQUIRE_EMAIL_VERIFICATION=false
+ * Doit être utilisé après le middleware authenticate
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+    return next();
+  }
+  
+  if (!req.user) {
+    return res.status(401).json(apiError(req, 'AUTHENTICATION_REQUIRED'));
+  }
+  
+  if (!req.user.emailVerified) {
+    return res.status(403).json(apiError(req, 'EMAIL_NOT_VERIFIED'));
+  }
+  
+  next();
+};
+
 /**
  * Middleware pour vérifier la propriété de la ressource
- * Vérifie que l'utilisateur est le propriétaire de la ressource ou un admin
+ * Vérifie que l'utilisateur est le propriétaire de la ressource ou dispose de la permission donnée
  */
-export const requireOwnershipOrAdmin = (resourceUserIdField = 'userId') => {
+export const requireOwnershipOrPermission = (permission, resourceUserIdField = 'userId') => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentification requise'
-      });
+      return res.status(401).json(apiError(req, 'AUTHENTICATION_REQUIRED'));
     }
     
-    // Les admins peuvent accéder à toutes les ressources
-    if (req.user.role === 'admin') {
+    // Le personnel autorisé peut accéder à toutes les ressources
+    if (hasPermission(req.user, permission)) {
       return next();
     }
     
@@ -179,17 +188,11 @@ export const requireOwnershipOrAdmin = (resourceUserIdField = 'userId') => {
     const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
     
     if (!resourceUserId) {
-      return res.status(400).json({
-        success: false,
-        message: 'ID utilisateur de la ressource requis'
-      });
+      return res.status(400).json(apiError(req, 'RESOURCE_OWNER_REQUIRED'));
     }
     
     if (req.user._id.toString() !== resourceUserId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Accès refusé. Vous ne pouvez accéder qu\'à vos propres ressources.'
-      });
+      return res.status(403).json(apiError(req, 'OWN_RESOURCES_ONLY'));
     }
     
     next();
@@ -197,23 +200,39 @@ export const requireOwnershipOrAdmin = (resourceUserIdField = 'userId') => {
 };
 
 /**
- * Fonction utilitaire pour générer un token JWT
+ * Fonction utilitaire pour générer un token d'accès JWT de courte durée
+ * Le token est lié à sa session et à la version des tokens de l'utilisateur:
+ * il cesse de fonctionner dès que l'une ou l'autre change
  */
-export const generateToken = (userId) => {
+export const generateToken = (userId, sessionId, tokenVersion = 0) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId, tv: tokenVersion },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
 /**
- * Fonction utilitaire pour générer un refresh token
+ * Fonction utilitaire pour générer le token signé du lien de vérification d'email
+ * L'email est inclus: le lien ne vaut que pour l'adresse à laquelle il a été envoyé
  */
-export const generateRefreshToken = (userId) => {
+export const generateEmailVerificationToken = (user) => {
   return jwt.sign(
-    { id: userId, type: 'refresh' },
+    { id: user._id, email: user.email, type: 'email_verification' },
     process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: `${parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 24}h` }
   );
 };
+
+/**
+ * Fonction utilitaire pour vérifier un token de vérification d'email
+ * Retourne { id, email } ou null si le token est invalide ou expiré
+ */
+export const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'email_verification' ? { id: decoded.id, email: decoded.email } : null;
+  } catch (error) {
+    return null;
+  }
+};
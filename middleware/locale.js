@@ -0,0 +1,25 @@
+/**
+ * Middleware de négociation de la langue de la requête
+ *
+ * Responsabilités:
+ * - Choisir la langue à partir du paramètre ?lang= ou de l'en-tête Accept-Language
+ * - Exposer la langue retenue dans req.locale (contenus des œuvres, messages de l'API)
+ */
+
+import { CONTENT_LOCALES, DEFAULT_LOCALE } from '../config/locales.js';
+
+/**
+ * Déterminer la langue demandée par le visiteur
+ * ?lang= est prioritaire; une langue non prise en charge est ignorée
+ */
+export const negotiateLocale = (req, res, next) => {
+  const { lang } = req.query;
+
+  req.locale = CONTENT_LOCALES.includes(lang)
+    ? lang
+    : req.acceptsLanguages(...CONTENT_LOCALES) || DEFAULT_LOCALE;
+
+  // La réponse dépend de l'en-tête Accept-Language (caches intermédiaires)
+  res.vary('Accept-Language');
+  next();
+};
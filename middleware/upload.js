@@ -0,0 +1,75 @@
+/**
+ * Middleware d'envoi de fichiers (multipart/form-data) pour Express
+ *
+ * Responsabilités:
+ * - Recevoir un fichier en mémoire avec multer
+ * - Limiter la taille et le nombre de fichiers envoyés
+ * - Traduire les erreurs de multer en réponses JSON en français
+ */
+
+import multer from 'multer';
+
+/**
+ * Messages des erreurs de multer
+ */
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: 'Le fichier est trop volumineux',
+  LIMIT_FILE_COUNT: 'Un seul fichier peut être envoyé',
+  LIMIT_UNEXPECTED_FILE: 'Champ de fichier inattendu',
+  LIMIT_FIELD_COUNT: 'Trop de champs dans le formulaire',
+  LIMIT_PART_COUNT: 'Trop de parties dans le formulaire'
+};
+
+/**
+ * Taille maximale d'une image envoyée (IMAGE_MAX_SIZE_MB, 10 par défaut)
+ */
+const getMaxImageSize = () => {
+  return (parseFloat(process.env.IMAGE_MAX_SIZE_MB) || 10) * 1024 * 1024;
+};
+
+/**
+ * Taille maximale d'un guide audio envoyé (AUDIO_MAX_SIZE_MB, 50 par défaut)
+ */
+const getMaxAudioSize = () => {
+  return (parseFloat(process.env.AUDIO_MAX_SIZE_MB) || 50) * 1024 * 1024;
+};
+
+/**
+ * Recevoir un fichier unique dans req.file (buffer en mémoire)
+ * La taille maximale est lue à chaque requête pour suivre la configuration
+ */
+export const uploadSingleFile = (fieldName, getMaxSize) => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: getMaxSize(),
+      files: 1,
+      fields: 20
+    }
+  }).single(fieldName);
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `${UPLOAD_ERROR_MESSAGES.LIMIT_FILE_SIZE} (maximum ${Number((getMaxSize() / (1024 * 1024)).toFixed(1))} Mo)`
+          : UPLOAD_ERROR_MESSAGES[error.code] || 'Envoi du fichier invalide'
+      });
+    }
+
+    next(error);
+  });
+};
+
+/**
+ * Recevoir une image d'œuvre (champ "image")
+ */
+export const uploadArtworkImage = uploadSingleFile('image', getMaxImageSize);
+
+/**
+ * Recevoir le fichier d'un guide audio (champ "audio")
+ */
+export const uploadAudioGuide = uploadSingleFile('audio', getMaxAudioSize);
@@ -4,27 +4,36 @@
  * Responsabilités:
  * - Valider les données d'entrée avec express-validator
  * - Gérer les erreurs de validation
- * - Fournir des messages d'erreur en français
+ * - Identifier chaque erreur par un code stable, traduit dans la langue de la requête
+ *   (catalogues dans services/i18n/messages)
  */
 
 import { body, param, query, validationResult } from 'express-validator';
+import { ROLES } from '../config/roles.js';
+import { CONTENT_LOCALES, TRANSLATION_LOCALES } from '../config/locales.js';
+import { apiError, translate } from '../services/i18n/index.js';
 
 /**
  * Middleware pour gérer les erreurs de validation
+ * withMessage reçoit un code de message, ou { code, params } pour un message paramétré
  */
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   
   if (!errors.isEmpty()) {
-    const formattedErrors = errors.array().map(error => ({
-      field: error.path,
-      message: error.msg,
-      value: error.value
-    }));
+    const formattedErrors = errors.array().map(error => {
+      const { code, params } = typeof error.msg === 'object' ? error.msg : { code: error.msg };
+      
+      return {
+        field: error.path,
+        code,
+        message: translate(req.locale, code, params),
+        value: error.value
+      };
+    });
     
     return res.status(400).json({
-      success: false,
-      message: 'Données de validation invalides',
+      ...apiError(req, 'VALIDATION_FAILED'),
       errors: formattedErrors
     });
   }
@@ -38,12 +47,12 @@ export const handleValidationErrors = (req, res, next) => {
 export const validateUserLogin = [
   body('email')
     .isEmail()
-    .withMessage('Veuillez fournir un email valide')
+    .withMessage('EMAIL_INVALID')
     .normalizeEmail(),
   
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Le mot de passe doit contenir au moins 6 caractères'),
+    .withMessage('PASSWORD_TOO_SHORT'),
   
   handleValidationErrors
 ];
@@ -55,32 +64,89 @@ export const validateUserRegister = [
   body('firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('Le prénom doit contenir entre 2 et 50 caractères')
+    .withMessage('FIRST_NAME_LENGTH')
     .matches(/^[a-zA-ZÀ-ÿ\s]+$/)
-    .withMessage('Le prénom ne peut contenir que des lettres'),
+    .withMessage('FIRST_NAME_INVALID'),
   
   body('lastName')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('Le nom doit contenir entre 2 et 50 caractères')
+    .withMessage('LAST_NAME_LENGTH')
     .matches(/^[a-zA-ZÀ-ÿ\s]+$/)
-    .withMessage('Le nom ne peut contenir que des lettres'),
+    .withMessage('LAST_NAME_INVALID'),
   
   body('email')
     .isEmail()
-    .withMessage('Veuillez fournir un email valide')
+    .withMessage('EMAIL_INVALID')
     .normalizeEmail(),
   
   body('password')
     .isLength({ min: 6, max: 128 })
-    .withMessage('Le mot de passe doit contenir entre 6 et 128 caractères')
+    .withMessage('PASSWORD_LENGTH')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre'),
+    .withMessage('PASSWORD_TOO_WEAK'),
   
   body('phone')
     .optional()
     .matches(/^[\+]?[0-9\s\-\(\)]{10,15}$/)
-    .withMessage('Veuillez fournir un numéro de téléphone valide'),
+    .withMessage('PHONE_INVALID'),
+  
+  body('locale')
+    .optional()
+    .isIn(['fr', 'en'])
+    .withMessage('USER_LOCALE_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la demande de réinitialisation du mot de passe
+ */
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('EMAIL_INVALID')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la réinitialisation du mot de passe
+ */
+export const validateResetPassword = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('RESET_TOKEN_INVALID'),
+  
+  body('newPassword')
+    .isLength({ min: 6, max: 128 })
+    .withMessage('PASSWORD_LENGTH')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('PASSWORD_TOO_WEAK'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la vérification de l'adresse email
+ */
+export const validateEmailVerification = [
+  body('token')
+    .isJWT()
+    .withMessage('VERIFICATION_TOKEN_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour le rafraîchissement de session
+ */
+export const validateRefreshToken = [
+  body('refreshToken')
+    .matches(/^[a-f0-9]{24}\.[a-f0-9]{64}$/)
+    .withMessage('REFRESH_TOKEN_INVALID'),
   
   handleValidationErrors
 ];
@@ -91,12 +157,12 @@ export const validateUserRegister = [
 export const validateAdminLogin = [
   body('email')
     .isEmail()
-    .withMessage('Veuillez fournir un email valide')
+    .withMessage('EMAIL_INVALID')
     .normalizeEmail(),
   
   body('password')
     .notEmpty()
-    .withMessage('Le mot de passe est requis'),
+    .withMessage('PASSWORD_REQUIRED'),
   
   handleValidationErrors
 ];
@@ -108,43 +174,113 @@ export const validateArtwork = [
   body('title')
     .trim()
     .isLength({ min: 2, max: 200 })
-    .withMessage('Le titre doit contenir entre 2 et 200 caractères'),
+    .withMessage('TITLE_LENGTH'),
   
   body('artist')
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Le nom de l\'artiste doit contenir entre 2 et 100 caractères'),
+    .withMessage('ARTIST_LENGTH'),
   
   body('year')
     .isInt({ min: -5000, max: new Date().getFullYear() + 1 })
-    .withMessage('L\'année doit être réaliste'),
+    .withMessage('YEAR_INVALID'),
   
   body('description')
     .trim()
     .isLength({ min: 10, max: 2000 })
-    .withMessage('La description doit contenir entre 10 et 2000 caractères'),
+    .withMessage('DESCRIPTION_LENGTH'),
   
   body('image')
     .notEmpty()
-    .withMessage('L\'image est requise'),
+    .withMessage('IMAGE_REQUIRED'),
   
   body('category')
     .isIn(['Peinture', 'Sculpture', 'Photographie', 'Art numérique', 'Installation', 'Autre'])
-    .withMessage('La catégorie doit être une des valeurs autorisées'),
+    .withMessage('CATEGORY_INVALID'),
   
   body('room')
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Le nom de la salle doit contenir entre 2 et 100 caractères'),
+    .withMessage('ROOM_LENGTH'),
   
   body('price')
     .isFloat({ min: 0, max: 10000 })
-    .withMessage('Le prix doit être entre 0 et 10000 FCFA'),
+    .withMessage('ARTWORK_PRICE_INVALID'),
   
   body('audioGuide')
     .optional()
     .isURL()
-    .withMessage('L\'URL du guide audio doit être valide'),
+    .withMessage('AUDIO_GUIDE_URL_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la traduction d'une œuvre
+ */
+export const validateArtworkTranslation = [
+  param('locale')
+    .isIn(TRANSLATION_LOCALES)
+    .withMessage({ code: 'LOCALE_INVALID', params: { values: TRANSLATION_LOCALES.join(', ') } }),
+  
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('TITLE_LENGTH'),
+  
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('DESCRIPTION_LENGTH'),
+  
+  body('audioGuide')
+    .optional({ values: 'falsy' })
+    .isURL()
+    .withMessage('AUDIO_GUIDE_URL_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la langue d'une traduction (paramètre d'URL)
+ */
+export const validateTranslationLocale = [
+  param('locale')
+    .isIn(TRANSLATION_LOCALES)
+    .withMessage({ code: 'LOCALE_INVALID', params: { values: TRANSLATION_LOCALES.join(', ') } }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la langue d'un guide audio hébergé (fr, en, wo, ar)
+ */
+export const validateAudioGuideLocale = [
+  param('locale')
+    .isIn(CONTENT_LOCALES)
+    .withMessage({ code: 'LOCALE_INVALID', params: { values: CONTENT_LOCALES.join(', ') } }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour le rapport des traductions manquantes
+ */
+export const validateMissingTranslationsQuery = [
+  query('lang')
+    .optional()
+    .isIn(TRANSLATION_LOCALES)
+    .withMessage({ code: 'LOCALE_INVALID', params: { values: TRANSLATION_LOCALES.join(', ') } }),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('PAGE_INVALID'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('LIMIT_INVALID'),
   
   handleValidationErrors
 ];
@@ -156,30 +292,83 @@ export const validateTicket = [
   body('type')
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Le type de billet doit contenir entre 2 et 100 caractères'),
+    .withMessage('TICKET_TYPE_LENGTH'),
   
   body('description')
     .trim()
     .isLength({ min: 10, max: 500 })
-    .withMessage('La description doit contenir entre 10 et 500 caractères'),
+    .withMessage('TICKET_DESCRIPTION_LENGTH'),
   
   body('price')
     .isFloat({ min: 0, max: 50000 })
-    .withMessage('Le prix doit être entre 0 et 50000 FCFA'),
+    .withMessage('TICKET_PRICE_INVALID'),
   
   body('category')
     .isIn(['Entrée', 'Visite guidée', 'Événement', 'Abonnement', 'Groupe', 'Réduction'])
-    .withMessage('La catégorie doit être une des valeurs autorisées'),
+    .withMessage('CATEGORY_INVALID'),
   
   body('stock')
     .optional()
     .isInt({ min: -1 })
-    .withMessage('Le stock doit être un entier positif ou -1 pour illimité'),
+    .withMessage('STOCK_INVALID'),
   
   body('validityDays')
     .optional()
     .isInt({ min: 1, max: 365 })
-    .withMessage('La validité doit être entre 1 et 365 jours'),
+    .withMessage('VALIDITY_DAYS_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour les créneaux horaires d'un billet
+ */
+export const validateTicketTimeSlots = [
+  body('enabled')
+    .isBoolean()
+    .withMessage('ENABLED_INVALID'),
+  
+  body('slotDurationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('SLOT_DURATION_INVALID'),
+  
+  body('capacityPerSlot')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('SLOT_CAPACITY_INVALID'),
+  
+  body('openingHours')
+    .optional()
+    .isArray()
+    .withMessage('OPENING_HOURS_INVALID'),
+  
+  body('openingHours.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('WEEKDAY_INVALID'),
+  
+  body('openingHours.*.open')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('OPENING_TIME_INVALID'),
+  
+  body('openingHours.*.close')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('CLOSING_TIME_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la disponibilité des créneaux
+ */
+export const validateSlotAvailabilityQuery = [
+  query('from')
+    .isISO8601()
+    .withMessage('START_DATE_INVALID'),
+  
+  query('to')
+    .isISO8601()
+    .withMessage('END_DATE_INVALID'),
   
   handleValidationErrors
 ];
@@ -191,38 +380,456 @@ export const validatePurchase = [
   body('customer.firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('Le prénom doit contenir entre 2 et 50 caractères'),
+    .withMessage('FIRST_NAME_LENGTH'),
   
   body('customer.lastName')
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('Le nom doit contenir entre 2 et 50 caractères'),
+    .withMessage('LAST_NAME_LENGTH'),
   
   body('customer.email')
     .isEmail()
-    .withMessage('Veuillez fournir un email valide')
+    .withMessage('EMAIL_INVALID')
     .normalizeEmail(),
   
   body('customer.phone')
     .optional()
     .matches(/^[\+]?[0-9\s\-\(\)]{10,15}$/)
-    .withMessage('Veuillez fournir un numéro de téléphone valide'),
+    .withMessage('PHONE_INVALID'),
   
   body('items')
     .isArray({ min: 1 })
-    .withMessage('Au moins un article est requis'),
+    .withMessage('ITEMS_REQUIRED'),
   
   body('items.*.ticketId')
     .isMongoId()
-    .withMessage('ID de billet invalide'),
+    .withMessage('TICKET_ID_INVALID'),
   
   body('items.*.quantity')
     .isInt({ min: 1, max: 20 })
-    .withMessage('La quantité doit être entre 1 et 20'),
+    .withMessage('QUANTITY_INVALID')
+    .toInt(),
+  
+  body('items.*.slotStart')
+    .optional()
+    .isISO8601()
+    .withMessage('SLOT_START_INVALID'),
+  
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('PROMO_CODE_LENGTH'),
   
   body('paymentMethod')
     .isIn(['cash', 'card', 'mobile_money', 'bank_transfer'])
-    .withMessage('Méthode de paiement invalide'),
+    .withMessage('PAYMENT_METHOD_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour les intentions de paiement mobile money
+ */
+export const validateMobileMoneyIntent = [
+  body('purchaseId')
+    .isMongoId()
+    .withMessage('PURCHASE_ID_INVALID'),
+  
+  body('operator')
+    .isIn(['wave', 'orange_money'])
+    .withMessage('MOBILE_MONEY_PROVIDER_INVALID'),
+  
+  body('phone')
+    .optional()
+    .matches(/^[\+]?[0-9\s\-\(\)]{8,20}$/)
+    .withMessage('PHONE_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la validation d'un billet par QR code
+ * Un QR code non textuel (ex: opérateur MongoDB) est refusé
+ */
+export const validateQrCode = [
+  body('qrCode')
+    .isString()
+    .withMessage('QR_CODE_INVALID')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('QR_CODE_REQUIRED'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour les scans d'entrée
+ */
+export const validateAdmissionScan = [
+  body('qrCode')
+    .isString()
+    .withMessage('QR_CODE_INVALID')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('QR_CODE_REQUIRED'),
+  
+  body('gate')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('GATE_LENGTH'),
+  
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('PARTY_SIZE_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour l'instantané des scanners hors ligne
+ */
+export const validateSyncSnapshot = [
+  query('deviceId')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('DEVICE_ID_LENGTH'),
+  
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('DATE_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour l'envoi des scans hors ligne
+ */
+export const validateSyncEvents = [
+  body('deviceId')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('DEVICE_ID_LENGTH'),
+  
+  body('events')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('SCAN_BATCH_SIZE_INVALID'),
+  
+  body('events.*.eventId')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('EVENT_ID_INVALID'),
+  
+  body('events.*.qrCode')
+    .isString()
+    .withMessage('QR_CODE_INVALID')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('QR_CODE_REQUIRED'),
+  
+  body('events.*.gate')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('GATE_LENGTH'),
+  
+  body('events.*.count')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('PARTY_SIZE_INVALID'),
+  
+  body('events.*.scannedAt')
+    .isISO8601()
+    .withMessage('SCANNED_AT_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour les codes promo
+ */
+export const validatePromoCode = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('PROMO_CODE_FORMAT_INVALID'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('PROMO_DESCRIPTION_TOO_LONG'),
+  
+  body('type')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('DISCOUNT_TYPE_INVALID'),
+  
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('DISCOUNT_VALUE_INVALID')
+    .custom((value, { req }) => req.body.type !== 'percentage' || Number(value) <= 100)
+    .withMessage('PERCENTAGE_TOO_HIGH'),
+  
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('MAX_DISCOUNT_INVALID'),
+  
+  body('minOrderAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('MIN_ORDER_AMOUNT_INVALID'),
+  
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('START_DATE_INVALID'),
+  
+  body('validUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('END_DATE_INVALID'),
+  
+  body('usageLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('USAGE_LIMIT_INVALID'),
+  
+  body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('PER_USER_LIMIT_INVALID'),
+  
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('CATEGORIES_INVALID'),
+  
+  body('categories.*')
+    .isIn(['Entrée', 'Visite guidée', 'Événement', 'Abonnement', 'Groupe', 'Réduction'])
+    .withMessage('CATEGORY_INVALID'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('IS_ACTIVE_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour les règles de taxe
+ */
+export const validateTaxRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('TAX_RULE_NAME_LENGTH'),
+  
+  body('category')
+    .optional({ nullable: true })
+    .isIn(['Entrée', 'Visite guidée', 'Événement', 'Abonnement', 'Groupe', 'Réduction'])
+    .withMessage('CATEGORY_INVALID'),
+  
+  body('rate')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('TAX_RATE_INVALID'),
+  
+  body('pricing')
+    .optional()
+    .isIn(['exclusive', 'inclusive'])
+    .withMessage('PRICE_MODE_INVALID'),
+  
+  body('effectiveFrom')
+    .isISO8601()
+    .withMessage('EFFECTIVE_FROM_INVALID'),
+  
+  body('effectiveUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('END_DATE_INVALID')
+    .custom((value, { req }) => value === null || new Date(value) > new Date(req.body.effectiveFrom))
+    .withMessage('EFFECTIVE_UNTIL_BEFORE_START'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('IS_ACTIVE_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour les remboursements
+ */
+export const validateRefund = [
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('REFUND_ITEMS_INVALID'),
+  
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('ITEM_ID_INVALID'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('REFUND_QUANTITY_INVALID')
+    .toInt(),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('REFUND_REASON_LENGTH'),
+  
+  body('providerReference')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('REFUND_REFERENCE_LENGTH'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour le traitement d'une anomalie de paiement mobile money
+ */
+export const validatePaymentReviewResolution = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage({ code: 'FIELD_TOO_LONG', params: { field: 'note', max: 500 } }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la recherche d'utilisateurs (Admin)
+ */
+export const validateUserSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('SEARCH_QUERY_LENGTH'),
+  
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage({ code: 'ROLE_INVALID', params: { values: ROLES.join(', ') } }),
+  
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('IS_ACTIVE_INVALID'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('PAGE_INVALID'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('LIMIT_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour le changement de rôle d'un utilisateur (Admin)
+ */
+export const validateUserRole = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage({ code: 'ROLE_INVALID', params: { values: ROLES.join(', ') } }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la légende et l'image principale d'une image d'œuvre
+ */
+export const validateArtworkImage = [
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('CAPTION_TOO_LONG'),
+  
+  body('isMain')
+    .optional()
+    .isBoolean()
+    .withMessage('IS_MAIN_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour l'ordre de la galerie d'une œuvre
+ */
+export const validateArtworkImageOrder = [
+  body('imageIds')
+    .isArray({ min: 1 })
+    .withMessage('IMAGE_IDS_REQUIRED'),
+  
+  body('imageIds.*')
+    .isMongoId()
+    .withMessage('IMAGE_ID_INVALID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Règles de validation pour la consultation du journal d'audit (Admin)
+ */
+export const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('ACTOR_ID_INVALID'),
+  
+  query('action')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('AUDIT_ACTION_LENGTH'),
+  
+  query('targetType')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('TARGET_TYPE_LENGTH'),
+  
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('TARGET_ID_INVALID'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('START_DATE_INVALID'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('END_DATE_INVALID'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('PAGE_INVALID'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('LIMIT_INVALID'),
   
   handleValidationErrors
 ];
@@ -233,7 +840,7 @@ export const validatePurchase = [
 export const validateObjectId = (paramName = 'id') => [
   param(paramName)
     .isMongoId()
-    .withMessage('ID invalide'),
+    .withMessage('ID_INVALID'),
   
   handleValidationErrors
 ];
@@ -246,23 +853,23 @@ export const validateSearchQuery = [
     .optional()
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('La requête de recherche doit contenir entre 2 et 100 caractères'),
+    .withMessage('SEARCH_QUERY_LENGTH'),
   
   query('page')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Le numéro de page doit être un entier positif'),
+    .withMessage('PAGE_INVALID'),
   
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('La limite doit être entre 1 et 100'),
+    .withMessage('LIMIT_INVALID'),
   
   query('category')
     .optional()
     .trim()
     .isLength({ min: 2, max: 50 })
-    .withMessage('La catégorie doit contenir entre 2 et 50 caractères'),
+    .withMessage('CATEGORY_FILTER_LENGTH'),
   
   handleValidationErrors
 ];
@@ -0,0 +1,138 @@
+/**
+ * Modèle admission pour MongoDB
+ *
+ * Responsabilités:
+ * - Enregistrer chaque scan d'un QR code d'achat à l'entrée
+ * - Tracer l'agent, la porte et l'heure du passage
+ * - Conserver les tentatives refusées (réutilisation, achat invalide)
+ * - Permettre l'annulation d'un scan erroné
+ * - Identifier les scans synchronisés depuis les scanners hors ligne
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma admission avec validation complète
+ */
+const admissionSchema = new mongoose.Schema({
+  // Achat scanné
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase',
+    required: [true, 'L\'achat est requis']
+  },
+
+  qrCode: {
+    type: String,
+    required: [true, 'Le QR code est requis'],
+    trim: true
+  },
+
+  // Nombre de visiteurs admis par ce scan
+  count: {
+    type: Number,
+    default: 1,
+    min: [1, 'Le nombre de visiteurs doit être d\'au moins 1'],
+    max: [20, 'Le nombre de visiteurs ne peut pas dépasser 20']
+  },
+
+  // Lieu et auteur du scan
+  gate: {
+    type: String,
+    required: [true, 'La porte d\'entrée est requise'],
+    trim: true,
+    maxlength: [50, 'Le nom de la porte ne peut pas dépasser 50 caractères']
+  },
+
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Origine du scan: en ligne ou synchronisé depuis un scanner hors ligne
+  source: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+
+  deviceId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Identifiant de l'événement attribué par le scanner (idempotence de la synchronisation)
+  deviceEventId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Résultat du scan
+  status: {
+    type: String,
+    enum: {
+      values: ['admitted', 'rejected', 'revoked'],
+      message: 'Le statut doit être une des valeurs autorisées'
+    },
+    default: 'admitted'
+  },
+
+  rejectionReason: {
+    type: String,
+    enum: ['over_use', 'not_confirmed', 'expired', 'not_yet_valid', 'outside_slot'],
+    default: null
+  },
+
+  // Annulation d'un scan erroné
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokeReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La raison ne peut pas dépasser 500 caractères']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+admissionSchema.index({ purchase: 1, scannedAt: -1 });
+admissionSchema.index({ gate: 1, scannedAt: -1 });
+admissionSchema.index({ status: 1 });
+admissionSchema.index(
+  { deviceId: 1, deviceEventId: 1 },
+  { unique: true, partialFilterExpression: { deviceEventId: { $type: 'string' } } }
+);
+
+/**
+ * Méthode statique pour obtenir l'historique des scans d'un achat
+ */
+admissionSchema.statics.getPurchaseHistory = function(purchaseId) {
+  return this.find({ purchase: purchaseId })
+    .populate('scannedBy', 'firstName lastName email')
+    .populate('revokedBy', 'firstName lastName email')
+    .sort({ scannedAt: -1 });
+};
+
+export default mongoose.model('Admission', admissionSchema);
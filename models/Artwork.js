@@ -4,11 +4,186 @@
  * Responsabilités:
  * - Définir le schéma des œuvres avec validation complète
  * - Gérer la génération et stockage des QR codes
+ * - Décrire la galerie d'images (déclinaisons, légendes, ordre)
+ * - Stocker les traductions et présenter l'œuvre dans la langue du visiteur
+ * - Décrire les guides audio hébergés (un fichier par langue, durée et débit)
  * - Valider les données d'œuvres
  * - Optimiser les requêtes avec des index
  */
 
 import mongoose from 'mongoose';
+import { CONTENT_LOCALES, DEFAULT_LOCALE, TRANSLATION_LOCALES, getLocaleChain } from '../config/locales.js';
+
+// Nombre maximal d'images dans la galerie d'une œuvre
+export const MAX_ARTWORK_IMAGES = 20;
+
+/**
+ * Schéma d'un fichier image stocké (original ou déclinaison)
+ */
+const imageFileSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+/**
+ * Schéma image de la galerie d'une œuvre
+ */
+const artworkImageSchema = new mongoose.Schema({
+  original: {
+    type: imageFileSchema,
+    required: true
+  },
+  
+  mimeType: {
+    type: String,
+    enum: ['image/jpeg', 'image/png', 'image/webp']
+  },
+  
+  // Déclinaisons générées à l'envoi
+  renditions: {
+    thumbnail: imageFileSchema,
+    medium: imageFileSchema,
+    large: imageFileSchema
+  },
+  
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La légende ne peut pas dépasser 300 caractères'],
+    default: ''
+  },
+  
+  // Ordre d'affichage dans la galerie (croissant)
+  position: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Virtual indiquant si l'image est l'image principale de l'œuvre
+ */
+artworkImageSchema.virtual('isMain').get(function() {
+  const artwork = this.ownerDocument();
+  return Boolean(this.renditions?.large?.url) && artwork?.image === this.renditions.large.url;
+});
+
+/**
+ * Validation des URL de guide audio
+ */
+const audioGuideValidator = {
+  validator: function(v) {
+    return !v || /^https?:\/\/.+/.test(v);
+  },
+  message: 'L\'URL du guide audio doit être valide'
+};
+
+// Champs traduisibles d'une œuvre
+export const TRANSLATABLE_FIELDS = ['title', 'description', 'audioGuide'];
+
+/**
+ * Schéma traduction d'une œuvre dans une langue
+ */
+const artworkTranslationSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    minlength: [2, 'Le titre doit contenir au moins 2 caractères'],
+    maxlength: [200, 'Le titre ne peut pas dépasser 200 caractères']
+  },
+  
+  description: {
+    type: String,
+    trim: true,
+    minlength: [10, 'La description doit contenir au moins 10 caractères'],
+    maxlength: [2000, 'La description ne peut pas dépasser 2000 caractères']
+  },
+  
+  audioGuide: {
+    type: String,
+    trim: true,
+    validate: audioGuideValidator
+  },
+  
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Schéma guide audio hébergé (fichier privé, diffusé par l'API)
+ */
+const hostedAudioGuideSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  
+  mimeType: {
+    type: String,
+    required: true,
+    enum: ['audio/mpeg', 'audio/mp4', 'audio/ogg']
+  },
+  
+  // Taille en octets
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  // Durée en secondes
+  duration: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  // Débit moyen en bits par seconde
+  bitrate: {
+    type: Number,
+    min: 0
+  },
+  
+  codec: {
+    type: String,
+    trim: true
+  },
+  
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 /**
  * Schéma œuvre d'art avec validation complète
@@ -53,17 +228,33 @@ const artworkSchema = new mongoose.Schema({
     trim: true
   },
   
-  audioGuide: {
-    type: String,
-    trim: true,
+  // Galerie d'images envoyées (triée par position)
+  images: {
+    type: [artworkImageSchema],
     validate: {
-      validator: function(v) {
-        return !v || /^https?:\/\/.+/.test(v);
+      validator: function(images) {
+        return images.length <= MAX_ARTWORK_IMAGES;
       },
-      message: 'L\'URL du guide audio doit être valide'
+      message: `Une œuvre ne peut pas avoir plus de ${MAX_ARTWORK_IMAGES} images`
     }
   },
   
+  audioGuide: {
+    type: String,
+    trim: true,
+    validate: audioGuideValidator
+  },
+  
+  // Traductions (en, wo, ar); les champs de base sont en français
+  translations: Object.fromEntries(
+    TRANSLATION_LOCALES.map(locale => [locale, artworkTranslationSchema])
+  ),
+  
+  // Guides audio hébergés par langue (prioritaires sur les URL externes audioGuide)
+  hostedAudioGuides: Object.fromEntries(
+    CONTENT_LOCALES.map(locale => [locale, hostedAudioGuideSchema])
+  ),
+  
   // Classification
   category: {
     type: String,
@@ -180,6 +371,139 @@ artworkSchema.virtual('age').get(function() {
   return new Date().getFullYear() - this.year;
 });
 
+/**
+ * URL de diffusion du guide audio hébergé dans une langue
+ */
+artworkSchema.methods.getAudioGuideStreamUrl = function(locale) {
+  return `${process.env.BASE_URL || 'http://localhost:5000'}/api/artworks/${this._id}/audio-guides/${locale}/stream`;
+};
+
+/**
+ * URL du guide audio d'une langue, sans repli
+ * Le guide hébergé est prioritaire sur l'URL externe
+ */
+artworkSchema.methods.getAudioGuide = function(locale) {
+  if (this.hostedAudioGuides?.[locale]?.key) {
+    return this.getAudioGuideStreamUrl(locale);
+  }
+  
+  return locale === DEFAULT_LOCALE ? this.audioGuide : this.translations?.[locale]?.audioGuide;
+};
+
+/**
+ * Champs manquants d'une traduction
+ * Le guide audio (URL ou fichier hébergé) n'est attendu que si l'œuvre en a un en français
+ */
+artworkSchema.methods.getMissingFields = function(locale) {
+  const translation = this.translations?.[locale];
+  
+  return TRANSLATABLE_FIELDS.filter(field => {
+    if (field === 'audioGuide') {
+      return Boolean(this.getAudioGuide(DEFAULT_LOCALE)) && !this.getAudioGuide(locale);
+    }
+    return !translation?.[field];
+  });
+};
+
+/**
+ * Traductions manquantes par langue (les langues complètes sont omises)
+ */
+artworkSchema.methods.getMissingTranslations = function() {
+  const missing = {};
+  
+  for (const locale of TRANSLATION_LOCALES) {
+    const fields = this.getMissingFields(locale);
+    if (fields.length > 0) missing[locale] = fields;
+  }
+  
+  return missing;
+};
+
+/**
+ * Langues dans lesquelles le titre et la description sont disponibles
+ */
+artworkSchema.methods.getAvailableLocales = function() {
+  return [
+    DEFAULT_LOCALE,
+    ...TRANSLATION_LOCALES.filter(locale => this.translations?.[locale]?.title && this.translations?.[locale]?.description)
+  ];
+};
+
+/**
+ * Représentation JSON de l'œuvre dans une langue
+ * Chaque champ suit la chaîne de repli (ex: wo → fr) s'il n'est pas traduit
+ */
+artworkSchema.methods.toLocalizedJSON = function(locale = DEFAULT_LOCALE) {
+  const chain = getLocaleChain(locale);
+  const json = this.toJSON();
+  
+  const valueIn = (field, candidate) => {
+    if (field === 'audioGuide') return this.getAudioGuide(candidate);
+    return candidate === DEFAULT_LOCALE ? this[field] : this.translations?.[candidate]?.[field];
+  };
+  
+  const resolve = (field) => {
+    for (const candidate of chain) {
+      const value = valueIn(field, candidate);
+      if (value) return { value, locale: candidate };
+    }
+    return { value: this[field], locale: DEFAULT_LOCALE };
+  };
+  
+  const title = resolve('title');
+  const audioGuide = resolve('audioGuide');
+  const hostedAudioGuide = audioGuide.value ? this.hostedAudioGuides?.[audioGuide.locale] : null;
+  
+  json.title = title.value;
+  json.description = resolve('description').value;
+  json.audioGuide = audioGuide.value;
+  // Informations du fichier hébergé servi (null pour une URL externe)
+  json.audioGuideDetails = hostedAudioGuide?.key
+    ? {
+      locale: audioGuide.locale,
+      mimeType: hostedAudioGuide.mimeType,
+      duration: hostedAudioGuide.duration,
+      bitrate: hostedAudioGuide.bitrate,
+      size: hostedAudioGuide.size
+    }
+    : null;
+  // Langue effectivement servie pour le titre
+  json.locale = title.locale;
+  json.availableLocales = this.getAvailableLocales();
+  delete json.translations;
+  delete json.hostedAudioGuides;
+  
+  return json;
+};
+
+/**
+ * Filtre des œuvres auxquelles il manque une traduction (une langue ou toutes)
+ */
+artworkSchema.statics.missingTranslationsFilter = function(locales = TRANSLATION_LOCALES) {
+  const empty = { $in: [null, ''] };
+  // L'œuvre a un guide audio en français (URL externe ou fichier hébergé)
+  const hasBaseAudioGuide = {
+    $or: [
+      { audioGuide: { $nin: [null, ''] } },
+      { [`hostedAudioGuides.${DEFAULT_LOCALE}.key`]: { $nin: [null, ''] } }
+    ]
+  };
+  
+  return {
+    $or: locales.flatMap(locale => [
+      { [`translations.${locale}.title`]: empty },
+      { [`translations.${locale}.description`]: empty },
+      {
+        $and: [
+          hasBaseAudioGuide,
+          { [`translations.${locale}.audioGuide`]: empty },
+          { [`hostedAudioGuides.${locale}.key`]: empty }
+        ]
+      }
+    ])
+  };
+};
+
 /**
  * Méthode pour incrémenter le compteur de vues
  */
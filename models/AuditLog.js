@@ -0,0 +1,100 @@
+/**
+ * Modèle journal d'audit pour MongoDB
+ *
+ * Responsabilités:
+ * - Enregistrer chaque action administrative: auteur, action, cible, modifications
+ * - Conserver l'adresse IP et l'agent utilisateur de la requête
+ * - Rester en ajout seul: une entrée ne peut être ni modifiée ni supprimée
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma entrée d'audit
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Auteur de l'action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'auteur de l\'action est requis']
+  },
+
+  actorRole: {
+    type: String,
+    trim: true
+  },
+
+  // Action effectuée (ex: "user.role_changed")
+  action: {
+    type: String,
+    required: [true, 'L\'action est requise'],
+    trim: true
+  },
+
+  // Cible: collection et identifiant du document
+  targetType: {
+    type: String,
+    required: [true, 'Le type de cible est requis'],
+    trim: true
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'L\'identifiant de la cible est requis']
+  },
+
+  // Valeurs des champs modifiés avant et après l'action
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * Journal en ajout seul: refuser toute modification ou suppression
+ */
+const rejectChange = function(next) {
+  next(new Error('Le journal d\'audit est en ajout seul'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+for (const operation of [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+]) {
+  auditLogSchema.pre(operation, rejectChange);
+}
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,42 @@
+/**
+ * Modèle compteur pour MongoDB
+ *
+ * Responsabilités:
+ * - Fournir des séquences numériques nommées (numéros de facture...)
+ * - Incrémenter de façon atomique, y compris dans une transaction
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma compteur (l'identifiant est le nom de la séquence)
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Méthode statique pour obtenir la valeur suivante d'une séquence
+ * Dans une transaction annulée, l'incrément est annulé aussi: aucun numéro n'est perdu
+ */
+counterSchema.statics.next = async function(name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
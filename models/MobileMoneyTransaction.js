@@ -0,0 +1,178 @@
+/**
+ * Modèle transaction mobile money pour MongoDB
+ *
+ * Responsabilités:
+ * - Représenter une intention de paiement mobile money (Wave, Orange Money)
+ * - Conserver les notifications reçues de l'opérateur pour l'idempotence
+ * - Tracer le rapprochement du montant payé avec le total de l'achat
+ * - Signaler au personnel les paiements à traiter (payé sans billet, montant incohérent)
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma d'une notification reçue de l'opérateur
+ */
+const callbackSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+
+  amount: {
+    type: Number
+  },
+
+  currency: {
+    type: String,
+    trim: true
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Schéma transaction mobile money avec validation complète
+ */
+const mobileMoneyTransactionSchema = new mongoose.Schema({
+  // Achat concerné
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase',
+    required: [true, 'L\'achat est requis']
+  },
+
+  // Opérateur mobile money
+  operator: {
+    type: String,
+    enum: {
+      values: ['wave', 'orange_money'],
+      message: 'L\'opérateur doit être "wave" ou "orange_money"'
+    },
+    required: [true, 'L\'opérateur est requis']
+  },
+
+  phone: {
+    type: String,
+    trim: true,
+    match: [
+      /^[\+]?[0-9\s\-\(\)]{8,20}$/,
+      'Veuillez fournir un numéro de téléphone valide'
+    ]
+  },
+
+  // Montant attendu (copie de Purchase.total au moment de l'initiation)
+  amount: {
+    type: Number,
+    required: [true, 'Le montant est requis'],
+    min: [0, 'Le montant ne peut pas être négatif']
+  },
+
+  currency: {
+    type: String,
+    default: 'XOF',
+    trim: true
+  },
+
+  // Référence transmise à l'opérateur
+  reference: {
+    type: String,
+    unique: true,
+    required: true,
+    trim: true
+  },
+
+  // Identifiant de transaction attribué par l'opérateur
+  operatorTransactionId: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'succeeded', 'failed', 'amount_mismatch', 'paid_unconfirmed'],
+      message: 'Le statut doit être une des valeurs autorisées'
+    },
+    default: 'pending'
+  },
+
+  // Montant effectivement notifié par l'opérateur
+  receivedAmount: {
+    type: Number,
+    default: null
+  },
+
+  // Notifications déjà traitées
+  callbacks: [callbackSchema],
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Anomalie à traiter par le personnel (remboursement ou confirmation manuelle)
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+
+  reviewReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La note ne peut pas dépasser 500 caractères'],
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+mobileMoneyTransactionSchema.index({ purchase: 1, status: 1 });
+mobileMoneyTransactionSchema.index({ 'callbacks.eventId': 1 });
+mobileMoneyTransactionSchema.index({ needsReview: 1, updatedAt: -1 });
+
+/**
+ * Méthode statique pour enregistrer une notification une seule fois
+ * Retourne null si la notification a déjà été reçue
+ */
+mobileMoneyTransactionSchema.statics.recordCallback = function(transactionId, callback) {
+  return this.findOneAndUpdate(
+    { _id: transactionId, 'callbacks.eventId': { $ne: callback.eventId } },
+    { $push: { callbacks: callback } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('MobileMoneyTransaction', mobileMoneyTransactionSchema);
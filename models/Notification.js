@@ -0,0 +1,185 @@
+/**
+ * Modèle notification (boîte d'envoi) pour MongoDB
+ *
+ * Responsabilités:
+ * - Conserver chaque message (email ou SMS) à envoyer avant son envoi effectif
+ * - Suivre les tentatives, les erreurs et la date de la prochaine tentative
+ * - Suivre la remise effective des SMS au destinataire
+ * - Empêcher l'envoi en double d'un même message (clé de déduplication)
+ * - Ne pas conserver les liens à usage unique (contenu effacé après envoi, suppression à expiration)
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma notification avec validation complète
+ */
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: {
+      values: ['email', 'sms'],
+      message: 'Le canal doit être une des valeurs autorisées'
+    },
+    default: 'email'
+  },
+
+  // Modèle de message utilisé
+  type: {
+    type: String,
+    required: [true, 'Le type de notification est requis'],
+    enum: {
+      values: ['registration', 'purchase_confirmation', 'purchase_cancelled', 'refund', 'expiry_reminder', 'validity_reminder', 'password_reset', 'email_verification', 'payment_alert'],
+      message: 'Le type de notification doit être une des valeurs autorisées'
+    }
+  },
+
+  locale: {
+    type: String,
+    enum: ['fr', 'en'],
+    default: 'fr'
+  },
+
+  // Destinataire (adresse email ou numéro de téléphone)
+  to: {
+    type: String,
+    required: [true, 'Le destinataire est requis'],
+    trim: true
+  },
+
+  subject: {
+    type: String,
+    trim: true
+  },
+
+  text: {
+    type: String,
+    required: [true, 'Le contenu est requis']
+  },
+
+  html: {
+    type: String
+  },
+
+  attachments: [{
+    _id: false,
+    filename: {
+      type: String,
+      required: true
+    },
+    contentType: {
+      type: String
+    },
+    content: {
+      type: Buffer,
+      required: true
+    }
+  }],
+
+  // Suivi de l'envoi
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'sending', 'sent', 'failed'],
+      message: 'Le statut doit être une des valeurs autorisées'
+    },
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastError: {
+    type: String,
+    trim: true
+  },
+
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Identifiant renvoyé par le transport
+  providerMessageId: {
+    type: String,
+    trim: true
+  },
+
+  // Remise au destinataire (accusés de remise des fournisseurs SMS)
+  deliveryStatus: {
+    type: String,
+    enum: {
+      values: ['queued', 'sent', 'delivered', 'undelivered'],
+      message: 'Le statut de remise doit être une des valeurs autorisées'
+    },
+    default: null
+  },
+
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+
+  deliveryError: {
+    type: String,
+    trim: true
+  },
+
+  // Contenu porteur d'un lien à usage unique (vérification, réinitialisation): effacé après envoi
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Suppression automatique du message (index TTL), par exemple à l'expiration du lien qu'il contient
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Un seul message par clé (ex: "purchase_confirmation:<id achat>")
+  dedupeKey: {
+    type: String,
+    trim: true
+  },
+
+  // Références
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ purchase: 1 });
+notificationSchema.index({ channel: 1, providerMessageId: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+notificationSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+export default mongoose.model('Notification', notificationSchema);
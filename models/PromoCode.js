@@ -0,0 +1,185 @@
+/**
+ * Modèle code promo pour MongoDB
+ *
+ * Responsabilités:
+ * - Définir les codes de réduction (pourcentage ou montant fixe)
+ * - Limiter l'usage global, la période de validité et le montant minimum
+ * - Restreindre la réduction à certaines catégories de billets
+ * - Compter les utilisations de façon atomique
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma code promo avec validation complète
+ */
+const promoCodeSchema = new mongoose.Schema({
+  // Code saisi par le client (stocké en majuscules)
+  code: {
+    type: String,
+    required: [true, 'Le code est requis'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    minlength: [3, 'Le code doit contenir au moins 3 caractères'],
+    maxlength: [30, 'Le code ne peut pas dépasser 30 caractères'],
+    match: [/^[A-Z0-9_-]+$/, 'Le code ne peut contenir que des lettres, chiffres, tirets et underscores']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La description ne peut pas dépasser 500 caractères']
+  },
+
+  // Type et valeur de la réduction
+  type: {
+    type: String,
+    required: [true, 'Le type de réduction est requis'],
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Le type doit être "percentage" ou "fixed"'
+    }
+  },
+
+  value: {
+    type: Number,
+    required: [true, 'La valeur de la réduction est requise'],
+    min: [0, 'La valeur ne peut pas être négative'],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Un pourcentage ne peut pas dépasser 100'
+    }
+  },
+
+  // Plafond de la réduction pour les pourcentages (null = aucun)
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Le plafond de réduction ne peut pas être négatif']
+  },
+
+  // Montant minimum de la commande (hors taxe)
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le montant minimum ne peut pas être négatif']
+  },
+
+  // Période de validité
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+
+  validUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Limites d'utilisation (null = illimité)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'La limite d\'utilisation doit être d\'au moins 1']
+  },
+
+  perUserLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'La limite par utilisateur doit être d\'au moins 1']
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le nombre d\'utilisations ne peut pas être négatif']
+  },
+
+  // Catégories de billets concernées (vide = toutes)
+  categories: [{
+    type: String,
+    enum: {
+      values: ['Entrée', 'Visite guidée', 'Événement', 'Abonnement', 'Groupe', 'Réduction'],
+      message: 'La catégorie doit être une des valeurs autorisées'
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Référence à l'utilisateur qui a créé le code
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+/**
+ * Virtual pour le nombre d'utilisations restantes (null = illimité)
+ */
+promoCodeSchema.virtual('remainingUses').get(function() {
+  if (this.usageLimit === null || this.usageLimit === undefined) return null;
+  return Math.max(this.usageLimit - this.usageCount, 0);
+});
+
+/**
+ * Méthode pour vérifier qu'un code est utilisable à une date donnée
+ */
+promoCodeSchema.methods.isUsableAt = function(at = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && this.validFrom > at) return false;
+  if (this.validUntil && this.validUntil < at) return false;
+  return true;
+};
+
+/**
+ * Méthode pour vérifier qu'une catégorie de billet est concernée
+ */
+promoCodeSchema.methods.appliesToCategory = function(category) {
+  return this.categories.length === 0 || this.categories.includes(category);
+};
+
+/**
+ * Méthode statique pour consommer une utilisation de façon atomique
+ * Retourne null si la limite globale est atteinte
+ */
+promoCodeSchema.statics.consumeUse = function(promoCodeId, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Méthode statique pour restituer une utilisation
+ */
+promoCodeSchema.statics.releaseUse = function(promoCodeId) {
+  return this.updateOne(
+    { _id: promoCodeId, usageCount: { $gte: 1 } },
+    { $inc: { usageCount: -1 } }
+  );
+};
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,75 @@
+/**
+ * Modèle utilisation de code promo par utilisateur pour MongoDB
+ *
+ * Responsabilités:
+ * - Compter les utilisations d'un code promo par chaque utilisateur
+ * - Garantir le respect atomique de la limite par utilisateur
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma utilisation de code promo
+ */
+const promoCodeUsageSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: [true, 'Le code promo est requis']
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'utilisateur est requis']
+  },
+
+  // Nombre d'achats de l'utilisateur avec ce code
+  count: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le nombre d\'utilisations ne peut pas être négatif']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+promoCodeUsageSchema.index({ promoCode: 1, user: 1 }, { unique: true });
+
+/**
+ * Méthode statique pour consommer une utilisation de façon atomique
+ * Retourne null si la limite par utilisateur serait dépassée
+ */
+promoCodeUsageSchema.statics.consume = async function(promoCodeId, userId, limit, session = null) {
+  try {
+    await this.updateOne(
+      { promoCode: promoCodeId, user: userId },
+      { $setOnInsert: { count: 0 } },
+      { upsert: true, session }
+    );
+  } catch (error) {
+    // Création simultanée hors transaction: le document existe déjà
+    if (error.code !== 11000 || session) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    { promoCode: promoCodeId, user: userId, count: { $lt: limit } },
+    { $inc: { count: 1 } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Méthode statique pour restituer une utilisation
+ */
+promoCodeUsageSchema.statics.release = function(promoCodeId, userId) {
+  return this.updateOne(
+    { promoCode: promoCodeId, user: userId, count: { $gte: 1 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+export default mongoose.model('PromoCodeUsage', promoCodeUsageSchema);
@@ -67,6 +67,11 @@ const purchaseSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    // Catégorie du billet au moment de l'achat
+    category: {
+      type: String,
+      trim: true
+    },
     quantity: {
       type: Number,
       required: [true, 'La quantité est requise'],
@@ -82,6 +87,43 @@ const purchaseSchema = new mongoose.Schema({
       type: Number,
       required: [true, 'Le prix total est requis'],
       min: [0, 'Le prix total ne peut pas être négatif']
+    },
+    // Part de la réduction du code promo affectée à l'article
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'La réduction ne peut pas être négative']
+    },
+    // Taxe figée au moment de l'achat
+    taxRate: {
+      type: Number,
+      min: [0, 'Le taux de taxe ne peut pas être négatif']
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Le montant de taxe ne peut pas être négatif']
+    },
+    // Nombre de billets de l'article déjà remboursés
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'La quantité remboursée ne peut pas être négative']
+    },
+    // Créneau réservé (billets à entrée horodatée)
+    slot: {
+      startsAt: {
+        type: Date,
+        default: null
+      },
+      endsAt: {
+        type: Date,
+        default: null
+      }
     }
   }],
   
@@ -110,6 +152,26 @@ const purchaseSchema = new mongoose.Schema({
     min: [0, 'Le total ne peut pas être négatif']
   },
   
+  // Code promo appliqué (copie des conditions au moment de l'achat)
+  promoCode: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: {
+      type: Number
+    }
+  },
+  
   // Statut et validation
   status: {
     type: String,
@@ -164,6 +226,129 @@ const purchaseSchema = new mongoose.Schema({
     trim: true
   },
   
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  
+  paymentFailureReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La raison de l\'échec ne peut pas dépasser 500 caractères']
+  },
+  
+  // Facturation (numéro séquentiel attribué à la première facture)
+  invoiceNumber: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  
+  invoicedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Réservation temporaire du stock en attendant le paiement
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  holdExtensions: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le nombre de prolongations ne peut pas être négatif']
+  },
+  
+  // Remboursements (registre complet, partiels ou totaux)
+  refunds: [{
+    amount: {
+      type: Number,
+      required: [true, 'Le montant remboursé est requis'],
+      min: [0, 'Le montant remboursé ne peut pas être négatif']
+    },
+    items: [{
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      ticketId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+        required: true
+      },
+      ticketType: {
+        type: String,
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'La quantité remboursée doit être d\'au moins 1']
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Le montant remboursé ne peut pas être négatif']
+      }
+    }],
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'La raison du remboursement ne peut pas dépasser 500 caractères']
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    providerReference: {
+      type: String,
+      trim: true
+    },
+    // pending: réservé sur l'achat, en attente de la réponse du fournisseur de paiement
+    status: {
+      type: String,
+      enum: ['pending', 'completed'],
+      default: 'completed'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le montant remboursé ne peut pas être négatif']
+  },
+  
+  refundedItems: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le nombre de billets remboursés ne peut pas être négatif']
+  },
+  
+  // Date d'envoi du rappel d'expiration des billets
+  expiryReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Date d'envoi du SMS de rappel la veille de l'expiration
+  smsReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Nombre de visiteurs déjà admis avec cet achat
+  admittedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le nombre d\'entrées ne peut pas être négatif']
+  },
+  
   // Notes et commentaires
   notes: {
     type: String,
@@ -196,6 +381,13 @@ purchaseSchema.index({ status: 1 });
 purchaseSchema.index({ qrCode: 1 });
 purchaseSchema.index({ purchaseDate: -1 });
 purchaseSchema.index({ validUntil: 1 });
+purchaseSchema.index({ paymentReference: 1 });
+purchaseSchema.index({ status: 1, holdExpiresAt: 1 });
+purchaseSchema.index({ 'promoCode.promoCodeId': 1 });
+purchaseSchema.index(
+  { invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
 
 /**
  * Virtual pour vérifier si l'achat est valide
@@ -221,6 +413,20 @@ purchaseSchema.virtual('totalItems').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+/**
+ * Virtual pour le nombre d'entrées restantes
+ */
+purchaseSchema.virtual('remainingAdmissions').get(function() {
+  return Math.max(this.totalItems - (this.refundedItems || 0) - (this.admittedCount || 0), 0);
+});
+
+/**
+ * Virtual pour le montant encore remboursable
+ */
+purchaseSchema.virtual('refundableAmount').get(function() {
+  return Math.max(this.total - (this.refundedAmount || 0), 0);
+});
+
 /**
  * Virtual pour le total formaté
  */
@@ -230,41 +436,228 @@ purchaseSchema.virtual('formattedTotal').get(function() {
 
 /**
  * Méthode pour valider un achat
+ * La date de référence permet de valider un scan effectué hors ligne
  */
-purchaseSchema.methods.validatePurchase = function() {
+purchaseSchema.methods.validatePurchase = function(at = new Date()) {
   if (this.status !== 'confirmed') {
-    return { valid: false, error: 'Achat non confirmé' };
+    return { valid: false, code: 'not_confirmed', error: 'Achat non confirmé' };
+  }
+  
+  if (at > this.validUntil) {
+    return { valid: false, code: 'expired', error: 'Achat expiré' };
   }
   
-  if (this.isExpired) {
-    return { valid: false, error: 'Achat expiré' };
+  if (this.validFrom && this.validFrom > at) {
+    return { valid: false, code: 'not_yet_valid', error: 'Achat pas encore valide' };
   }
   
   return { valid: true, purchase: this };
 };
 
+/**
+ * Appliquer une transition de statut conditionnelle et la reporter sur le document
+ * L'achat n'est modifié que s'il est encore au statut attendu (le balayeur des
+ * réservations a pu l'expirer entre-temps)
+ * Des conditions supplémentaires peuvent restreindre la transition
+ * Retourne le document, ou null si le statut avait changé
+ */
+const transitionStatus = async (purchase, fromStatus, update, conditions = {}) => {
+  const result = await purchase.constructor.updateOne(
+    { _id: purchase._id, status: fromStatus, ...conditions },
+    { $set: update }
+  );
+  
+  if (result.modifiedCount === 0) return null;
+  
+  purchase.set(update);
+  Object.keys(update).forEach(path => purchase.unmarkModified(path));
+  return purchase;
+};
+
+/**
+ * Méthode pour confirmer le paiement d'un achat
+ * Retourne l'achat confirmé, ou null s'il n'était plus en attente
+ */
+purchaseSchema.methods.confirmPayment = function(paymentReference) {
+  if (this.status !== 'pending') {
+    return Promise.reject(new Error('Seul un achat en attente peut être confirmé'));
+  }
+  
+  const update = { status: 'confirmed', paidAt: new Date(), holdExpiresAt: null };
+  if (paymentReference) update.paymentReference = paymentReference;
+  return transitionStatus(this, 'pending', update);
+};
+
+/**
+ * Méthode pour marquer le paiement d'un achat comme échoué
+ * Retourne l'achat annulé, ou null s'il n'était plus en attente
+ */
+purchaseSchema.methods.failPayment = function(reason = '') {
+  if (this.status !== 'pending') {
+    return Promise.reject(new Error('Seul un achat en attente peut être marqué comme échoué'));
+  }
+  
+  return transitionStatus(this, 'pending', {
+    status: 'cancelled',
+    paymentFailureReason: reason,
+    notes: this.notes ? `${this.notes}\nPaiement échoué: ${reason}` : `Paiement échoué: ${reason}`
+  });
+};
+
 /**
  * Méthode pour annuler un achat
+ * Un achat déjà remboursé, même partiellement, ne peut plus être annulé: ses billets
+ * remboursés ont déjà été restitués au stock et retirés des statistiques
+ * Retourne l'achat annulé, ou null si un remboursement ou un changement de statut
+ * est intervenu entre-temps
  */
 purchaseSchema.methods.cancelPurchase = function(reason = '') {
-  if (this.status === 'confirmed') {
-    this.status = 'cancelled';
-    this.notes = this.notes ? `${this.notes}\nAnnulé: ${reason}` : `Annulé: ${reason}`;
-    return this.save();
+  if (this.status !== 'confirmed') {
+    return Promise.reject(new Error('Impossible d\'annuler un achat non confirmé'));
+  }
+  
+  if (this.refunds.length > 0) {
+    return Promise.reject(new Error('Impossible d\'annuler un achat déjà remboursé'));
+  }
+  
+  return transitionStatus(this, 'confirmed', {
+    status: 'cancelled',
+    notes: this.notes ? `${this.notes}\nAnnulé: ${reason}` : `Annulé: ${reason}`
+  }, { 'refunds.0': { $exists: false } });
+};
+
+/**
+ * Méthode pour calculer un remboursement
+ * selection: [{ itemId, quantity }], par défaut tous les billets non remboursés
+ * Le montant de chaque billet inclut sa taxe et sa part de remise
+ */
+purchaseSchema.methods.buildRefund = function(selection = null) {
+  const requested = selection || this.items.map(item => ({
+    itemId: item._id,
+    quantity: item.quantity - (item.refundedQuantity || 0)
+  }));
+  
+  // Montant payé pour un article: prix, moins sa réduction, plus sa taxe hors prix
+  // (achats antérieurs au détail des taxes: au prorata du total)
+  const ratio = this.subtotal > 0 ? this.total / this.subtotal : 0;
+  const paidAmount = (item) => item.taxRate === undefined || item.taxRate === null
+    ? item.totalPrice * ratio
+    : item.totalPrice - (item.discountAmount || 0) + (item.taxInclusive ? 0 : item.taxAmount);
+  
+  const items = requested
+    .filter(({ quantity }) => quantity > 0)
+    .map(({ itemId, quantity }) => {
+      const item = this.items.id(itemId);
+      return {
+        itemId: item._id,
+        ticketId: item.ticketId,
+        ticketType: item.ticketType,
+        quantity,
+        amount: Math.round(paidAmount(item) * quantity / item.quantity)
+      };
+    });
+  
+  const quantity = items.reduce((total, item) => total + item.quantity, 0);
+  let amount = items.reduce((total, item) => total + item.amount, 0);
+  
+  // Le dernier remboursement solde le total pour absorber les arrondis
+  if ((this.refundedItems || 0) + quantity === this.totalItems) {
+    amount = this.refundableAmount;
   }
-  return Promise.reject(new Error('Impossible d\'annuler un achat non confirmé'));
+  
+  return { items, quantity, amount };
 };
 
 /**
- * Méthode pour rembourser un achat
+ * Méthode pour réserver un remboursement, total ou partiel, avant l'appel au fournisseur
+ * L'entrée du registre est ajoutée au statut pending et les billets sont aussitôt comptés
+ * comme remboursés. Mise à jour conditionnelle: un remboursement ou une entrée simultanés
+ * font échouer l'opération, qui retourne alors null
  */
-purchaseSchema.methods.refundPurchase = function(reason = '') {
-  if (this.status === 'confirmed' || this.status === 'cancelled') {
-    this.status = 'refunded';
-    this.notes = this.notes ? `${this.notes}\nRemboursé: ${reason}` : `Remboursé: ${reason}`;
-    return this.save();
+purchaseSchema.methods.claimRefund = function(reason = '', refund = this.buildRefund(), { refundId = new mongoose.Types.ObjectId(), refundedBy } = {}) {
+  if (this.status !== 'confirmed' && this.status !== 'cancelled') {
+    return Promise.reject(new Error('Impossible de rembourser cet achat'));
+  }
+  
+  if (refund.quantity === 0) {
+    return Promise.reject(new Error('Aucun billet à rembourser'));
+  }
+  
+  const refundedItems = (this.refundedItems || 0) + refund.quantity;
+  const update = {
+    $push: {
+      refunds: { _id: refundId, amount: refund.amount, items: refund.items, reason, refundedBy, status: 'pending' }
+    },
+    $inc: { refundedAmount: refund.amount, refundedItems: refund.quantity },
+    $set: {}
+  };
+  
+  for (const refundItem of refund.items) {
+    const index = this.items.findIndex(item => item._id.equals(refundItem.itemId));
+    update.$set[`items.${index}.refundedQuantity`] = (this.items[index].refundedQuantity || 0) + refundItem.quantity;
+  }
+  
+  if (refundedItems === this.totalItems) {
+    update.$set.status = 'refunded';
+    update.$set.notes = this.notes ? `${this.notes}\nRemboursé: ${reason}` : `Remboursé: ${reason}`;
   }
-  return Promise.reject(new Error('Impossible de rembourser cet achat'));
+  
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: this.status,
+      $expr: {
+        $and: [
+          { $eq: [{ $ifNull: ['$refundedItems', 0] }, this.refundedItems || 0] },
+          { $lte: [{ $ifNull: ['$admittedCount', 0] }, this.totalItems - refundedItems] }
+        ]
+      }
+    },
+    update,
+    { new: true }
+  );
+};
+
+/**
+ * Méthode pour finaliser un remboursement réservé, une fois accepté par le fournisseur
+ * Retourne l'achat mis à jour, ou null si l'entrée n'est plus en attente
+ */
+purchaseSchema.methods.completeRefund = function(refundId, providerReference) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    { $set: { 'refunds.$.status': 'completed', 'refunds.$.providerReference': providerReference } },
+    { new: true }
+  );
+};
+
+/**
+ * Méthode pour annuler un remboursement réservé refusé par le fournisseur
+ * Retire l'entrée du registre et rétablit compteurs, statut et notes de l'achat d'avant la réservation
+ * (this est l'achat tel qu'il était avant claimRefund)
+ */
+purchaseSchema.methods.rollbackRefund = function(refundId, refund) {
+  const update = {
+    $pull: { refunds: { _id: refundId } },
+    $inc: { refundedAmount: -refund.amount, refundedItems: -refund.quantity },
+    $set: { status: this.status }
+  };
+  
+  if (this.notes) {
+    update.$set.notes = this.notes;
+  } else {
+    update.$unset = { notes: 1 };
+  }
+  
+  for (const refundItem of refund.items) {
+    const index = this.items.findIndex(item => item._id.equals(refundItem.itemId));
+    update.$inc[`items.${index}.refundedQuantity`] = -refundItem.quantity;
+  }
+  
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    update,
+    { new: true }
+  );
 };
 
 /**
@@ -297,7 +690,7 @@ purchaseSchema.statics.getSalesStats = function(startDate, endDate) {
     {
       $group: {
         _id: null,
-        totalSales: { $sum: '$total' },
+        totalSales: { $sum: { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] } },
         totalPurchases: { $sum: 1 },
         averagePurchase: { $avg: '$total' }
       }
@@ -0,0 +1,111 @@
+/**
+ * Modèle session (appareil connecté) pour MongoDB
+ *
+ * Responsabilités:
+ * - Conserver l'empreinte du refresh token courant de chaque appareil
+ * - Garder les empreintes des tokens déjà utilisés pour détecter leur réutilisation
+ * - Suivre la révocation des sessions (déconnexion, réutilisation, réinitialisation)
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma session
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'utilisateur est requis']
+  },
+
+  // Empreinte SHA-256 du refresh token courant (jamais stocké en clair)
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Empreintes des refresh tokens déjà remplacés par une rotation
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+
+  // Version des tokens de l'utilisateur à l'ouverture de la session
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  // Appareil
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Révocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: {
+      values: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'credentials_changed'],
+      message: 'Le motif de révocation doit être une des valeurs autorisées'
+    },
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Les sessions expirées sont purgées automatiquement
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Virtual indiquant si la session peut encore être utilisée
+ */
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Méthode statique pour vérifier qu'une session d'un utilisateur est active
+ */
+sessionSchema.statics.isActiveFor = async function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await this.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return Boolean(session);
+};
+
+export default mongoose.model('Session', sessionSchema);
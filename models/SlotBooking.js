@@ -0,0 +1,80 @@
+/**
+ * Modèle occupation de créneau pour MongoDB
+ *
+ * Responsabilités:
+ * - Compter les places réservées sur chaque créneau d'un billet
+ * - Garantir une réservation atomique dans la limite de la capacité
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma occupation de créneau
+ */
+const slotBookingSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: [true, 'Le billet est requis']
+  },
+
+  startsAt: {
+    type: Date,
+    required: [true, 'Le début du créneau est requis']
+  },
+
+  endsAt: {
+    type: Date,
+    required: [true, 'La fin du créneau est requise']
+  },
+
+  // Nombre de places réservées sur le créneau
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le nombre de places réservées ne peut pas être négatif']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+slotBookingSchema.index({ ticket: 1, startsAt: 1 }, { unique: true });
+
+/**
+ * Méthode statique pour réserver des places de façon atomique
+ * Retourne null si la capacité du créneau serait dépassée
+ */
+slotBookingSchema.statics.reserve = async function(ticketId, startsAt, endsAt, quantity, capacity, session = null) {
+  try {
+    await this.updateOne(
+      { ticket: ticketId, startsAt },
+      { $setOnInsert: { endsAt, reserved: 0 } },
+      { upsert: true, session }
+    );
+  } catch (error) {
+    // Création simultanée du même créneau hors transaction: le document existe déjà
+    if (error.code !== 11000 || session) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    { ticket: ticketId, startsAt, reserved: { $lte: capacity - quantity } },
+    { $inc: { reserved: quantity } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Méthode statique pour libérer des places
+ */
+slotBookingSchema.statics.release = function(ticketId, startsAt, quantity) {
+  return this.findOneAndUpdate(
+    { ticket: ticketId, startsAt, reserved: { $gte: quantity } },
+    { $inc: { reserved: -quantity } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('SlotBooking', slotBookingSchema);
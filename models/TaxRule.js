@@ -0,0 +1,108 @@
+/**
+ * Modèle règle de taxe pour MongoDB
+ *
+ * Responsabilités:
+ * - Définir le taux de taxe applicable à une catégorie de billets
+ * - Dater l'entrée en vigueur et la fin de chaque taux
+ * - Indiquer si les prix des billets sont taxes comprises ou hors taxes
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Schéma règle de taxe avec validation complète
+ */
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom de la règle est requis'],
+    trim: true,
+    minlength: [2, 'Le nom doit contenir au moins 2 caractères'],
+    maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+  },
+
+  // Catégorie de billets concernée (null = règle par défaut pour toutes les catégories)
+  category: {
+    type: String,
+    default: null,
+    enum: {
+      values: ['Entrée', 'Visite guidée', 'Événement', 'Abonnement', 'Groupe', 'Réduction'],
+      message: 'La catégorie doit être une des valeurs autorisées'
+    }
+  },
+
+  // Taux en pourcentage (0 = exonéré)
+  rate: {
+    type: Number,
+    required: [true, 'Le taux est requis'],
+    min: [0, 'Le taux ne peut pas être négatif'],
+    max: [100, 'Le taux ne peut pas dépasser 100%']
+  },
+
+  // Mode de prix: "exclusive" = taxe ajoutée au prix, "inclusive" = taxe comprise dans le prix
+  pricing: {
+    type: String,
+    enum: {
+      values: ['exclusive', 'inclusive'],
+      message: 'Le mode de prix doit être "exclusive" ou "inclusive"'
+    },
+    default: 'exclusive'
+  },
+
+  // Période d'application
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'La date d\'entrée en vigueur est requise']
+  },
+
+  effectiveUntil: {
+    type: Date,
+    default: null
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Référence à l'utilisateur qui a créé la règle
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index pour optimiser les requêtes
+ */
+taxRuleSchema.index({ isActive: 1, category: 1, effectiveFrom: -1 });
+
+/**
+ * Méthode pour vérifier si la règle est en vigueur à une date donnée
+ */
+taxRuleSchema.methods.isEffectiveAt = function(at = new Date()) {
+  return this.isActive &&
+         this.effectiveFrom <= at &&
+         (!this.effectiveUntil || this.effectiveUntil > at);
+};
+
+/**
+ * Méthode statique pour obtenir les règles en vigueur à une date donnée
+ */
+taxRuleSchema.statics.findEffective = function(at = new Date(), session = null) {
+  return this.find({
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $or: [
+      { effectiveUntil: null },
+      { effectiveUntil: { $gt: at } }
+    ]
+  })
+    .sort({ effectiveFrom: -1 })
+    .session(session);
+};
+
+export default mongoose.model('TaxRule', taxRuleSchema);
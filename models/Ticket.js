@@ -57,6 +57,45 @@ const ticketSchema = new mongoose.Schema({
     max: [365, 'La validité ne peut pas dépasser 365 jours']
   },
   
+  // Créneaux horaires (entrées à heure fixe avec capacité par créneau)
+  // Les horaires sont exprimés en heure de Dakar (UTC)
+  timeSlots: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    slotDurationMinutes: {
+      type: Number,
+      default: 60,
+      min: [15, 'Un créneau doit durer au moins 15 minutes'],
+      max: [480, 'Un créneau ne peut pas dépasser 8 heures']
+    },
+    capacityPerSlot: {
+      type: Number,
+      default: 50,
+      min: [1, 'La capacité d\'un créneau doit être d\'au moins 1']
+    },
+    openingHours: [{
+      _id: false,
+      dayOfWeek: {
+        type: Number,
+        required: true,
+        min: [0, 'Le jour doit être compris entre 0 (dimanche) et 6 (samedi)'],
+        max: [6, 'Le jour doit être compris entre 0 (dimanche) et 6 (samedi)']
+      },
+      open: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'L\'heure d\'ouverture doit être au format HH:MM']
+      },
+      close: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'L\'heure de fermeture doit être au format HH:MM']
+      }
+    }]
+  },
+  
   // Restrictions d'âge
   ageRestrictions: {
     minAge: {
@@ -150,34 +189,62 @@ ticketSchema.methods.isAvailableForPurchase = function(quantity = 1) {
 
 /**
  * Méthode pour réserver du stock
+ * Décrément atomique: ne réussit que si le stock restant est suffisant
  */
-ticketSchema.methods.reserveStock = function(quantity = 1) {
+ticketSchema.methods.reserveStock = async function(quantity = 1) {
   if (this.stock === -1) return true; // Stock illimité
   
-  if (this.stock >= quantity) {
-    this.stock -= quantity;
-    return this.save({ validateBeforeSave: false });
-  }
-  return false;
+  const result = await this.constructor.updateOne(
+    { _id: this._id, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } }
+  );
+  return result.modifiedCount === 1;
 };
 
 /**
  * Méthode pour libérer du stock
  */
-ticketSchema.methods.releaseStock = function(quantity = 1) {
+ticketSchema.methods.releaseStock = async function(quantity = 1) {
   if (this.stock === -1) return true; // Stock illimité
   
-  this.stock += quantity;
-  return this.save({ validateBeforeSave: false });
+  await this.constructor.updateOne(
+    { _id: this._id, stock: { $ne: -1 } },
+    { $inc: { stock: quantity } }
+  );
+  return true;
 };
 
 /**
  * Méthode pour mettre à jour les statistiques
  */
 ticketSchema.methods.updateStats = function(quantity, totalPrice) {
-  this.purchaseCount += quantity;
-  this.revenue += totalPrice;
-  return this.save({ validateBeforeSave: false });
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { purchaseCount: quantity, revenue: totalPrice } }
+  );
+};
+
+/**
+ * Méthode statique pour réserver du stock et mettre à jour les statistiques
+ * en une seule mise à jour conditionnelle (utilisable dans une transaction)
+ * Retourne le billet mis à jour, ou null si indisponible ou stock insuffisant
+ */
+ticketSchema.statics.reserveForPurchase = async function(ticketId, quantity, totalPrice, session = null) {
+  const stats = { purchaseCount: quantity, revenue: totalPrice };
+  
+  // Stock illimité: seules les statistiques évoluent
+  const unlimited = await this.findOneAndUpdate(
+    { _id: ticketId, isAvailable: true, stock: -1 },
+    { $inc: stats },
+    { new: true, session }
+  );
+  if (unlimited) return unlimited;
+  
+  return this.findOneAndUpdate(
+    { _id: ticketId, isAvailable: true, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity, ...stats } },
+    { new: true, session }
+  );
 };
 
 /**
@@ -4,12 +4,17 @@
  * Responsabilités:
  * - Définir le schéma utilisateur avec validation
  * - Gérer l'authentification (hashage mot de passe)
- * - Distinguer les rôles (user/admin)
+ * - Gérer la réinitialisation du mot de passe (tokens à usage unique)
+ * - Invalider les tokens émis avant un changement de mot de passe, de rôle ou d'activation
+ * - Suivre la vérification de l'adresse email
+ * - Attribuer un rôle (user, agent, curator, cashier, admin)
  * - Valider les données utilisateur
  */
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { ROLES } from '../config/roles.js';
 
 /**
  * Schéma utilisateur avec validation complète
@@ -60,12 +65,39 @@ const userSchema = new mongoose.Schema({
     ]
   },
   
-  // Rôle utilisateur (user ou admin)
+  // Langue des emails et notifications
+  locale: {
+    type: String,
+    enum: {
+      values: ['fr', 'en'],
+      message: 'La langue doit être "fr" ou "en"'
+    },
+    default: 'fr'
+  },
+  
+  // Refus de recevoir des SMS
+  smsOptOut: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Vérification de l'adresse email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Rôle (ensemble de permissions défini dans config/roles.js)
   role: {
     type: String,
     enum: {
-      values: ['user', 'admin'],
-      message: 'Le rôle doit être soit "user" soit "admin"'
+      values: ROLES,
+      message: `Le rôle doit être une des valeurs suivantes: ${ROLES.join(', ')}`
     },
     default: 'user'
   },
@@ -82,6 +114,30 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   
+  // Dernier changement du mot de passe: les tokens émis avant sont refusés
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Version des tokens: incrémentée à chaque changement de mot de passe, de rôle
+  // ou d'activation, elle invalide tous les tokens et sessions émis auparavant
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  // Réinitialisation du mot de passe (empreinte SHA-256 du token, usage unique)
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  
   // Historique des achats (références vers les purchases)
   purchases: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -93,11 +149,19 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+/**
+ * Empreinte SHA-256 d'un token (les tokens ne sont jamais stockés en clair)
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 /**
  * Index pour optimiser les requêtes
  */
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 /**
  * Virtual pour le nom complet
@@ -106,6 +170,25 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+/**
+ * Middleware pre-save: invalidation des tokens existants
+ * lors d'un changement de mot de passe, de rôle ou d'activation
+ */
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+  
+  if (this.isModified('password')) {
+    // Précision à la seconde, comme le champ iat des tokens JWT
+    this.passwordChangedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  }
+  
+  if (this.isModified('password') || this.isModified('role') || this.isModified('isActive')) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  
+  next();
+});
+
 /**
  * Middleware pre-save: hashage automatique du mot de passe
  */
@@ -130,6 +213,56 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Méthode pour vérifier qu'un token JWT décodé est toujours valable:
+ * même version de tokens et émis après le dernier changement de mot de passe
+ */
+userSchema.methods.acceptsToken = function({ tv, iat }) {
+  if ((tv || 0) !== (this.tokenVersion || 0)) return false;
+  if (!this.passwordChangedAt) return true;
+  return iat * 1000 >= this.passwordChangedAt.getTime();
+};
+
+/**
+ * Méthode pour créer un token de réinitialisation du mot de passe
+ * Seule l'empreinte est conservée; le token en clair est retourné pour l'email
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 30;
+  
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  
+  return token;
+};
+
+/**
+ * Méthode statique pour consommer un token de réinitialisation valide
+ * Le token est effacé atomiquement: il ne peut servir qu'une fois
+ * Retourne l'utilisateur (avec son mot de passe) ou null
+ */
+userSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  ).select('+password');
+};
+
+/**
+ * Méthode pour définir un nouveau mot de passe après réinitialisation
+ * Les tokens JWT émis auparavant sont invalidés par le middleware pre-save
+ */
+userSchema.methods.resetPassword = function(newPassword) {
+  this.password = newPassword;
+  return this.save();
+};
+
 /**
  * Méthode pour mettre à jour la dernière connexion
  */
@@ -140,6 +273,8 @@ userSchema.methods.updateLastLogin = function() {
 
 /**
  * Méthode statique pour créer un admin par défaut
+ * Un admin par défaut existant n'est repassé admin que si son rôle n'existe plus:
+ * un rôle attribué via l'API d'administration (ex: rétrogradation) est conservé
  */
 userSchema.statics.createDefaultAdmin = async function() {
   try {
@@ -152,11 +287,21 @@ userSchema.statics.createDefaultAdmin = async function() {
         email: process.env.ADMIN_EMAIL,
         password: process.env.ADMIN_PASSWORD,
         role: 'admin',
-        phone: '+221 33 123 45 67'
+        phone: '+221 33 123 45 67',
+        emailVerified: true,
+        emailVerifiedAt: new Date()
       });
       
       await admin.save();
       console.log('✅ Admin par défaut créé:', admin.email);
+    } else if (!ROLES.includes(adminExists.role) || !adminExists.emailVerified) {
+      if (!ROLES.includes(adminExists.role)) {
+        adminExists.role = 'admin';
+      }
+      adminExists.emailVerified = true;
+      adminExists.emailVerifiedAt = adminExists.emailVerifiedAt || new Date();
+      await adminExists.save({ validateBeforeSave: false });
+      console.log('🔄 Admin par défaut migré:', adminExists.email);
     } else {
       console.log('ℹ️ Admin par défaut existe déjà:', adminExists.email);
     }
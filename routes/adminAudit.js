@@ -0,0 +1,71 @@
+/**
+ * Routes du journal d'audit
+ *
+ * Responsabilités:
+ * - Consulter les actions administratives (filtres par auteur, action, cible et période)
+ * - Paginer les entrées, des plus récentes aux plus anciennes
+ */
+
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validateAuditQuery } from '../middleware/validation.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Consulter le journal d'audit (filtres: actor, action, targetType, targetId, from, to)
+ * @access  Private (audit:read)
+ */
+router.get('/', authenticate, requirePermission(PERMISSIONS.AUDIT_READ), validateAuditQuery, async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, page = 1, limit = 20 } = req.query;
+
+    // Construire les filtres
+    const filters = {};
+
+    if (actor) filters.actor = actor;
+    if (action) filters.action = action;
+    if (targetType) filters.targetType = targetType;
+    if (targetId) filters.targetId = targetId;
+
+    if (from || to) {
+      filters.createdAt = {};
+      if (from) filters.createdAt.$gte = new Date(from);
+      if (to) filters.createdAt.$lte = new Date(to);
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await AuditLog.find(filters)
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(filters);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la consultation du journal d\'audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la consultation du journal d\'audit'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,335 @@
+/**
+ * Routes d'administration des utilisateurs
+ *
+ * Responsabilités:
+ * - Rechercher les utilisateurs par nom, email, rôle et statut
+ * - Consulter un utilisateur avec ses achats
+ * - Changer le rôle, activer ou désactiver un compte, forcer la réinitialisation du mot de passe
+ * - Ne jamais retirer le dernier administrateur actif
+ * - Enregistrer chaque modification dans le journal d'audit
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Purchase from '../models/Purchase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validateObjectId, validateUserSearch, validateUserRole } from '../middleware/validation.js';
+import { PERMISSIONS, getRolePermissions } from '../config/roles.js';
+import { revokeAllSessions } from '../services/sessions/index.js';
+import { notifyPasswordReset } from '../services/notifications/index.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
+import { applyAccessChange } from '../services/users/index.js';
+
+const router = express.Router();
+
+/**
+ * Informations d'un utilisateur renvoyées par l'API (sans secrets)
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  phone: user.phone,
+  locale: user.locale,
+  smsOptOut: user.smsOptOut,
+  role: user.role,
+  permissions: getRolePermissions(user.role),
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  passwordChangedAt: user.passwordChangedAt,
+  createdAt: user.createdAt
+});
+
+/**
+ * Échapper une saisie utilisateur pour une expression régulière
+ */
+const escapeRegex = (text) => {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Indiquer si l'action porte sur le compte de l'administrateur lui-même
+ */
+const isSelf = (req) => {
+  return req.params.id === req.user._id.toString();
+};
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Rechercher les utilisateurs (nom, email, rôle, statut)
+ * @access  Private (users:manage)
+ */
+router.get('/', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validateUserSearch, async (req, res) => {
+  try {
+    const { q, role, isActive, page = 1, limit = 20 } = req.query;
+
+    // Construire les filtres
+    const filters = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filters.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern }
+      ];
+    }
+
+    if (role) filters.role = role;
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(filters)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filters);
+
+    res.json({
+      success: true,
+      data: users.map(formatUser),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la recherche des utilisateurs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la recherche des utilisateurs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Obtenir un utilisateur avec ses achats
+ * @access  Private (users:manage)
+ */
+router.get('/:id', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validateObjectId('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    // Les achats sont retrouvés par leur client (User.purchases n'est pas alimenté)
+    const purchases = await Purchase.find({ 'customer.userId': user._id })
+      .select('-qrCode -qrCodeBase64')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...formatUser(user),
+        purchases,
+        purchaseStats: {
+          count: purchases.length,
+          confirmed: purchases.filter(purchase => purchase.status === 'confirmed').length,
+          totalSpent: purchases
+            .filter(purchase => ['confirmed', 'refunded'].includes(purchase.status))
+            .reduce((sum, purchase) => sum + purchase.total - (purchase.refundedAmount || 0), 0)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'utilisateur:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération de l\'utilisateur'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Changer le rôle d'un utilisateur (ses sessions sont fermées)
+ * @access  Private (users:manage)
+ */
+router.patch('/:id/role', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validateObjectId('id'), validateUserRole, async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vous ne pouvez pas modifier votre propre rôle'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    if (user.role === req.body.role) {
+      return res.status(409).json({
+        success: false,
+        message: `L'utilisateur a déjà le rôle "${user.role}"`
+      });
+    }
+
+    const before = toAuditSnapshot(user);
+
+    const { user: updatedUser, conflict } = await applyAccessChange(user, { role: req.body.role });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    await revokeAllSessions(user._id, 'credentials_changed');
+
+    await recordAudit(req, {
+      action: 'user.role_changed',
+      targetType: 'users',
+      targetId: user._id,
+      before,
+      after: toAuditSnapshot(updatedUser)
+    });
+
+    res.json({
+      success: true,
+      message: 'Rôle modifié avec succès',
+      data: formatUser(updatedUser)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du changement de rôle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du changement de rôle'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/users/:id/toggle-active
+ * @desc    Activer ou désactiver un compte (un compte désactivé est déconnecté)
+ * @access  Private (users:manage)
+ */
+router.patch('/:id/toggle-active', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validateObjectId('id'), async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vous ne pouvez pas désactiver votre propre compte'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const before = toAuditSnapshot(user);
+
+    const { user: updatedUser, conflict } = await applyAccessChange(user, { isActive: !user.isActive });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    if (!updatedUser.isActive) {
+      await revokeAllSessions(user._id, 'credentials_changed');
+    }
+
+    await recordAudit(req, {
+      action: updatedUser.isActive ? 'user.activated' : 'user.deactivated',
+      targetType: 'users',
+      targetId: user._id,
+      before,
+      after: toAuditSnapshot(updatedUser)
+    });
+
+    res.json({
+      success: true,
+      message: `Compte ${updatedUser.isActive ? 'activé' : 'désactivé'} avec succès`,
+      data: formatUser(updatedUser)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du changement de statut du compte:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du changement de statut du compte'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @desc    Forcer la réinitialisation du mot de passe: l'ancien mot de passe ne fonctionne plus,
+ *          les sessions sont fermées et un lien de réinitialisation est envoyé par email
+ * @access  Private (users:manage)
+ */
+router.post('/:id/force-password-reset', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validateObjectId('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const before = toAuditSnapshot(user);
+
+    // Mot de passe aléatoire inconnu de tous: seul le lien permet de se reconnecter
+    user.password = crypto.randomBytes(32).toString('hex');
+    const token = user.createPasswordResetToken();
+    await user.save();
+    await revokeAllSessions(user._id, 'password_reset');
+    await notifyPasswordReset(user, token);
+
+    await recordAudit(req, {
+      action: 'user.password_reset_forced',
+      targetType: 'users',
+      targetId: user._id,
+      before,
+      after: toAuditSnapshot(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Réinitialisation du mot de passe forcée, un lien a été envoyé à l\'utilisateur',
+      data: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation forcée du mot de passe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la réinitialisation forcée du mot de passe'
+    });
+  }
+});
+
+export default router;
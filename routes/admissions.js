@@ -0,0 +1,223 @@
+/**
+ * Routes des admissions
+ *
+ * Responsabilités:
+ * - Scanner les QR codes d'achat aux entrées du musée
+ * - Consulter l'historique des passages d'un achat
+ * - Annuler un scan erroné (Admin)
+ * - Synchroniser les scanners hors ligne
+ */
+
+import express from 'express';
+import Purchase from '../models/Purchase.js';
+import Admission from '../models/Admission.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  validateAdmissionScan,
+  validateObjectId,
+  validateSyncSnapshot,
+  validateSyncEvents
+} from '../middleware/validation.js';
+import { admitPurchase, revokeAdmission } from '../services/admissions/index.js';
+import { buildSnapshot, mergeOfflineEvents } from '../services/admissions/sync.js';
+import { getPurchaseLookup } from '../services/qr/index.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/admissions/scan
+ * @desc    Scanner un QR code d'achat et admettre les visiteurs
+ * @access  Private (admissions:scan)
+ */
+router.post('/scan', authenticate, requirePermission(PERMISSIONS.ADMISSIONS_SCAN), validateAdmissionScan, async (req, res) => {
+  try {
+    const { qrCode, gate, count = 1 } = req.body;
+
+    // Vérifier la signature du QR code avant toute requête en base
+    const lookup = getPurchaseLookup(qrCode);
+
+    if (!lookup.valid) {
+      return res.status(400).json({
+        success: false,
+        message: lookup.error
+      });
+    }
+
+    const purchase = await Purchase.findOne(lookup.filter)
+      .populate('items.ticketId', 'type description price');
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'QR code invalide'
+      });
+    }
+
+    const result = await admitPurchase(purchase, {
+      count: parseInt(count),
+      gate,
+      scannedBy: req.user.id
+    });
+
+    const data = {
+      admission: result.admission,
+      purchaseId: purchase._id,
+      customer: `${purchase.customer.firstName} ${purchase.customer.lastName}`,
+      totalItems: result.purchase.totalItems,
+      admittedCount: result.purchase.admittedCount,
+      remainingAdmissions: result.purchase.remainingAdmissions
+    };
+
+    if (!result.admitted) {
+      return res.status(result.reason === 'over_use' ? 409 : 400).json({
+        success: false,
+        message: result.message,
+        reason: result.reason,
+        data
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du scan d\'entrée:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du scan d\'entrée'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admissions/sync/snapshot
+ * @desc    Télécharger l'instantané signé des achats valides pour une date
+ * @access  Private (admissions:scan)
+ */
+router.get('/sync/snapshot', authenticate, requirePermission(PERMISSIONS.ADMISSIONS_SCAN), validateSyncSnapshot, async (req, res) => {
+  try {
+    const { deviceId, date = new Date().toISOString() } = req.query;
+
+    const { snapshot, signature } = await buildSnapshot(date, deviceId);
+
+    res.json({
+      success: true,
+      data: {
+        snapshot,
+        signature
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la génération de l\'instantané:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la génération de l\'instantané'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admissions/sync/events
+ * @desc    Envoyer un lot de scans effectués hors ligne
+ * @access  Private (admissions:scan)
+ */
+router.post('/sync/events', authenticate, requirePermission(PERMISSIONS.ADMISSIONS_SCAN), validateSyncEvents, async (req, res) => {
+  try {
+    const { deviceId, events } = req.body;
+
+    const { results, conflicts } = await mergeOfflineEvents(deviceId, events, req.user.id);
+
+    res.json({
+      success: true,
+      message: conflicts.length > 0
+        ? `Synchronisation terminée avec ${conflicts.length} conflit(s)`
+        : 'Synchronisation terminée',
+      data: {
+        processed: results.length,
+        results,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la synchronisation des scans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la synchronisation des scans'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admissions/purchase/:purchaseId
+ * @desc    Obtenir l'historique des scans d'un achat
+ * @access  Private (admissions:scan)
+ */
+router.get('/purchase/:purchaseId', authenticate, requirePermission(PERMISSIONS.ADMISSIONS_SCAN), validateObjectId('purchaseId'), async (req, res) => {
+  try {
+    const admissions = await Admission.getPurchaseHistory(req.params.purchaseId);
+
+    res.json({
+      success: true,
+      data: admissions
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des admissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des admissions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admissions/:id/revoke
+ * @desc    Annuler un scan erroné et restituer les entrées
+ * @access  Private (admissions:revoke)
+ */
+router.post('/:id/revoke', authenticate, requirePermission(PERMISSIONS.ADMISSIONS_REVOKE), validateObjectId('id'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const before = toAuditSnapshot(await Admission.findById(req.params.id));
+
+    const { admission, purchase } = await revokeAdmission(req.params.id, {
+      revokedBy: req.user.id,
+      reason
+    });
+
+    await recordAudit(req, {
+      action: 'admission.revoked',
+      targetType: 'admissions',
+      targetId: admission._id,
+      before,
+      after: toAuditSnapshot(admission)
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan annulé avec succès',
+      data: {
+        admission,
+        admittedCount: purchase?.admittedCount,
+        remainingAdmissions: purchase?.remainingAdmissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'annulation du scan:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de l\'annulation du scan'
+    });
+  }
+});
+
+export default router;
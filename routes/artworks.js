@@ -6,19 +6,71 @@
  * - Générer des QR codes uniques pour chaque œuvre
  * - Gérer la recherche et les filtres
  * - Gérer les statistiques des œuvres
+ * - Gérer la galerie d'images (envoi, légendes, ordre, suppression)
+ * - Présenter les œuvres dans la langue du visiteur et gérer leurs traductions
+ * - Héberger les guides audio par langue et les diffuser par plages d'octets (Range)
  */
 
+import { pipeline } from 'stream/promises';
+
 import express from 'express';
-import QRCode from 'qrcode';
+import mongoose from 'mongoose';
 import Artwork from '../models/Artwork.js';
-import { authenticate, requireAdmin, requireUser } from '../middleware/auth.js';
-import { validateArtwork, validateObjectId, validateSearchQuery } from '../middleware/validation.js';
+import { authenticate, optionalAuth, requirePermission, requireUser } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  validateArtwork,
+  validateObjectId,
+  validateSearchQuery,
+  validateArtworkImage,
+  validateArtworkImageOrder,
+  validateArtworkTranslation,
+  validateTranslationLocale,
+  validateMissingTranslationsQuery,
+  validateAudioGuideLocale
+} from '../middleware/validation.js';
+import { CONTENT_LOCALES, DEFAULT_LOCALE, TRANSLATION_LOCALES } from '../config/locales.js';
+import { uploadArtworkImage, uploadAudioGuide } from '../middleware/upload.js';
+import { createArtworkQrCode, generateQrImage, getArtworkLookup } from '../services/qr/index.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
+import {
+  addArtworkImage,
+  updateArtworkImage,
+  reorderArtworkImages,
+  removeArtworkImage,
+  deleteArtworkImageFiles
+} from '../services/images/index.js';
+import {
+  isAudioGuideRestricted,
+  formatAudioGuide,
+  setArtworkAudioGuide,
+  removeArtworkAudioGuide,
+  deleteArtworkAudioGuideFiles,
+  getAudioGuideFileSize,
+  openAudioGuideStream,
+  grantAudioGuideAccess,
+  verifyAudioGuideToken
+} from '../services/audioGuides/index.js';
 
 const router = express.Router();
 
+/**
+ * Contenu de base (français) et traductions d'une œuvre, pour l'administration
+ */
+const formatTranslations = (artwork) => ({
+  id: artwork._id,
+  [DEFAULT_LOCALE]: {
+    title: artwork.title,
+    description: artwork.description,
+    audioGuide: artwork.audioGuide
+  },
+  ...Object.fromEntries(TRANSLATION_LOCALES.map(locale => [locale, artwork.translations?.[locale] || null])),
+  missing: artwork.getMissingTranslations()
+});
+
 /**
  * @route   GET /api/artworks
- * @desc    Obtenir la liste des œuvres avec recherche et filtres
+ * @desc    Obtenir la liste des œuvres avec recherche et filtres (langue: ?lang= ou Accept-Language)
  * @access  Public
  */
 router.get('/', validateSearchQuery, async (req, res) => {
@@ -38,7 +90,12 @@ router.get('/', validateSearchQuery, async (req, res) => {
         $or: [
           { title: { $regex: q, $options: 'i' } },
           { artist: { $regex: q, $options: 'i' } },
-          { description: { $regex: q, $options: 'i' } }
+          { description: { $regex: q, $options: 'i' } },
+          // Recherche aussi dans les traductions
+          ...TRANSLATION_LOCALES.flatMap(locale => [
+            { [`translations.${locale}.title`]: { $regex: q, $options: 'i' } },
+            { [`translations.${locale}.description`]: { $regex: q, $options: 'i' } }
+          ])
         ]
       };
     }
@@ -61,7 +118,7 @@ router.get('/', validateSearchQuery, async (req, res) => {
     
     res.json({
       success: true,
-      data: artworks,
+      data: artworks.map(artwork => artwork.toLocalizedJSON(req.locale)),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -81,7 +138,7 @@ router.get('/', validateSearchQuery, async (req, res) => {
 
 /**
  * @route   GET /api/artworks/:id
- * @desc    Obtenir une œuvre par ID
+ * @desc    Obtenir une œuvre par ID (langue: ?lang= ou Accept-Language)
  * @access  Public
  */
 router.get('/:id', validateObjectId('id'), async (req, res) => {
@@ -101,7 +158,7 @@ router.get('/:id', validateObjectId('id'), async (req, res) => {
     
     res.json({
       success: true,
-      data: artwork
+      data: artwork.toLocalizedJSON(req.locale)
     });
     
   } catch (error) {
@@ -115,14 +172,24 @@ router.get('/:id', validateObjectId('id'), async (req, res) => {
 
 /**
  * @route   GET /api/artworks/qr/:qrCode
- * @desc    Obtenir une œuvre par QR code
+ * @desc    Obtenir une œuvre par QR code (langue: ?lang= ou Accept-Language)
  * @access  Public
  */
 router.get('/qr/:qrCode', async (req, res) => {
   try {
     const { qrCode } = req.params;
     
-    const artwork = await Artwork.findOne({ qrCode })
+    // Vérifier la signature du QR code avant toute requête en base
+    const lookup = getArtworkLookup(qrCode);
+    
+    if (!lookup.valid) {
+      return res.status(404).json({
+        success: false,
+        message: 'QR code invalide ou œuvre non trouvée'
+      });
+    }
+    
+    const artwork = await Artwork.findOne(lookup.filter)
       .populate('addedBy', 'firstName lastName email');
     
     if (!artwork) {
@@ -144,7 +211,7 @@ router.get('/qr/:qrCode', async (req, res) => {
     
     res.json({
       success: true,
-      data: artwork
+      data: artwork.toLocalizedJSON(req.locale)
     });
     
   } catch (error) {
@@ -158,36 +225,38 @@ router.get('/qr/:qrCode', async (req, res) => {
 
 /**
  * @route   POST /api/artworks
- * @desc    Créer une nouvelle œuvre (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Créer une nouvelle œuvre
+ * @access  Private (artworks:write)
  */
-router.post('/', authenticate, requireAdmin, validateArtwork, async (req, res) => {
+router.post('/', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateArtwork, async (req, res) => {
   try {
     const artworkData = req.body;
     
-    // Générer un QR code unique
-    const qrCodeId = `QR${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+    // Générer le QR code signé de l'œuvre
+    const artworkId = new mongoose.Types.ObjectId();
+    const qrCode = createArtworkQrCode({ id: artworkId });
     
     // Générer le QR code en base64
-    const qrCodeBase64 = await QRCode.toDataURL(qrCodeId, {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
+    const qrCodeBase64 = await generateQrImage(qrCode);
     
     // Créer l'œuvre
     const artwork = new Artwork({
       ...artworkData,
-      qrCode: qrCodeId,
+      _id: artworkId,
+      qrCode,
       qrCodeBase64,
       addedBy: req.user.id
     });
     
     await artwork.save();
     
+    await recordAudit(req, {
+      action: 'artwork.created',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      after: toAuditSnapshot(artwork)
+    });
+    
     // Populate les informations de l'ajouteur
     await artwork.populate('addedBy', 'firstName lastName email');
     
@@ -216,10 +285,10 @@ router.post('/', authenticate, requireAdmin, validateArtwork, async (req, res) =
 
 /**
  * @route   PUT /api/artworks/:id
- * @desc    Mettre à jour une œuvre (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Mettre à jour une œuvre
+ * @access  Private (artworks:write)
  */
-router.put('/:id', authenticate, requireAdmin, validateObjectId('id'), validateArtwork, async (req, res) => {
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateArtwork, async (req, res) => {
   try {
     const artwork = await Artwork.findById(req.params.id);
     
@@ -237,6 +306,14 @@ router.put('/:id', authenticate, requireAdmin, validateObjectId('id'), validateA
       { new: true, runValidators: true }
     ).populate('addedBy', 'firstName lastName email');
     
+    await recordAudit(req, {
+      action: 'artwork.updated',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
     res.json({
       success: true,
       message: 'Œuvre mise à jour avec succès',
@@ -254,10 +331,10 @@ router.put('/:id', authenticate, requireAdmin, validateObjectId('id'), validateA
 
 /**
  * @route   DELETE /api/artworks/:id
- * @desc    Supprimer une œuvre (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Supprimer une œuvre
+ * @access  Private (artworks:write)
  */
-router.delete('/:id', authenticate, requireAdmin, validateObjectId('id'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), async (req, res) => {
   try {
     const artwork = await Artwork.findById(req.params.id);
     
@@ -269,6 +346,15 @@ router.delete('/:id', authenticate, requireAdmin, validateObjectId('id'), async
     }
     
     await Artwork.findByIdAndDelete(req.params.id);
+    await deleteArtworkImageFiles(artwork);
+    await deleteArtworkAudioGuideFiles(artwork);
+    
+    await recordAudit(req, {
+      action: 'artwork.deleted',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork)
+    });
     
     res.json({
       success: true,
@@ -286,10 +372,10 @@ router.delete('/:id', authenticate, requireAdmin, validateObjectId('id'), async
 
 /**
  * @route   PATCH /api/artworks/:id/toggle-availability
- * @desc    Basculer la disponibilité d'une œuvre (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Basculer la disponibilité d'une œuvre
+ * @access  Private (artworks:write)
  */
-router.patch('/:id/toggle-availability', authenticate, requireAdmin, validateObjectId('id'), async (req, res) => {
+router.patch('/:id/toggle-availability', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), async (req, res) => {
   try {
     const artwork = await Artwork.findById(req.params.id);
     
@@ -300,9 +386,19 @@ router.patch('/:id/toggle-availability', authenticate, requireAdmin, validateObj
       });
     }
     
+    const before = toAuditSnapshot(artwork);
+    
     artwork.isAvailable = !artwork.isAvailable;
     await artwork.save();
     
+    await recordAudit(req, {
+      action: artwork.isAvailable ? 'artwork.enabled' : 'artwork.disabled',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before,
+      after: toAuditSnapshot(artwork)
+    });
+    
     res.json({
       success: true,
       message: `Œuvre ${artwork.isAvailable ? 'activée' : 'désactivée'} avec succès`,
@@ -318,9 +414,638 @@ router.patch('/:id/toggle-availability', authenticate, requireAdmin, validateObj
   }
 });
 
+/**
+ * @route   POST /api/artworks/:id/images
+ * @desc    Ajouter une image à la galerie (multipart: image, caption, isMain)
+ * @access  Private (artworks:write)
+ */
+router.post('/:id/images', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), uploadArtworkImage, validateArtworkImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune image fournie (champ "image")'
+      });
+    }
+    
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const { artwork: updatedArtwork, image } = await addArtworkImage(artwork, req.file, {
+      caption: req.body.caption,
+      isMain: req.body.isMain === 'true',
+      uploadedBy: req.user.id
+    });
+    
+    await recordAudit(req, {
+      action: 'artwork.image_added',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Image ajoutée avec succès',
+      data: image
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de l\'image:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de l\'ajout de l\'image'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/artworks/:id/images/order
+ * @desc    Réordonner la galerie ({ imageIds } dans l'ordre d'affichage)
+ * @access  Private (artworks:write)
+ */
+router.put('/:id/images/order', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateArtworkImageOrder, async (req, res) => {
+  try {
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const updatedArtwork = await reorderArtworkImages(artwork, req.body.imageIds);
+    
+    await recordAudit(req, {
+      action: 'artwork.images_reordered',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Galerie réordonnée avec succès',
+      data: updatedArtwork.images
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors du réordonnancement de la galerie:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors du réordonnancement de la galerie'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/artworks/:id/images/:imageId
+ * @desc    Modifier la légende d'une image ou en faire l'image principale
+ * @access  Private (artworks:write)
+ */
+router.patch('/:id/images/:imageId', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateObjectId('imageId'), validateArtworkImage, async (req, res) => {
+  try {
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const { artwork: updatedArtwork, image } = await updateArtworkImage(artwork, req.params.imageId, {
+      caption: req.body.caption,
+      isMain: req.body.isMain === true || req.body.isMain === 'true'
+    });
+    
+    await recordAudit(req, {
+      action: 'artwork.image_updated',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Image mise à jour avec succès',
+      data: image
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'image:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la mise à jour de l\'image'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/artworks/:id/images/:imageId
+ * @desc    Retirer une image de la galerie et supprimer ses fichiers
+ * @access  Private (artworks:write)
+ */
+router.delete('/:id/images/:imageId', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateObjectId('imageId'), async (req, res) => {
+  try {
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const updatedArtwork = await removeArtworkImage(artwork, req.params.imageId);
+    
+    await recordAudit(req, {
+      action: 'artwork.image_deleted',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Image supprimée avec succès',
+      data: updatedArtwork.images
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'image:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la suppression de l\'image'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/artworks/translations/missing
+ * @desc    Lister les œuvres auxquelles il manque des traductions (filtre: lang)
+ * @access  Private (artworks:write)
+ */
+router.get('/translations/missing', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateMissingTranslationsQuery, async (req, res) => {
+  try {
+    const { lang, page = 1, limit = 20 } = req.query;
+    const locales = lang ? [lang] : TRANSLATION_LOCALES;
+    
+    const filters = Artwork.missingTranslationsFilter(locales);
+    
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const artworks = await Artwork.find(filters)
+      .select('title artist audioGuide translations')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await Artwork.countDocuments(filters);
+    
+    // Nombre d'œuvres à traduire par langue
+    const summary = {};
+    for (const locale of locales) {
+      summary[locale] = await Artwork.countDocuments(Artwork.missingTranslationsFilter([locale]));
+    }
+    
+    res.json({
+      success: true,
+      data: artworks.map(artwork => {
+        const missing = artwork.getMissingTranslations();
+        
+        return {
+          id: artwork._id,
+          title: artwork.title,
+          artist: artwork.artist,
+          missing: lang ? { [lang]: missing[lang] } : missing
+        };
+      }),
+      summary,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la récupération des traductions manquantes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des traductions manquantes'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/artworks/:id/translations
+ * @desc    Obtenir le contenu de base et toutes les traductions d'une œuvre
+ * @access  Private (artworks:write)
+ */
+router.get('/:id/translations', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), async (req, res) => {
+  try {
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: formatTranslations(artwork)
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la récupération des traductions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des traductions'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/artworks/:id/translations/:locale
+ * @desc    Créer ou remplacer la traduction d'une œuvre (en, wo, ar)
+ * @access  Private (artworks:write)
+ */
+router.put('/:id/translations/:locale', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateArtworkTranslation, async (req, res) => {
+  try {
+    const { locale } = req.params;
+    const { title, description, audioGuide } = req.body;
+    
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const updatedArtwork = await Artwork.findByIdAndUpdate(
+      req.params.id,
+      { $set: { [`translations.${locale}`]: { title, description, audioGuide: audioGuide || undefined, updatedAt: new Date() } } },
+      { new: true, runValidators: true }
+    );
+    
+    await recordAudit(req, {
+      action: 'artwork.translation_updated',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Traduction enregistrée avec succès',
+      data: formatTranslations(updatedArtwork)
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement de la traduction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'enregistrement de la traduction'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/artworks/:id/translations/:locale
+ * @desc    Supprimer la traduction d'une œuvre (le contenu retombe sur la chaîne de repli)
+ * @access  Private (artworks:write)
+ */
+router.delete('/:id/translations/:locale', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateTranslationLocale, async (req, res) => {
+  try {
+    const { locale } = req.params;
+    
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    if (!artwork.translations?.[locale]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Traduction non trouvée'
+      });
+    }
+    
+    const updatedArtwork = await Artwork.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { [`translations.${locale}`]: 1 } },
+      { new: true }
+    );
+    
+    await recordAudit(req, {
+      action: 'artwork.translation_deleted',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Traduction supprimée avec succès',
+      data: formatTranslations(updatedArtwork)
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la traduction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression de la traduction'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/artworks/:id/audio-guides
+ * @desc    Lister les guides audio hébergés d'une œuvre (durée, débit, lien de diffusion)
+ * @access  Public
+ */
+router.get('/:id/audio-guides', validateObjectId('id'), async (req, res) => {
+  try {
+    const artwork = await Artwork.findById(req.params.id).select('hostedAudioGuides');
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        restricted: isAudioGuideRestricted(),
+        audioGuides: CONTENT_LOCALES.map(locale => formatAudioGuide(artwork, locale)).filter(Boolean)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la récupération des guides audio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des guides audio'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/artworks/:id/audio-guides/:locale
+ * @desc    Envoyer ou remplacer le guide audio d'une langue (multipart: audio; MP3, M4A ou OGG)
+ * @access  Private (artworks:write)
+ */
+router.put('/:id/audio-guides/:locale', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateAudioGuideLocale, uploadAudioGuide, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucun fichier audio fourni (champ "audio")'
+      });
+    }
+    
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const { artwork: updatedArtwork, audioGuide } = await setArtworkAudioGuide(artwork, req.params.locale, req.file, {
+      uploadedBy: req.user.id
+    });
+    
+    await recordAudit(req, {
+      action: 'artwork.audio_guide_updated',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Guide audio enregistré avec succès',
+      data: audioGuide
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement du guide audio:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de l\'enregistrement du guide audio'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/artworks/:id/audio-guides/:locale
+ * @desc    Supprimer le guide audio hébergé d'une langue et son fichier
+ * @access  Private (artworks:write)
+ */
+router.delete('/:id/audio-guides/:locale', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), validateObjectId('id'), validateAudioGuideLocale, async (req, res) => {
+  try {
+    const artwork = await Artwork.findById(req.params.id);
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const updatedArtwork = await removeArtworkAudioGuide(artwork, req.params.locale);
+    
+    await recordAudit(req, {
+      action: 'artwork.audio_guide_deleted',
+      targetType: 'artworks',
+      targetId: artwork._id,
+      before: toAuditSnapshot(artwork),
+      after: toAuditSnapshot(updatedArtwork)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Guide audio supprimé avec succès',
+      data: CONTENT_LOCALES.map(locale => formatAudioGuide(updatedArtwork, locale)).filter(Boolean)
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la suppression du guide audio:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la suppression du guide audio'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/artworks/:id/audio-guides/:locale/access
+ * @desc    Obtenir le lien d'écoute d'un guide audio
+ *          (AUDIO_GUIDE_ACCESS=ticket: lien signé réservé aux détenteurs d'un billet « Visite guidée » valide)
+ * @access  Public ou Private selon AUDIO_GUIDE_ACCESS
+ */
+router.get('/:id/audio-guides/:locale/access', optionalAuth, validateObjectId('id'), validateAudioGuideLocale, async (req, res) => {
+  try {
+    const { locale } = req.params;
+    
+    const artwork = await Artwork.findById(req.params.id).select('hostedAudioGuides');
+    
+    if (!artwork) {
+      return res.status(404).json({
+        success: false,
+        message: 'Œuvre non trouvée'
+      });
+    }
+    
+    const audioGuide = formatAudioGuide(artwork, locale);
+    
+    if (!audioGuide) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guide audio non trouvé'
+      });
+    }
+    
+    const access = await grantAudioGuideAccess(artwork, locale, req.user);
+    
+    res.json({
+      success: true,
+      data: { ...audioGuide, ...access }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de l\'accès au guide audio:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de l\'accès au guide audio'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/artworks/:id/audio-guides/:locale/stream
+ * @desc    Diffuser le fichier d'un guide audio, en entier ou par plage d'octets (en-tête Range)
+ *          (AUDIO_GUIDE_ACCESS=ticket: ?token= obtenu via /access)
+ * @access  Public ou lien signé selon AUDIO_GUIDE_ACCESS
+ */
+router.get('/:id/audio-guides/:locale/stream', validateObjectId('id'), validateAudioGuideLocale, async (req, res) => {
+  try {
+    const { locale } = req.params;
+    const restricted = isAudioGuideRestricted();
+    
+    if (restricted && !(await verifyAudioGuideToken(req.query.token, req.params.id, locale))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Lien d\'écoute invalide ou expiré, demandez un nouvel accès au guide audio'
+      });
+    }
+    
+    const artwork = await Artwork.findById(req.params.id).select('hostedAudioGuides');
+    const guide = artwork?.hostedAudioGuides?.[locale];
+    
+    if (!guide?.key) {
+      return res.status(404).json({
+        success: false,
+        message: artwork ? 'Guide audio non trouvé' : 'Œuvre non trouvée'
+      });
+    }
+    
+    const size = await getAudioGuideFileSize(guide);
+    
+    // La clé change à chaque envoi: elle identifie la version du fichier
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': guide.mimeType,
+      'Cache-Control': `${restricted ? 'private' : 'public'}, no-cache`,
+      'ETag': `"${guide.key}"`,
+      'Last-Modified': guide.uploadedAt.toUTCString(),
+      // Lecture par un lecteur audio du frontend (autre origine)
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    // If-Range: la plage ne s'applique que si le fichier n'a pas changé depuis la première lecture
+    const ifRange = req.get('If-Range');
+    const ranges = !ifRange || ifRange === res.get('ETag') ? req.range(size, { combine: true }) : undefined;
+    
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    
+    // En-tête absent, mal formé ou à plusieurs plages: fichier complet
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    
+    res.set('Content-Length', String(end - start + 1));
+    
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    
+    const stream = await openAudioGuideStream(guide, { start, end });
+    
+    try {
+      await pipeline(stream, res);
+    } catch (error) {
+      // Lecture interrompue par le client (avance rapide, fermeture du lecteur)
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+    }
+    
+  } catch (error) {
+    console.error('Erreur lors de la diffusion du guide audio:', error);
+    
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la diffusion du guide audio'
+    });
+  }
+});
+
 /**
  * @route   GET /api/artworks/stats/popular
- * @desc    Obtenir les œuvres populaires
+ * @desc    Obtenir les œuvres populaires (langue: ?lang= ou Accept-Language)
  * @access  Public
  */
 router.get('/stats/popular', async (req, res) => {
@@ -331,7 +1056,7 @@ router.get('/stats/popular', async (req, res) => {
     
     res.json({
       success: true,
-      data: popularArtworks
+      data: popularArtworks.map(artwork => artwork.toLocalizedJSON(req.locale))
     });
     
   } catch (error) {
@@ -345,10 +1070,10 @@ router.get('/stats/popular', async (req, res) => {
 
 /**
  * @route   GET /api/artworks/stats/overview
- * @desc    Obtenir les statistiques générales (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Obtenir les statistiques générales
+ * @access  Private (artworks:write)
  */
-router.get('/stats/overview', authenticate, requireAdmin, async (req, res) => {
+router.get('/stats/overview', authenticate, requirePermission(PERMISSIONS.ARTWORKS_WRITE), async (req, res) => {
   try {
     const totalArtworks = await Artwork.countDocuments();
     const availableArtworks = await Artwork.countDocuments({ isAvailable: true });
@@ -4,19 +4,74 @@
  * Responsabilités:
  * - Gérer l'authentification des utilisateurs et administrateurs
  * - Gérer l'inscription des utilisateurs
- * - Gérer les tokens JWT
- * - Gérer les sessions utilisateur
+ * - Gérer les tokens JWT (token d'accès court + refresh token par appareil)
+ * - Gérer les sessions utilisateur (rafraîchissement, déconnexion, appareils connectés)
  */
 
 import express from 'express';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import rateLimit from 'express-rate-limit';
 import User from '../models/User.js';
-import { authenticate, generateToken } from '../middleware/auth.js';
-import { validateUserLogin, validateUserRegister, validateAdminLogin } from '../middleware/validation.js';
+import {
+  authenticate,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken
+} from '../middleware/auth.js';
+import {
+  validateUserLogin,
+  validateUserRegister,
+  validateAdminLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
+  validateRefreshToken,
+  validateObjectId
+} from '../middleware/validation.js';
+import {
+  notifyRegistration,
+  notifyPasswordReset,
+  notifyEmailVerification
+} from '../services/notifications/index.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} from '../services/sessions/index.js';
+import { STAFF_ROLES, getRolePermissions } from '../config/roles.js';
+import { apiError, translate } from '../services/i18n/index.js';
 
 const router = express.Router();
 
+// Limitation des demandes de réinitialisation par adresse email
+// (placée après la validation: l'email est déjà normalisé)
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 3, // 3 demandes par email et par heure
+  keyGenerator: (req) => `forgot-password:${req.body.email}`,
+  message: (req) => apiError(req, 'PASSWORD_RESET_RATE_LIMITED'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Limitation des nouveaux envois du lien de vérification par utilisateur
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 3, // 3 envois par utilisateur et par heure
+  keyGenerator: (req) => `resend-verification:${req.user.id}`,
+  message: (req) => apiError(req, 'VERIFICATION_RATE_LIMITED'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Informations sur l'appareil à l'origine de la requête
+ */
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
 /**
  * @route   POST /api/auth/register
  * @desc    Inscription d'un nouvel utilisateur
@@ -24,15 +79,12 @@ const router = express.Router();
  */
 router.post('/register', validateUserRegister, async (req, res) => {
   try {
-    const { firstName, lastName, email, password, phone } = req.body;
+    const { firstName, lastName, email, password, phone, locale } = req.body;
     
     // Vérifier si l'utilisateur existe déjà
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'Un utilisateur avec cet email existe déjà'
-      });
+      return res.status(400).json(apiError(req, 'EMAIL_ALREADY_REGISTERED'));
     }
     
     // Créer le nouvel utilisateur
@@ -42,13 +94,17 @@ router.post('/register', validateUserRegister, async (req, res) => {
       email,
       password,
       phone,
+      locale,
       role: 'user'
     });
     
     await user.save();
     
-    // Générer le token JWT
-    const token = generateToken(user._id);
+    // Email de bienvenue avec le lien de vérification (envoyé en arrière-plan)
+    await notifyRegistration(user, generateEmailVerificationToken(user));
+    
+    // Ouvrir une session pour cet appareil (token d'accès + refresh token)
+    const tokens = await createSession(user, getDeviceInfo(req));
     
     // Retourner les informations utilisateur (sans mot de passe)
     const userResponse = {
@@ -56,25 +112,26 @@ router.post('/register', validateUserRegister, async (req, res) => {
       firstName: user.firstName,
       lastName: user.lastName,
       email: user.email,
+      emailVerified: user.emailVerified,
       phone: user.phone,
+      locale: user.locale,
+      smsOptOut: user.smsOptOut,
       role: user.role,
+      permissions: getRolePermissions(user.role),
       isActive: user.isActive,
       createdAt: user.createdAt
     };
     
     res.status(201).json({
       success: true,
-      message: 'Inscription réussie',
-      token,
+      message: translate(req.locale, 'REGISTRATION_SUCCESS'),
+      ...tokens,
       user: userResponse
     });
     
   } catch (error) {
     console.error('Erreur lors de l\'inscription:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de l\'inscription'
-    });
+    res.status(500).json(apiError(req, 'REGISTRATION_ERROR'));
   }
 });
 
@@ -91,35 +148,26 @@ router.post('/login', validateUserLogin, async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Email ou mot de passe incorrect'
-      });
+      return res.status(401).json(apiError(req, 'INVALID_CREDENTIALS'));
     }
     
     // Vérifier le mot de passe
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Email ou mot de passe incorrect'
-      });
+      return res.status(401).json(apiError(req, 'INVALID_CREDENTIALS'));
     }
     
     // Vérifier si le compte est actif
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Compte désactivé. Contactez l\'administrateur.'
-      });
+      return res.status(401).json(apiError(req, 'ACCOUNT_DISABLED_CONTACT_ADMIN'));
     }
     
     // Mettre à jour la dernière connexion
     await user.updateLastLogin();
     
-    // Générer le token JWT
-    const token = generateToken(user._id);
+    // Ouvrir une session pour cet appareil (token d'accès + refresh token)
+    const tokens = await createSession(user, getDeviceInfo(req));
     
     // Retourner les informations utilisateur (sans mot de passe)
     const userResponse = {
@@ -127,8 +175,12 @@ router.post('/login', validateUserLogin, async (req, res) => {
       firstName: user.firstName,
       lastName: user.lastName,
       email: user.email,
+      emailVerified: user.emailVerified,
       phone: user.phone,
+      locale: user.locale,
+      smsOptOut: user.smsOptOut,
       role: user.role,
+      permissions: getRolePermissions(user.role),
       isActive: user.isActive,
       lastLogin: user.lastLogin,
       createdAt: user.createdAt
@@ -136,23 +188,20 @@ router.post('/login', validateUserLogin, async (req, res) => {
     
     res.json({
       success: true,
-      message: 'Connexion réussie',
-      token,
+      message: translate(req.locale, 'LOGIN_SUCCESS'),
+      ...tokens,
       user: userResponse
     });
     
   } catch (error) {
     console.error('Erreur lors de la connexion:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la connexion'
-    });
+    res.status(500).json(apiError(req, 'LOGIN_ERROR'));
   }
 });
 
 /**
  * @route   POST /api/auth/admin/login
- * @desc    Connexion administrateur
+ * @desc    Connexion du personnel (tout rôle disposant d'au moins une permission)
  * @access  Public
  */
 router.post('/admin/login', validateAdminLogin, async (req, res) => {
@@ -160,38 +209,29 @@ router.post('/admin/login', validateAdminLogin, async (req, res) => {
     const { email, password } = req.body;
     
     // Récupérer l'administrateur avec le mot de passe
-    const admin = await User.findOne({ email, role: 'admin' }).select('+password');
+    const admin = await User.findOne({ email, role: { $in: STAFF_ROLES } }).select('+password');
     
     if (!admin) {
-      return res.status(401).json({
-        success: false,
-        message: 'Email ou mot de passe incorrect'
-      });
+      return res.status(401).json(apiError(req, 'INVALID_CREDENTIALS'));
     }
     
     // Vérifier le mot de passe
     const isPasswordValid = await admin.comparePassword(password);
     
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Email ou mot de passe incorrect'
-      });
+      return res.status(401).json(apiError(req, 'INVALID_CREDENTIALS'));
     }
     
     // Vérifier si le compte est actif
     if (!admin.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Compte administrateur désactivé'
-      });
+      return res.status(401).json(apiError(req, 'ADMIN_ACCOUNT_DISABLED'));
     }
     
     // Mettre à jour la dernière connexion
     await admin.updateLastLogin();
     
-    // Générer le token JWT
-    const token = generateToken(admin._id);
+    // Ouvrir une session pour cet appareil (token d'accès + refresh token)
+    const tokens = await createSession(admin, getDeviceInfo(req));
     
     // Retourner les informations administrateur (sans mot de passe)
     const adminResponse = {
@@ -199,8 +239,10 @@ router.post('/admin/login', validateAdminLogin, async (req, res) => {
       firstName: admin.firstName,
       lastName: admin.lastName,
       email: admin.email,
+      emailVerified: admin.emailVerified,
       phone: admin.phone,
       role: admin.role,
+      permissions: getRolePermissions(admin.role),
       isActive: admin.isActive,
       lastLogin: admin.lastLogin,
       createdAt: admin.createdAt
@@ -208,17 +250,14 @@ router.post('/admin/login', validateAdminLogin, async (req, res) => {
     
     res.json({
       success: true,
-      message: 'Connexion administrateur réussie',
-      token,
+      message: translate(req.locale, 'ADMIN_LOGIN_SUCCESS'),
+      ...tokens,
       user: adminResponse
     });
     
   } catch (error) {
     console.error('Erreur lors de la connexion administrateur:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la connexion administrateur'
-    });
+    res.status(500).json(apiError(req, 'ADMIN_LOGIN_ERROR'));
   }
 });
 
@@ -232,10 +271,7 @@ router.get('/me', authenticate, async (req, res) => {
     const user = await User.findById(req.user.id).select('-password');
     
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Utilisateur non trouvé'
-      });
+      return res.status(404).json(apiError(req, 'USER_NOT_FOUND'));
     }
     
     res.json({
@@ -245,8 +281,12 @@ router.get('/me', authenticate, async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.emailVerified,
         phone: user.phone,
+        locale: user.locale,
+        smsOptOut: user.smsOptOut,
         role: user.role,
+        permissions: getRolePermissions(user.role),
         isActive: user.isActive,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
@@ -255,10 +295,7 @@ router.get('/me', authenticate, async (req, res) => {
     
   } catch (error) {
     console.error('Erreur lors de la récupération du profil:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la récupération du profil'
-    });
+    res.status(500).json(apiError(req, 'PROFILE_FETCH_ERROR'));
   }
 });
 
@@ -269,7 +306,7 @@ router.get('/me', authenticate, async (req, res) => {
  */
 router.put('/profile', authenticate, async (req, res) => {
   try {
-    const { firstName, lastName, phone } = req.body;
+    const { firstName, lastName, phone, locale, smsOptOut } = req.body;
     
     // Mettre à jour les informations utilisateur
     const user = await User.findById(req.user.id);
@@ -277,19 +314,25 @@ router.put('/profile', authenticate, async (req, res) => {
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
     if (phone) user.phone = phone;
+    if (locale) user.locale = locale;
+    if (typeof smsOptOut === 'boolean') user.smsOptOut = smsOptOut;
     
     await user.save();
     
     res.json({
       success: true,
-      message: 'Profil mis à jour avec succès',
+      message: translate(req.locale, 'PROFILE_UPDATED'),
       user: {
         id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.emailVerified,
         phone: user.phone,
+        locale: user.locale,
+        smsOptOut: user.smsOptOut,
         role: user.role,
+        permissions: getRolePermissions(user.role),
         isActive: user.isActive,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
@@ -298,10 +341,7 @@ router.put('/profile', authenticate, async (req, res) => {
     
   } catch (error) {
     console.error('Erreur lors de la mise à jour du profil:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la mise à jour du profil'
-    });
+    res.status(500).json(apiError(req, 'PROFILE_UPDATE_ERROR'));
   }
 });
 
@@ -315,17 +355,11 @@ router.post('/change-password', authenticate, async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     
     if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Mot de passe actuel et nouveau mot de passe requis'
-      });
+      return res.status(400).json(apiError(req, 'PASSWORDS_REQUIRED'));
     }
     
     if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Le nouveau mot de passe doit contenir au moins 6 caractères'
-      });
+      return res.status(400).json(apiError(req, 'NEW_PASSWORD_TOO_SHORT'));
     }
     
     // Récupérer l'utilisateur avec le mot de passe
@@ -335,40 +369,258 @@ router.post('/change-password', authenticate, async (req, res) => {
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
     
     if (!isCurrentPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Mot de passe actuel incorrect'
-      });
+      return res.status(401).json(apiError(req, 'CURRENT_PASSWORD_INCORRECT'));
     }
     
-    // Mettre à jour le mot de passe
+    // Mettre à jour le mot de passe (les tokens existants sont invalidés)
     user.password = newPassword;
     await user.save();
     
+    // Fermer toutes les sessions et en rouvrir une pour cet appareil
+    await revokeAllSessions(user._id, 'credentials_changed');
+    const tokens = await createSession(user, getDeviceInfo(req));
+    
     res.json({
       success: true,
-      message: 'Mot de passe modifié avec succès'
+      message: translate(req.locale, 'PASSWORD_CHANGED'),
+      ...tokens
     });
     
   } catch (error) {
     console.error('Erreur lors du changement de mot de passe:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors du changement de mot de passe'
+    res.status(500).json(apiError(req, 'PASSWORD_CHANGE_ERROR'));
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Vérifier l'adresse email avec le token du lien reçu
+ * @access  Public
+ */
+router.post('/verify-email', validateEmailVerification, async (req, res) => {
+  try {
+    const payload = verifyEmailVerificationToken(req.body.token);
+    
+    // Le lien n'est valable que pour l'adresse à laquelle il a été envoyé
+    const user = payload ? await User.findOne({ _id: payload.id, email: payload.email }) : null;
+    
+    if (!user) {
+      return res.status(400).json(apiError(req, 'VERIFICATION_LINK_INVALID'));
+    }
+    
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+    
+    res.json({
+      success: true,
+      message: translate(req.locale, 'EMAIL_VERIFIED'),
+      data: {
+        emailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la vérification de l\'email:', error);
+    res.status(500).json(apiError(req, 'EMAIL_VERIFICATION_ERROR'));
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Renvoyer le lien de vérification de l'adresse email
+ * @access  Private
+ */
+router.post('/resend-verification', authenticate, resendVerificationLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(409).json(apiError(req, 'EMAIL_ALREADY_VERIFIED'));
+    }
+    
+    await notifyEmailVerification(req.user, generateEmailVerificationToken(req.user));
+    
+    res.json({
+      success: true,
+      message: translate(req.locale, 'VERIFICATION_EMAIL_SENT')
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de l\'envoi du lien de vérification:', error);
+    res.status(500).json(apiError(req, 'VERIFICATION_EMAIL_ERROR'));
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Demander un lien de réinitialisation du mot de passe
+ * @access  Public
+ */
+router.post('/forgot-password', validateForgotPassword, forgotPasswordLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      await notifyPasswordReset(user, token);
+    }
+    
+    // Même réponse que le compte existe ou non
+    res.json({
+      success: true,
+      message: translate(req.locale, 'PASSWORD_RESET_EMAIL_SENT')
     });
+    
+  } catch (error) {
+    console.error('Erreur lors de la demande de réinitialisation du mot de passe:', error);
+    res.status(500).json(apiError(req, 'PASSWORD_RESET_REQUEST_ERROR'));
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Réinitialiser le mot de passe avec le token reçu par email
+ * @access  Public
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    const user = await User.consumePasswordResetToken(token);
+    
+    if (!user) {
+      return res.status(400).json(apiError(req, 'RESET_LINK_INVALID'));
+    }
+    
+    await user.resetPassword(newPassword);
+    await revokeAllSessions(user._id, 'password_reset');
+    
+    res.json({
+      success: true,
+      message: translate(req.locale, 'PASSWORD_RESET_SUCCESS')
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
+    res.status(500).json(apiError(req, 'PASSWORD_RESET_ERROR'));
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Obtenir une nouvelle paire de tokens (le refresh token présenté est remplacé)
+ * @access  Public (refresh token requis)
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken, getDeviceInfo(req));
+    
+    res.json({
+      success: true,
+      message: translate(req.locale, 'SESSION_REFRESHED'),
+      ...tokens
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors du rafraîchissement de la session:', error);
+    res.status(error.statusCode || 500).json(apiError(req, error.messageCode || 'SESSION_REFRESH_ERROR'));
   }
 });
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Déconnexion (côté client principalement)
+ * @desc    Déconnexion de l'appareil courant (révocation de sa session)
+ * @access  Private
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user._id, 'logout');
+    
+    res.json({
+      success: true,
+      message: translate(req.locale, 'LOGOUT_SUCCESS')
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion:', error);
+    res.status(500).json(apiError(req, 'LOGOUT_ERROR'));
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Déconnexion de tous les appareils
  * @access  Private
  */
-router.post('/logout', authenticate, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Déconnexion réussie'
-  });
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, 'logout_all');
+    
+    res.json({
+      success: true,
+      message: translate(req.locale, 'LOGOUT_ALL_SUCCESS'),
+      data: { revokedCount }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion de tous les appareils:', error);
+    res.status(500).json(apiError(req, 'LOGOUT_ALL_ERROR'));
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Lister les sessions actives (appareils connectés)
+ * @access  Private
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la récupération des sessions:', error);
+    res.status(500).json(apiError(req, 'SESSIONS_FETCH_ERROR'));
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Déconnecter un appareil
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, validateObjectId('id'), async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user._id, 'logout');
+    
+    if (!revoked) {
+      return res.status(404).json(apiError(req, 'SESSION_NOT_FOUND'));
+    }
+    
+    res.json({
+      success: true,
+      message: translate(req.locale, 'SESSION_REVOKED')
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la révocation de la session:', error);
+    res.status(500).json(apiError(req, 'SESSION_REVOKE_ERROR'));
+  }
 });
 
 export default router;
@@ -0,0 +1,277 @@
+/**
+ * Routes du paiement mobile money
+ *
+ * Responsabilités:
+ * - Créer les intentions de paiement Wave / Orange Money
+ * - Recevoir les notifications signées des opérateurs
+ * - Consulter l'état d'une transaction
+ * - Lister et clore les anomalies de paiement à traiter (personnel)
+ * - Simuler les notifications des opérateurs hors production
+ */
+
+import express from 'express';
+import Purchase from '../models/Purchase.js';
+import MobileMoneyTransaction from '../models/MobileMoneyTransaction.js';
+import { authenticate, requirePermission, requireUser } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../config/roles.js';
+import { validateMobileMoneyIntent, validatePaymentReviewResolution } from '../middleware/validation.js';
+import {
+  createPaymentIntent,
+  handleOperatorCallback,
+  resolveTransactionReview,
+  simulateOperatorCallback
+} from '../services/payments/mobileMoney/index.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/payments/mobile-money/intents
+ * @desc    Démarrer un paiement mobile money pour un achat
+ * @access  Private (User)
+ */
+router.post('/intents', authenticate, requireUser, validateMobileMoneyIntent, async (req, res) => {
+  try {
+    const { purchaseId, operator, phone } = req.body;
+
+    const purchase = await Purchase.findOne({
+      _id: purchaseId,
+      'customer.userId': req.user.id
+    });
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+
+    const transaction = await createPaymentIntent(purchase, { operator, phone });
+
+    res.status(201).json({
+      success: true,
+      message: 'Paiement mobile money initié',
+      data: {
+        reference: transaction.reference,
+        operator: transaction.operator,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        status: transaction.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'initiation du paiement mobile money:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de l\'initiation du paiement mobile money'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/payments/mobile-money/intents/:reference
+ * @desc    Obtenir l'état d'une transaction mobile money
+ * @access  Private (User)
+ */
+router.get('/intents/:reference', authenticate, requireUser, async (req, res) => {
+  try {
+    const transaction = await MobileMoneyTransaction.findOne({ reference: req.params.reference })
+      .populate('purchase', 'customer.userId status total');
+
+    const isOwner = transaction?.purchase &&
+      transaction.purchase.customer.userId.toString() === req.user.id;
+
+    if (!transaction || (!isOwner && !hasPermission(req.user, PERMISSIONS.PURCHASES_READ))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction mobile money non trouvée'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transaction
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la transaction mobile money:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération de la transaction mobile money'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/payments/mobile-money/review
+ * @desc    Lister les transactions à traiter (payées sans billet, montant incohérent)
+ * @access  Private (payments:confirm)
+ */
+router.get('/review', authenticate, requirePermission(PERMISSIONS.PAYMENTS_CONFIRM), async (req, res) => {
+  try {
+    const transactions = await MobileMoneyTransaction.find({ needsReview: true })
+      .populate('purchase', 'customer status total validUntil')
+      .sort({ updatedAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: transactions
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des transactions à traiter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des transactions à traiter'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/mobile-money/review/:reference/resolve
+ * @desc    Marquer une anomalie comme traitée ({ note }: remboursement ou confirmation effectués)
+ * @access  Private (payments:confirm)
+ */
+router.post('/review/:reference/resolve', authenticate, requirePermission(PERMISSIONS.PAYMENTS_CONFIRM), validatePaymentReviewResolution, async (req, res) => {
+  try {
+    const transaction = await MobileMoneyTransaction.findOne({ reference: req.params.reference });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction mobile money non trouvée'
+      });
+    }
+
+    const resolved = await resolveTransactionReview(transaction, {
+      reviewedBy: req.user._id,
+      note: req.body.note
+    });
+
+    await recordAudit(req, {
+      action: 'mobile_money.review_resolved',
+      targetType: 'mobile_money_transactions',
+      targetId: transaction._id,
+      before: toAuditSnapshot(transaction),
+      after: toAuditSnapshot(resolved)
+    });
+
+    res.json({
+      success: true,
+      message: 'Anomalie marquée comme traitée',
+      data: resolved
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du traitement de l\'anomalie de paiement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors du traitement de l\'anomalie de paiement'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/mobile-money/callback/:operator
+ * @desc    Recevoir la notification signée d'un opérateur
+ * @access  Public (signature HMAC requise)
+ */
+router.post('/callback/:operator', async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Corps de requête JSON requis'
+      });
+    }
+
+    const { transaction, duplicate } = await handleOperatorCallback(
+      req.params.operator,
+      req.rawBody.toString('utf8'),
+      req.headers
+    );
+
+    // Les doublons sont acquittés pour que l'opérateur cesse de les renvoyer
+    res.json({
+      success: true,
+      message: duplicate ? 'Notification déjà traitée' : 'Notification traitée avec succès',
+      data: {
+        reference: transaction.reference,
+        status: transaction.status,
+        duplicate
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du traitement de la notification mobile money:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors du traitement de la notification mobile money'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/mobile-money/simulate/:reference
+ * @desc    Simuler la notification de l'opérateur (hors production)
+ * @access  Private (User)
+ */
+router.post('/simulate/:reference', authenticate, requireUser, async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: `Route ${req.originalUrl} non trouvée`
+      });
+    }
+
+    const { outcome = 'succeeded', amount, eventId } = req.body;
+
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le résultat doit être "succeeded" ou "failed"'
+      });
+    }
+
+    const existing = await MobileMoneyTransaction.findOne({ reference: req.params.reference })
+      .populate('purchase', 'customer.userId');
+
+    const isOwner = existing?.purchase &&
+      existing.purchase.customer.userId.toString() === req.user.id;
+
+    if (!existing || (!isOwner && !hasPermission(req.user, PERMISSIONS.PAYMENTS_CONFIRM))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction mobile money non trouvée'
+      });
+    }
+
+    const { transaction, purchase, duplicate } = await simulateOperatorCallback(req.params.reference, {
+      outcome,
+      amount: amount !== undefined ? Number(amount) : undefined,
+      eventId
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification simulée avec succès',
+      data: {
+        transaction,
+        purchaseStatus: purchase?.status,
+        duplicate
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la simulation mobile money:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la simulation mobile money'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+/**
+ * Routes des notifications
+ *
+ * Responsabilités:
+ * - Recevoir les accusés de remise des SMS envoyés par le fournisseur
+ */
+
+import express from 'express';
+import { getSmsProvider, updateSmsDeliveryStatus } from '../services/notifications/index.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/notifications/sms/status
+ * @desc    Recevoir l'accusé de remise d'un SMS
+ * @access  Public (signature du fournisseur requise)
+ */
+router.post('/sms/status', async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Corps de requête JSON requis'
+      });
+    }
+
+    const provider = getSmsProvider();
+
+    if (!provider.verifyStatusCallback(req.rawBody.toString('utf8'), req.headers)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Signature de l\'accusé de remise invalide'
+      });
+    }
+
+    const notification = await updateSmsDeliveryStatus(provider.parseStatusCallback(req.body));
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message SMS non trouvé'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Accusé de remise enregistré avec succès',
+      data: {
+        notificationId: notification._id,
+        deliveryStatus: notification.deliveryStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du traitement de l\'accusé de remise SMS:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors du traitement de l\'accusé de remise SMS'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,271 @@
+/**
+ * Routes des paiements
+ *
+ * Responsabilités:
+ * - Initier les paiements des achats auprès des fournisseurs
+ * - Confirmer ou marquer en échec les paiements (personnel)
+ * - Recevoir les webhooks des fournisseurs de paiement
+ * - Simuler les webhooks de la passerelle locale hors production
+ * - Monter le sous-système mobile money
+ */
+
+import express from 'express';
+import Purchase from '../models/Purchase.js';
+import { authenticate, requirePermission, requireUser } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../config/roles.js';
+import { validateObjectId } from '../middleware/validation.js';
+import {
+  PAYMENT_STATUS,
+  getPaymentProvider,
+  confirmPurchasePayment,
+  failPurchasePayment,
+  processPaymentWebhook
+} from '../services/payments/index.js';
+import fakeGateway from '../services/payments/fakeGateway.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
+import mobileMoneyRoutes from './mobileMoney.js';
+
+const router = express.Router();
+
+// Sous-système mobile money (Wave, Orange Money)
+router.use('/mobile-money', mobileMoneyRoutes);
+
+/**
+ * @route   POST /api/payments/webhook/:method
+ * @desc    Recevoir la notification d'un fournisseur de paiement
+ * @access  Public (signature HMAC requise)
+ */
+router.post('/webhook/:method', async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Corps de requête JSON requis'
+      });
+    }
+
+    const { purchase, result } = await processPaymentWebhook(
+      req.params.method,
+      req.rawBody.toString('utf8'),
+      req.headers
+    );
+
+    res.json({
+      success: true,
+      message: 'Webhook traité avec succès',
+      data: {
+        purchaseId: purchase._id,
+        status: purchase.status,
+        paymentReference: result.reference
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du traitement du webhook de paiement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors du traitement du webhook de paiement'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/:purchaseId/initiate
+ * @desc    Initier le paiement d'un achat en attente
+ * @access  Private (User)
+ */
+router.post('/:purchaseId/initiate', authenticate, requireUser, validateObjectId('purchaseId'), async (req, res) => {
+  try {
+    const purchase = await Purchase.findOne({
+      _id: req.params.purchaseId,
+      'customer.userId': req.user.id
+    });
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+
+    if (purchase.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Seul un achat en attente peut être payé'
+      });
+    }
+
+    const provider = getPaymentProvider(purchase.paymentMethod);
+    const payment = await provider.initiatePayment(purchase, req.body);
+
+    purchase.paymentReference = payment.reference;
+    await purchase.save();
+
+    res.json({
+      success: true,
+      message: 'Paiement initié avec succès',
+      data: {
+        purchaseId: purchase._id,
+        paymentMethod: purchase.paymentMethod,
+        amount: purchase.total,
+        ...payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'initiation du paiement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de l\'initiation du paiement'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/:purchaseId/confirm
+ * @desc    Confirmer manuellement un paiement (guichet, virement reçu)
+ * @access  Private (payments:confirm)
+ */
+router.post('/:purchaseId/confirm', authenticate, requirePermission(PERMISSIONS.PAYMENTS_CONFIRM), validateObjectId('purchaseId'), async (req, res) => {
+  try {
+    const { paymentReference } = req.body;
+
+    const purchase = await Purchase.findById(req.params.purchaseId);
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+
+    const before = toAuditSnapshot(purchase);
+
+    await confirmPurchasePayment(purchase, paymentReference);
+
+    await recordAudit(req, {
+      action: 'purchase.payment_confirmed',
+      targetType: 'purchases',
+      targetId: purchase._id,
+      before,
+      after: toAuditSnapshot(purchase)
+    });
+
+    res.json({
+      success: true,
+      message: 'Paiement confirmé avec succès',
+      data: purchase
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la confirmation du paiement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la confirmation du paiement'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/:purchaseId/fail
+ * @desc    Marquer un paiement comme échoué et libérer le stock
+ * @access  Private (payments:confirm)
+ */
+router.post('/:purchaseId/fail', authenticate, requirePermission(PERMISSIONS.PAYMENTS_CONFIRM), validateObjectId('purchaseId'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const purchase = await Purchase.findById(req.params.purchaseId);
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+
+    const before = toAuditSnapshot(purchase);
+
+    await failPurchasePayment(purchase, reason);
+
+    await recordAudit(req, {
+      action: 'purchase.payment_failed',
+      targetType: 'purchases',
+      targetId: purchase._id,
+      before,
+      after: toAuditSnapshot(purchase)
+    });
+
+    res.json({
+      success: true,
+      message: 'Paiement marqué comme échoué',
+      data: purchase
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du marquage de l\'échec du paiement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors du marquage de l\'échec du paiement'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/:purchaseId/simulate
+ * @desc    Simuler le webhook de la passerelle locale (hors production)
+ * @access  Private (User)
+ */
+router.post('/:purchaseId/simulate', authenticate, requireUser, validateObjectId('purchaseId'), async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: `Route ${req.originalUrl} non trouvée`
+      });
+    }
+
+    const { outcome = PAYMENT_STATUS.SUCCEEDED, reason = '' } = req.body;
+
+    if (![PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.FAILED].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le résultat doit être "succeeded" ou "failed"'
+      });
+    }
+
+    const filters = { _id: req.params.purchaseId };
+    if (!hasPermission(req.user, PERMISSIONS.PAYMENTS_CONFIRM)) filters['customer.userId'] = req.user.id;
+
+    const purchase = await Purchase.findOne(filters);
+
+    if (!purchase || !fakeGateway.getCharge(purchase.paymentReference)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aucun paiement initié pour cet achat'
+      });
+    }
+
+    const webhook = fakeGateway.buildWebhook(purchase.paymentReference, outcome, reason);
+    const { purchase: updatedPurchase } = await processPaymentWebhook(
+      purchase.paymentMethod,
+      webhook.rawBody,
+      { 'x-payment-signature': webhook.signature }
+    );
+
+    res.json({
+      success: true,
+      message: 'Webhook simulé avec succès',
+      data: updatedPurchase
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la simulation du paiement:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la simulation du paiement'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,249 @@
+/**
+ * Routes des codes promo
+ *
+ * Responsabilités:
+ * - Gérer les CRUD des codes promo (Admin)
+ * - Consulter l'utilisation des codes
+ */
+
+import express from 'express';
+import PromoCode from '../models/PromoCode.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validatePromoCode, validateObjectId, validateSearchQuery } from '../middleware/validation.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
+
+const router = express.Router();
+
+// Champs modifiables d'un code promo
+const PROMO_CODE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderAmount',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'categories', 'isActive'
+];
+
+/**
+ * Extraire les champs modifiables du corps de la requête
+ */
+const pickPromoCodeFields = (body) => {
+  return PROMO_CODE_FIELDS
+    .filter(field => body[field] !== undefined)
+    .reduce((data, field) => ({ ...data, [field]: body[field] }), {});
+};
+
+/**
+ * @route   GET /api/promo-codes
+ * @desc    Obtenir la liste des codes promo
+ * @access  Private (promo-codes:write)
+ */
+router.get('/', authenticate, requirePermission(PERMISSIONS.PROMO_CODES_WRITE), validateSearchQuery, async (req, res) => {
+  try {
+    const { isActive, page = 1, limit = 20 } = req.query;
+
+    // Construire les filtres
+    const filters = {};
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const promoCodes = await PromoCode.find(filters)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PromoCode.countDocuments(filters);
+
+    res.json({
+      success: true,
+      data: promoCodes,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des codes promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des codes promo'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/promo-codes/:id
+ * @desc    Obtenir un code promo par ID
+ * @access  Private (promo-codes:write)
+ */
+router.get('/:id', authenticate, requirePermission(PERMISSIONS.PROMO_CODES_WRITE), validateObjectId('id'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Code promo non trouvé'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du code promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération du code promo'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/promo-codes
+ * @desc    Créer un code promo
+ * @access  Private (promo-codes:write)
+ */
+router.post('/', authenticate, requirePermission(PERMISSIONS.PROMO_CODES_WRITE), validatePromoCode, async (req, res) => {
+  try {
+    const existingPromoCode = await PromoCode.findOne({ code: req.body.code.toUpperCase() });
+
+    if (existingPromoCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ce code promo existe déjà'
+      });
+    }
+
+    const promoCode = new PromoCode({
+      ...pickPromoCodeFields(req.body),
+      createdBy: req.user.id
+    });
+    await promoCode.save();
+
+    await recordAudit(req, {
+      action: 'promo_code.created',
+      targetType: 'promo_codes',
+      targetId: promoCode._id,
+      after: toAuditSnapshot(promoCode)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Code promo créé avec succès',
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du code promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la création du code promo'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/promo-codes/:id
+ * @desc    Mettre à jour un code promo
+ * @access  Private (promo-codes:write)
+ */
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.PROMO_CODES_WRITE), validateObjectId('id'), validatePromoCode, async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Code promo non trouvé'
+      });
+    }
+
+    const duplicate = await PromoCode.findOne({
+      code: req.body.code.toUpperCase(),
+      _id: { $ne: promoCode._id }
+    });
+
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ce code promo existe déjà'
+      });
+    }
+
+    const before = toAuditSnapshot(promoCode);
+
+    // Le compteur d'utilisations n'est jamais modifié ici
+    promoCode.set(pickPromoCodeFields(req.body));
+    await promoCode.save();
+
+    await recordAudit(req, {
+      action: 'promo_code.updated',
+      targetType: 'promo_codes',
+      targetId: promoCode._id,
+      before,
+      after: toAuditSnapshot(promoCode)
+    });
+
+    res.json({
+      success: true,
+      message: 'Code promo mis à jour avec succès',
+      data: promoCode
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du code promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour du code promo'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/promo-codes/:id
+ * @desc    Supprimer un code promo
+ * @access  Private (promo-codes:write)
+ * Les achats conservent une copie du code appliqué
+ */
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.PROMO_CODES_WRITE), validateObjectId('id'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Code promo non trouvé'
+      });
+    }
+
+    await PromoCode.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      action: 'promo_code.deleted',
+      targetType: 'promo_codes',
+      targetId: promoCode._id,
+      before: toAuditSnapshot(promoCode)
+    });
+
+    res.json({
+      success: true,
+      message: 'Code promo supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du code promo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression du code promo'
+    });
+  }
+});
+
+export default router;
@@ -9,11 +9,20 @@
  */
 
 import express from 'express';
-import QRCode from 'qrcode';
 import Purchase from '../models/Purchase.js';
-import Ticket from '../models/Ticket.js';
-import { authenticate, requireUser } from '../middleware/auth.js';
-import { validatePurchase, validateObjectId } from '../middleware/validation.js';
+import { authenticate, requirePermission, requireUser, requireVerifiedEmail } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validatePurchase, validateRefund, validateObjectId, validateQrCode } from '../middleware/validation.js';
+import { getPurchaseLookup, getPublicKeys } from '../services/qr/index.js';
+import { releasePurchaseItems } from '../services/inventory/index.js';
+import { createPurchase } from '../services/purchases/index.js';
+import { extendHold, releaseHold } from '../services/holds/index.js';
+import { refundPurchasePayment } from '../services/refunds/index.js';
+import { releasePromoCodeUsage } from '../services/promoCodes/index.js';
+import { ensureInvoiceNumber } from '../services/invoices/index.js';
+import { renderTicketPdf, renderInvoicePdf } from '../services/documents/index.js';
+import { notifyPurchaseCancelled } from '../services/notifications/index.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
 
 const router = express.Router();
 
@@ -22,86 +31,22 @@ const router = express.Router();
  * @desc    Créer un nouvel achat
  * @access  Private (User)
  */
-router.post('/', authenticate, requireUser, validatePurchase, async (req, res) => {
+router.post('/', authenticate, requireUser, requireVerifiedEmail, validatePurchase, async (req, res) => {
   try {
-    const { customer, items, paymentMethod, notes } = req.body;
-    
-    // Vérifier la disponibilité des billets et calculer les totaux
-    let subtotal = 0;
-    const processedItems = [];
-    
-    for (const item of items) {
-      const ticket = await Ticket.findById(item.ticketId);
-      
-      if (!ticket) {
-        return res.status(400).json({
-          success: false,
-          message: `Billet avec l'ID ${item.ticketId} non trouvé`
-        });
-      }
-      
-      if (!ticket.isAvailableForPurchase(item.quantity)) {
-        return res.status(400).json({
-          success: false,
-          message: `Billet "${ticket.type}" non disponible en quantité ${item.quantity}`
-        });
-      }
-      
-      const itemTotal = ticket.price * item.quantity;
-      subtotal += itemTotal;
-      
-      processedItems.push({
-        ticketId: ticket._id,
-        ticketType: ticket.type,
-        quantity: item.quantity,
-        unitPrice: ticket.price,
-        totalPrice: itemTotal
-      });
-    }
-    
-    // Calculer les totaux finaux
-    const tax = subtotal * 0.18; // TVA de 18%
-    const total = subtotal + tax;
-    
-    // Générer un QR code unique pour l'achat
-    const purchaseId = `PUR${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
-    const qrCodeBase64 = await QRCode.toDataURL(purchaseId, {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
-    
-    // Créer l'achat
-    const purchase = new Purchase({
-      customer: {
-        userId: req.user.id,
-        ...customer
-      },
-      items: processedItems,
-      subtotal,
-      tax,
-      total,
-      qrCode: purchaseId,
-      qrCodeBase64,
+    const { customer, items, promoCode, paymentMethod, notes } = req.body;
+    
+    // Réserver stock et créneaux puis créer l'achat dans une même transaction
+    const purchase = await createPurchase({
+      userId: req.user.id,
+      customer,
+      items,
+      promoCode,
       paymentMethod,
       notes,
-      validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 jours
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     });
     
-    await purchase.save();
-    
-    // Réserver le stock des billets
-    for (const item of processedItems) {
-      const ticket = await Ticket.findById(item.ticketId);
-      await ticket.reserveStock(item.quantity);
-      await ticket.updateStats(item.quantity, item.totalPrice);
-    }
-    
     // Populate les informations des billets
     await purchase.populate('items.ticketId', 'type description price');
     
@@ -113,9 +58,9 @@ router.post('/', authenticate, requireUser, validatePurchase, async (req, res) =
     
   } catch (error) {
     console.error('Erreur lors de la création de l\'achat:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Erreur lors de la création de l\'achat'
+      message: error.statusCode ? error.message : 'Erreur lors de la création de l\'achat'
     });
   }
 });
@@ -166,6 +111,18 @@ router.get('/', authenticate, requireUser, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/purchases/qr/keys
+ * @desc    Obtenir les clés publiques de vérification des QR codes
+ * @access  Public
+ */
+router.get('/qr/keys', (req, res) => {
+  res.json({
+    success: true,
+    data: getPublicKeys()
+  });
+});
+
 /**
  * @route   GET /api/purchases/:id
  * @desc    Obtenir un achat par ID
@@ -199,23 +156,107 @@ router.get('/:id', authenticate, requireUser, validateObjectId('id'), async (req
   }
 });
 
+/**
+ * @route   GET /api/purchases/:id/ticket.pdf
+ * @desc    Télécharger le billet électronique d'un achat confirmé
+ * @access  Private (User)
+ */
+router.get('/:id/ticket.pdf', authenticate, requireUser, validateObjectId('id'), async (req, res) => {
+  try {
+    const purchase = await Purchase.findOne({
+      _id: req.params.id,
+      'customer.userId': req.user.id
+    });
+    
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+    
+    if (purchase.status !== 'confirmed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Le billet est disponible une fois le paiement confirmé'
+      });
+    }
+    
+    const pdf = await renderTicketPdf(purchase);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="billet-${purchase._id}.pdf"`
+    });
+    res.send(pdf);
+    
+  } catch (error) {
+    console.error('Erreur lors de la génération du billet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la génération du billet'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/purchases/:id/invoice.pdf
+ * @desc    Télécharger la facture d'un achat payé
+ * @access  Private (User)
+ */
+router.get('/:id/invoice.pdf', authenticate, requireUser, validateObjectId('id'), async (req, res) => {
+  try {
+    const purchase = await Purchase.findOne({
+      _id: req.params.id,
+      'customer.userId': req.user.id
+    });
+    
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+    
+    // Numéro attribué à la première demande, puis réutilisé
+    const invoicedPurchase = await ensureInvoiceNumber(purchase);
+    const pdf = await renderInvoicePdf(invoicedPurchase);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="facture-${invoicedPurchase.invoiceNumber}.pdf"`
+    });
+    res.send(pdf);
+    
+  } catch (error) {
+    console.error('Erreur lors de la génération de la facture:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la génération de la facture'
+    });
+  }
+});
+
 /**
  * @route   POST /api/purchases/validate
  * @desc    Valider un billet par QR code
  * @access  Public
  */
-router.post('/validate', async (req, res) => {
+router.post('/validate', validateQrCode, async (req, res) => {
   try {
     const { qrCode } = req.body;
     
-    if (!qrCode) {
+    // Vérifier la signature du QR code avant toute requête en base
+    const lookup = getPurchaseLookup(qrCode);
+    
+    if (!lookup.valid) {
       return res.status(400).json({
         success: false,
-        message: 'QR code requis'
+        message: lookup.error
       });
     }
     
-    const purchase = await Purchase.findOne({ qrCode })
+    const purchase = await Purchase.findOne(lookup.filter)
       .populate('items.ticketId', 'type description price');
     
     if (!purchase) {
@@ -235,6 +276,14 @@ router.post('/validate', async (req, res) => {
       });
     }
     
+    // Vérifier qu'il reste des entrées (l'admission se fait via /api/admissions/scan)
+    if (purchase.remainingAdmissions === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Toutes les entrées de cet achat ont déjà été utilisées'
+      });
+    }
+    
     res.json({
       success: true,
       message: 'Billet valide',
@@ -271,17 +320,36 @@ router.patch('/:id/cancel', authenticate, requireUser, validateObjectId('id'), a
       });
     }
     
-    // Annuler l'achat
-    await purchase.cancelPurchase(reason);
+    if (purchase.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Impossible d\'annuler un achat non confirmé'
+      });
+    }
     
-    // Libérer le stock des billets
-    for (const item of purchase.items) {
-      const ticket = await Ticket.findById(item.ticketId);
-      if (ticket) {
-        await ticket.releaseStock(item.quantity);
-      }
+    // Les billets remboursés ont déjà été restitués: les libérer à nouveau gonflerait le stock
+    if (purchase.refunds.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Impossible d\'annuler un achat déjà remboursé, même partiellement'
+      });
+    }
+    
+    // Annuler l'achat (refusé si un remboursement a été réservé entre-temps)
+    const cancelledPurchase = await purchase.cancelPurchase(reason);
+    
+    if (!cancelledPurchase) {
+      return res.status(409).json({
+        success: false,
+        message: 'L\'achat a été modifié entre-temps, veuillez réessayer'
+      });
     }
     
+    // Libérer le stock et les créneaux des billets
+    await releasePurchaseItems(purchase.items);
+    await releasePromoCodeUsage(purchase);
+    await notifyPurchaseCancelled(purchase, reason);
+    
     res.json({
       success: true,
       message: 'Achat annulé avec succès',
@@ -298,19 +366,190 @@ router.patch('/:id/cancel', authenticate, requireUser, validateObjectId('id'), a
 });
 
 /**
- * @route   GET /api/purchases/stats/overview
- * @desc    Obtenir les statistiques des ventes (Admin seulement)
- * @access  Private (Admin)
+ * @route   PATCH /api/purchases/:id/hold/extend
+ * @desc    Prolonger la réservation d'un achat en attente de paiement
+ * @access  Private (User)
  */
-router.get('/stats/overview', authenticate, async (req, res) => {
+router.patch('/:id/hold/extend', authenticate, requireUser, validateObjectId('id'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+    const purchase = await Purchase.findOne({
+      _id: req.params.id,
+      'customer.userId': req.user.id
+    });
+    
+    if (!purchase) {
+      return res.status(404).json({
         success: false,
-        message: 'Accès refusé. Droits administrateur requis.'
+        message: 'Achat non trouvé'
       });
     }
     
+    const updatedPurchase = await extendHold(purchase);
+    
+    res.json({
+      success: true,
+      message: 'Réservation prolongée avec succès',
+      data: {
+        holdExpiresAt: updatedPurchase.holdExpiresAt,
+        holdExtensions: updatedPurchase.holdExtensions
+      }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la prolongation de la réservation:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors de la prolongation de la réservation'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/purchases/:id/hold
+ * @desc    Abandonner la réservation d'un achat en attente et libérer le stock
+ * @access  Private (User)
+ */
+router.delete('/:id/hold', authenticate, requireUser, validateObjectId('id'), async (req, res) => {
+  try {
+    const purchase = await Purchase.findOne({
+      _id: req.params.id,
+      'customer.userId': req.user.id
+    }).select('_id');
+    
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+    
+    const releasedPurchase = await releaseHold(purchase._id, { status: 'cancelled', onlyIfDue: false });
+    
+    if (!releasedPurchase) {
+      return res.status(409).json({
+        success: false,
+        message: 'Aucune réservation active pour cet achat'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Réservation abandonnée avec succès',
+      data: releasedPurchase
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de l\'abandon de la réservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'abandon de la réservation'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/purchases/:id/refunds
+ * @desc    Rembourser un achat en totalité ou certains billets
+ * @access  Private (purchases:refund)
+ */
+router.post('/:id/refunds', authenticate, requirePermission(PERMISSIONS.PURCHASES_REFUND), validateObjectId('id'), validateRefund, async (req, res) => {
+  try {
+    const { items, reason, providerReference } = req.body;
+    
+    const purchase = await Purchase.findById(req.params.id);
+    
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+    
+    const before = toAuditSnapshot(purchase);
+    
+    const { purchase: refundedPurchase, refund } = await refundPurchasePayment(purchase, {
+      items,
+      reason,
+      providerReference,
+      refundedBy: req.user.id
+    });
+    
+    await recordAudit(req, {
+      action: 'purchase.refunded',
+      targetType: 'purchases',
+      targetId: purchase._id,
+      before,
+      after: toAuditSnapshot(refundedPurchase)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: refundedPurchase.status === 'refunded'
+        ? 'Achat entièrement remboursé'
+        : 'Remboursement partiel effectué avec succès',
+      data: {
+        refund,
+        status: refundedPurchase.status,
+        refundedAmount: refundedPurchase.refundedAmount,
+        refundableAmount: refundedPurchase.refundableAmount
+      }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors du remboursement de l\'achat:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Erreur lors du remboursement de l\'achat'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/purchases/:id/refunds
+ * @desc    Obtenir le registre des remboursements d'un achat
+ * @access  Private (purchases:read)
+ */
+router.get('/:id/refunds', authenticate, requirePermission(PERMISSIONS.PURCHASES_READ), validateObjectId('id'), async (req, res) => {
+  try {
+    const purchase = await Purchase.findById(req.params.id)
+      .select('status total refundedAmount refundedItems refunds items')
+      .populate('refunds.refundedBy', 'firstName lastName email');
+    
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achat non trouvé'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        status: purchase.status,
+        total: purchase.total,
+        refundedAmount: purchase.refundedAmount,
+        refundableAmount: purchase.refundableAmount,
+        refundedItems: purchase.refundedItems,
+        refunds: purchase.refunds
+      }
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la récupération des remboursements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des remboursements'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/purchases/stats/overview
+ * @desc    Obtenir les statistiques des ventes
+ * @access  Private (purchases:read)
+ */
+router.get('/stats/overview', authenticate, requirePermission(PERMISSIONS.PURCHASES_READ), async (req, res) => {
+  try {
     const { startDate, endDate } = req.query;
     
     // Statistiques générales
@@ -0,0 +1,260 @@
+/**
+ * Routes des règles de taxe
+ *
+ * Responsabilités:
+ * - Gérer les CRUD des règles de taxe (Admin)
+ * - Consulter les taux en vigueur par catégorie de billets
+ *
+ * Les achats conservent le taux et le montant de taxe appliqués: une règle
+ * déjà entrée en vigueur ne peut plus changer de taux, il faut la clôturer
+ * (effectiveUntil) et créer une nouvelle règle.
+ */
+
+import express from 'express';
+import TaxRule from '../models/TaxRule.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validateTaxRule, validateObjectId } from '../middleware/validation.js';
+import { resolveTaxRule } from '../services/taxes/index.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
+
+const router = express.Router();
+
+// Catégories de billets
+const TICKET_CATEGORIES = ['Entrée', 'Visite guidée', 'Événement', 'Abonnement', 'Groupe', 'Réduction'];
+
+// Champs figés dès l'entrée en vigueur d'une règle
+const LOCKED_FIELDS = ['category', 'rate', 'pricing', 'effectiveFrom'];
+
+/**
+ * Extraire les champs d'une règle du corps de la requête
+ */
+const pickTaxRuleFields = (body) => ({
+  name: body.name,
+  category: body.category || null,
+  rate: Number(body.rate),
+  pricing: body.pricing || 'exclusive',
+  effectiveFrom: new Date(body.effectiveFrom),
+  effectiveUntil: body.effectiveUntil ? new Date(body.effectiveUntil) : null,
+  isActive: body.isActive !== undefined ? body.isActive : true
+});
+
+/**
+ * Comparer la valeur d'un champ de règle (dates comparées par horodatage)
+ */
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return a === b;
+};
+
+/**
+ * @route   GET /api/tax-rules
+ * @desc    Obtenir la liste des règles de taxe
+ * @access  Private (tax-rules:write)
+ */
+router.get('/', authenticate, requirePermission(PERMISSIONS.TAX_RULES_WRITE), async (req, res) => {
+  try {
+    const taxRules = await TaxRule.find()
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ category: 1, effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      data: taxRules
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des règles de taxe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des règles de taxe'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tax-rules/effective
+ * @desc    Obtenir le taux applicable à chaque catégorie à une date (?date=)
+ * @access  Private (tax-rules:write)
+ */
+router.get('/effective', authenticate, requirePermission(PERMISSIONS.TAX_RULES_WRITE), async (req, res) => {
+  try {
+    const at = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'La date doit être au format ISO 8601'
+      });
+    }
+
+    const rules = await TaxRule.findEffective(at);
+
+    res.json({
+      success: true,
+      data: {
+        date: at,
+        categories: TICKET_CATEGORIES.map(category => {
+          const rule = resolveTaxRule(rules, category);
+          return {
+            category,
+            ruleId: rule._id || null,
+            name: rule.name || 'Taux par défaut',
+            rate: rule.rate,
+            pricing: rule.pricing
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des taux en vigueur:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des taux en vigueur'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tax-rules
+ * @desc    Créer une règle de taxe
+ * @access  Private (tax-rules:write)
+ */
+router.post('/', authenticate, requirePermission(PERMISSIONS.TAX_RULES_WRITE), validateTaxRule, async (req, res) => {
+  try {
+    const taxRule = new TaxRule({
+      ...pickTaxRuleFields(req.body),
+      createdBy: req.user.id
+    });
+    await taxRule.save();
+
+    await recordAudit(req, {
+      action: 'tax_rule.created',
+      targetType: 'tax_rules',
+      targetId: taxRule._id,
+      after: toAuditSnapshot(taxRule)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Règle de taxe créée avec succès',
+      data: taxRule
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création de la règle de taxe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la création de la règle de taxe'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/tax-rules/:id
+ * @desc    Mettre à jour une règle de taxe
+ * @access  Private (tax-rules:write)
+ */
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.TAX_RULES_WRITE), validateObjectId('id'), validateTaxRule, async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findById(req.params.id);
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Règle de taxe non trouvée'
+      });
+    }
+
+    const fields = pickTaxRuleFields(req.body);
+
+    // Une règle en vigueur a pu être appliquée: seuls le nom, la fin et l'activation changent
+    if (taxRule.effectiveFrom <= new Date()) {
+      const changedField = LOCKED_FIELDS.find(field => !isSameValue(taxRule[field], fields[field]));
+
+      if (changedField) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cette règle est déjà en vigueur: clôturez-la et créez une nouvelle règle pour changer le taux'
+        });
+      }
+    }
+
+    const before = toAuditSnapshot(taxRule);
+
+    taxRule.set(fields);
+    await taxRule.save();
+
+    await recordAudit(req, {
+      action: 'tax_rule.updated',
+      targetType: 'tax_rules',
+      targetId: taxRule._id,
+      before,
+      after: toAuditSnapshot(taxRule)
+    });
+
+    res.json({
+      success: true,
+      message: 'Règle de taxe mise à jour avec succès',
+      data: taxRule
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la règle de taxe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour de la règle de taxe'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tax-rules/:id
+ * @desc    Supprimer une règle de taxe pas encore en vigueur
+ * @access  Private (tax-rules:write)
+ */
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.TAX_RULES_WRITE), validateObjectId('id'), async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findById(req.params.id);
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Règle de taxe non trouvée'
+      });
+    }
+
+    if (taxRule.effectiveFrom <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Une règle déjà en vigueur ne peut pas être supprimée, définissez sa date de fin'
+      });
+    }
+
+    await TaxRule.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      action: 'tax_rule.deleted',
+      targetType: 'tax_rules',
+      targetId: taxRule._id,
+      before: toAuditSnapshot(taxRule)
+    });
+
+    res.json({
+      success: true,
+      message: 'Règle de taxe supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la règle de taxe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression de la règle de taxe'
+    });
+  }
+});
+
+export default router;
@@ -5,12 +5,22 @@
  * - Gérer les CRUD des billets
  * - Gérer la disponibilité et le stock
  * - Gérer les statistiques des billets
+ * - Gérer les créneaux horaires et leur disponibilité
  */
 
 import express from 'express';
 import Ticket from '../models/Ticket.js';
-import { authenticate, requireAdmin, requireUser } from '../middleware/auth.js';
-import { validateTicket, validateObjectId, validateSearchQuery } from '../middleware/validation.js';
+import { authenticate, requirePermission, requireUser } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/roles.js';
+import {
+  validateTicket,
+  validateObjectId,
+  validateSearchQuery,
+  validateTicketTimeSlots,
+  validateSlotAvailabilityQuery
+} from '../middleware/validation.js';
+import { getAvailability, MAX_AVAILABILITY_DAYS } from '../services/timeSlots/index.js';
+import { recordAudit, toAuditSnapshot } from '../services/audit/index.js';
 
 const router = express.Router();
 
@@ -91,12 +101,61 @@ router.get('/:id', validateObjectId('id'), async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/tickets/:id/slots
+ * @desc    Obtenir la disponibilité des créneaux d'un billet sur une période
+ * @access  Public
+ */
+router.get('/:id/slots', validateObjectId('id'), validateSlotAvailabilityQuery, async (req, res) => {
+  try {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    
+    if (to < from || (to - from) / (24 * 60 * 60 * 1000) > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `La période doit être valide et ne pas dépasser ${MAX_AVAILABILITY_DAYS} jours`
+      });
+    }
+    
+    const ticket = await Ticket.findById(req.params.id);
+    
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Billet non trouvé'
+      });
+    }
+    
+    if (!ticket.timeSlots?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ce billet n\'utilise pas de créneaux horaires'
+      });
+    }
+    
+    const slots = await getAvailability(ticket, from, to);
+    
+    res.json({
+      success: true,
+      data: slots
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la récupération des créneaux:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des créneaux'
+    });
+  }
+});
+
 /**
  * @route   POST /api/tickets
- * @desc    Créer un nouveau billet (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Créer un nouveau billet
+ * @access  Private (tickets:write)
  */
-router.post('/', authenticate, requireAdmin, validateTicket, async (req, res) => {
+router.post('/', authenticate, requirePermission(PERMISSIONS.TICKETS_WRITE), validateTicket, async (req, res) => {
   try {
     const ticketData = {
       ...req.body,
@@ -106,6 +165,13 @@ router.post('/', authenticate, requireAdmin, validateTicket, async (req, res) =>
     const ticket = new Ticket(ticketData);
     await ticket.save();
     
+    await recordAudit(req, {
+      action: 'ticket.created',
+      targetType: 'tickets',
+      targetId: ticket._id,
+      after: toAuditSnapshot(ticket)
+    });
+    
     // Populate les informations du créateur
     await ticket.populate('createdBy', 'firstName lastName email');
     
@@ -126,10 +192,10 @@ router.post('/', authenticate, requireAdmin, validateTicket, async (req, res) =>
 
 /**
  * @route   PUT /api/tickets/:id
- * @desc    Mettre à jour un billet (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Mettre à jour un billet
+ * @access  Private (tickets:write)
  */
-router.put('/:id', authenticate, requireAdmin, validateObjectId('id'), validateTicket, async (req, res) => {
+router.put('/:id', authenticate, requirePermission(PERMISSIONS.TICKETS_WRITE), validateObjectId('id'), validateTicket, async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id);
     
@@ -146,6 +212,14 @@ router.put('/:id', authenticate, requireAdmin, validateObjectId('id'), validateT
       { new: true, runValidators: true }
     ).populate('createdBy', 'firstName lastName email');
     
+    await recordAudit(req, {
+      action: 'ticket.updated',
+      targetType: 'tickets',
+      targetId: ticket._id,
+      before: toAuditSnapshot(ticket),
+      after: toAuditSnapshot(updatedTicket)
+    });
+    
     res.json({
       success: true,
       message: 'Billet mis à jour avec succès',
@@ -161,12 +235,70 @@ router.put('/:id', authenticate, requireAdmin, validateObjectId('id'), validateT
   }
 });
 
+/**
+ * @route   PUT /api/tickets/:id/time-slots
+ * @desc    Définir les horaires d'ouverture et la capacité des créneaux
+ * @access  Private (tickets:write)
+ */
+router.put('/:id/time-slots', authenticate, requirePermission(PERMISSIONS.TICKETS_WRITE), validateObjectId('id'), validateTicketTimeSlots, async (req, res) => {
+  try {
+    const { enabled, slotDurationMinutes, capacityPerSlot, openingHours } = req.body;
+    
+    const invalidHours = (openingHours || []).find(hours => hours.close <= hours.open);
+    if (invalidHours) {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'heure de fermeture doit être postérieure à l\'heure d\'ouverture'
+      });
+    }
+    
+    const ticket = await Ticket.findById(req.params.id);
+    
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Billet non trouvé'
+      });
+    }
+    
+    const before = toAuditSnapshot(ticket);
+    
+    ticket.timeSlots.enabled = enabled;
+    if (slotDurationMinutes !== undefined) ticket.timeSlots.slotDurationMinutes = slotDurationMinutes;
+    if (capacityPerSlot !== undefined) ticket.timeSlots.capacityPerSlot = capacityPerSlot;
+    if (openingHours !== undefined) ticket.timeSlots.openingHours = openingHours;
+    
+    await ticket.save();
+    
+    await recordAudit(req, {
+      action: 'ticket.time_slots_updated',
+      targetType: 'tickets',
+      targetId: ticket._id,
+      before,
+      after: toAuditSnapshot(ticket)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Créneaux horaires mis à jour avec succès',
+      data: ticket
+    });
+    
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des créneaux:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise à jour des créneaux'
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/tickets/:id
- * @desc    Supprimer un billet (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Supprimer un billet
+ * @access  Private (tickets:write)
  */
-router.delete('/:id', authenticate, requireAdmin, validateObjectId('id'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.TICKETS_WRITE), validateObjectId('id'), async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id);
     
@@ -179,6 +311,13 @@ router.delete('/:id', authenticate, requireAdmin, validateObjectId('id'), async
     
     await Ticket.findByIdAndDelete(req.params.id);
     
+    await recordAudit(req, {
+      action: 'ticket.deleted',
+      targetType: 'tickets',
+      targetId: ticket._id,
+      before: toAuditSnapshot(ticket)
+    });
+    
     res.json({
       success: true,
       message: 'Billet supprimé avec succès'
@@ -195,10 +334,10 @@ router.delete('/:id', authenticate, requireAdmin, validateObjectId('id'), async
 
 /**
  * @route   PATCH /api/tickets/:id/toggle-availability
- * @desc    Basculer la disponibilité d'un billet (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Basculer la disponibilité d'un billet
+ * @access  Private (tickets:write)
  */
-router.patch('/:id/toggle-availability', authenticate, requireAdmin, validateObjectId('id'), async (req, res) => {
+router.patch('/:id/toggle-availability', authenticate, requirePermission(PERMISSIONS.TICKETS_WRITE), validateObjectId('id'), async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id);
     
@@ -209,9 +348,19 @@ router.patch('/:id/toggle-availability', authenticate, requireAdmin, validateObj
       });
     }
     
+    const before = toAuditSnapshot(ticket);
+    
     ticket.isAvailable = !ticket.isAvailable;
     await ticket.save();
     
+    await recordAudit(req, {
+      action: ticket.isAvailable ? 'ticket.enabled' : 'ticket.disabled',
+      targetType: 'tickets',
+      targetId: ticket._id,
+      before,
+      after: toAuditSnapshot(ticket)
+    });
+    
     res.json({
       success: true,
       message: `Billet ${ticket.isAvailable ? 'activé' : 'désactivé'} avec succès`,
@@ -254,10 +403,10 @@ router.get('/stats/popular', async (req, res) => {
 
 /**
  * @route   GET /api/tickets/stats/overview
- * @desc    Obtenir les statistiques des billets (Admin seulement)
- * @access  Private (Admin)
+ * @desc    Obtenir les statistiques des billets
+ * @access  Private (purchases:read)
  */
-router.get('/stats/overview', authenticate, requireAdmin, async (req, res) => {
+router.get('/stats/overview', authenticate, requirePermission(PERMISSIONS.PURCHASES_READ), async (req, res) => {
   try {
     const totalTickets = await Ticket.countDocuments();
     const availableTickets = await Ticket.countDocuments({ isAvailable: true });
@@ -0,0 +1,43 @@
+/**
+ * Migration: marquer comme vérifiés les comptes antérieurs à la vérification des emails
+ *
+ * Les comptes créés avant l'ajout de emailVerified ont la valeur false et seraient
+ * bloqués par REQUIRE_EMAIL_VERIFICATION. À lancer une fois au déploiement, avant
+ * d'activer l'exigence:
+ *
+ *   npm run migrate:email-verified -- --before=2026-10-19
+ *
+ * Sans --before, tous les comptes existant au lancement sont concernés.
+ * Le script peut être relancé: les comptes déjà vérifiés ne sont pas modifiés.
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+
+const beforeArgument = process.argv.find(argument => argument.startsWith('--before='));
+const before = beforeArgument ? new Date(beforeArgument.slice('--before='.length)) : new Date();
+
+if (isNaN(before.getTime())) {
+  console.error('❌ Date --before invalide (format attendu: AAAA-MM-JJ)');
+  process.exit(1);
+}
+
+await connectDB();
+
+try {
+  const result = await User.updateMany(
+    {
+      emailVerified: { $ne: true },
+      $or: [{ createdAt: { $lt: before } }, { createdAt: { $exists: false } }]
+    },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  console.log(`✅ ${result.modifiedCount} compte(s) créé(s) avant le ${before.toISOString()} marqué(s) comme vérifié(s)`);
+} catch (error) {
+  console.error('❌ Erreur lors de la migration des emails vérifiés:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -20,12 +20,25 @@ import { fileURLToPath } from 'url';
 // Import des configurations et routes
 import connectDB from './config/database.js';
 import User from './models/User.js';
+import { startHoldSweeper } from './services/holds/index.js';
+import { assertMailTransportConfigured, startNotificationWorker } from './services/notifications/index.js';
+import { getStorageDriver } from './services/storage/index.js';
+import { assertQrSigningConfigured } from './services/qr/index.js';
+import { apiError, formatMongooseErrors } from './services/i18n/index.js';
+import { negotiateLocale } from './middleware/locale.js';
 
 // Import des routes
 import authRoutes from './routes/auth.js';
 import artworkRoutes from './routes/artworks.js';
 import ticketRoutes from './routes/tickets.js';
 import purchaseRoutes from './routes/purchases.js';
+import paymentRoutes from './routes/payments.js';
+import admissionRoutes from './routes/admissions.js';
+import promoCodeRoutes from './routes/promoCodes.js';
+import taxRuleRoutes from './routes/taxRules.js';
+import notificationRoutes from './routes/notifications.js';
+import adminUserRoutes from './routes/adminUsers.js';
+import adminAuditRoutes from './routes/adminAudit.js';
 
 // Configuration des variables d'environnement
 dotenv.config();
@@ -73,6 +86,9 @@ app.use(helmet({
   },
 }));
 
+// Langue de la requête (?lang= ou Accept-Language): contenus et messages d'erreur traduits
+app.use(negotiateLocale);
+
 // Configuration CORS
 
 const allowedOrigins = process.env.ALLOWED_ORIGINS 
@@ -110,15 +126,16 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Limitation du taux de requêtes
+// La diffusion des guides audio est exclue: un lecteur envoie une requête par plage lue
+const AUDIO_GUIDE_STREAM_PATH = /^\/artworks\/[^/]+\/audio-guides\/[^/]+\/stream$/;
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limite de 100 requêtes par IP toutes les 15 minutes
-  message: {
-    success: false,
-    message: 'Trop de requêtes depuis cette IP, veuillez réessayer plus tard.'
-  },
+  message: (req) => apiError(req, 'TOO_MANY_REQUESTS'),
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => AUDIO_GUIDE_STREAM_PATH.test(req.path),
 });
 
 app.use('/api/', limiter);
@@ -127,10 +144,7 @@ app.use('/api/', limiter);
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // Limite de 5 tentatives de connexion par IP toutes les 15 minutes
-  message: {
-    success: false,
-    message: 'Trop de tentatives de connexion, veuillez réessayer plus tard.'
-  },
+  message: (req) => apiError(req, 'TOO_MANY_LOGIN_ATTEMPTS'),
   skipSuccessfulRequests: true,
 });
 
@@ -142,7 +156,13 @@ app.use('/api/auth/admin/login', authLimiter);
 // ===========================================
 
 // Parser JSON avec limite de taille
-app.use(express.json({ limit: '10mb' }));
+// Le corps brut est conservé pour vérifier les signatures des webhooks de paiement
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Middleware pour logger les requêtes (développement)
@@ -153,6 +173,20 @@ if (process.env.NODE_ENV === 'development') {
   });
 }
 
+// Fichiers envoyés (images des œuvres), servis directement lorsque le stockage est local
+// Les noms de fichiers ne sont jamais réutilisés: ils peuvent être mis en cache longtemps
+const storage = getStorageDriver();
+if (storage.rootDir) {
+  app.use('/uploads', express.static(storage.rootDir, {
+    maxAge: '30d',
+    immutable: true,
+    setHeaders: (res) => {
+      // Autoriser l'affichage des images depuis le frontend (autre origine)
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // ===========================================
 // Routes API
 // ===========================================
@@ -179,16 +213,34 @@ app.use('/api/tickets', ticketRoutes);
 // Routes des achats
 app.use('/api/purchases', purchaseRoutes);
 
+// Routes des paiements
+app.use('/api/payments', paymentRoutes);
+
+// Routes des admissions
+app.use('/api/admissions', admissionRoutes);
+
+// Routes des codes promo
+app.use('/api/promo-codes', promoCodeRoutes);
+
+// Routes des règles de taxe
+app.use('/api/tax-rules', taxRuleRoutes);
+
+// Routes des notifications (accusés de remise SMS)
+app.use('/api/notifications', notificationRoutes);
+
+// Routes d'administration des utilisateurs
+app.use('/api/admin/users', adminUserRoutes);
+
+// Routes du journal d'audit
+app.use('/api/admin/audit', adminAuditRoutes);
+
 // ===========================================
 // Gestion des erreurs
 // ===========================================
 
 // Middleware pour les routes non trouvées
 app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `Route ${req.originalUrl} non trouvée`
-  });
+  res.status(404).json(apiError(req, 'ROUTE_NOT_FOUND', { route: req.originalUrl }));
 });
 
 // Middleware global de gestion des erreurs
@@ -197,51 +249,38 @@ app.use((error, req, res, next) => {
   
   // Erreur de validation Mongoose
   if (error.name === 'ValidationError') {
-    const errors = Object.values(error.errors).map(err => err.message);
     return res.status(400).json({
-      success: false,
-      message: 'Erreur de validation',
-      errors
+      ...apiError(req, 'VALIDATION_ERROR'),
+      errors: formatMongooseErrors(error, req.locale)
     });
   }
   
   // Erreur de duplication MongoDB
   if (error.code === 11000) {
     const field = Object.keys(error.keyValue)[0];
-    return res.status(400).json({
-      success: false,
-      message: `${field} existe déjà`
-    });
+    return res.status(400).json(apiError(req, 'DUPLICATE_VALUE', { field }));
   }
   
   // Erreur JWT
   if (error.name === 'JsonWebTokenError') {
-    return res.status(401).json({
-      success: false,
-      message: 'Token invalide'
-    });
+    return res.status(401).json(apiError(req, 'TOKEN_INVALID'));
   }
   
   if (error.name === 'TokenExpiredError') {
-    return res.status(401).json({
-      success: false,
-      message: 'Token expiré'
-    });
+    return res.status(401).json(apiError(req, 'TOKEN_EXPIRED'));
   }
   
   // Erreur CORS
   if (error.message === 'Non autorisé par CORS') {
-    return res.status(403).json({
-      success: false,
-      message: 'Accès non autorisé'
-    });
+    return res.status(403).json(apiError(req, 'CORS_NOT_ALLOWED'));
   }
   
   // Erreur serveur par défaut
+  const internalError = apiError(req, 'INTERNAL_ERROR');
   res.status(500).json({
-    success: false,
+    ...internalError,
     message: process.env.NODE_ENV === 'production' 
-      ? 'Erreur interne du serveur' 
+      ? internalError.message 
       : error.message
   });
 });
@@ -265,8 +304,16 @@ const PORT = process.env.PORT || 5001;
 // Démarrer le serveur
 const startServer = async () => {
   try {
+    // Refuser de démarrer sans clés de signature des QR codes en production
+    assertQrSigningConfigured();
+    // Refuser de démarrer sans transport d'email utilisable (console interdit en production)
+    assertMailTransportConfigured();
     // Initialiser l'admin par défaut
     await initializeDefaultAdmin();
+    // Expirer périodiquement les achats non payés
+    startHoldSweeper();
+    // Envoyer les emails en file et les rappels d'expiration
+    startNotificationWorker();
     // Démarrer le serveur
     app.listen(PORT, () => {
       console.log(`
@@ -0,0 +1,176 @@
+/**
+ * Service d'admission
+ *
+ * Responsabilités:
+ * - Admettre des visiteurs sur présentation d'un QR code d'achat
+ * - Limiter les entrées au nombre de billets de l'achat (Purchase.totalItems)
+ * - Refuser les billets à créneau présentés hors du créneau (tolérance SLOT_ADMISSION_GRACE_MINUTES)
+ * - Enregistrer les tentatives refusées pour signaler la réutilisation
+ * - Ignorer un événement de scanner hors ligne déjà enregistré
+ * - Annuler un scan erroné et restituer les entrées
+ */
+
+import Purchase from '../../models/Purchase.js';
+import Admission from '../../models/Admission.js';
+import { isWithinSlotWindows } from '../timeSlots/index.js';
+
+/**
+ * Messages associés aux motifs de refus
+ */
+export const REJECTION_MESSAGES = {
+  over_use: 'Toutes les entrées de cet achat ont déjà été utilisées',
+  not_confirmed: 'Achat non confirmé',
+  expired: 'Achat expiré',
+  not_yet_valid: 'Achat pas encore valide',
+  outside_slot: 'Entrée en dehors du créneau réservé'
+};
+
+/**
+ * Créer une erreur d'admission portant le code HTTP à renvoyer
+ */
+const admissionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Enregistrer un scan avant de toucher au compteur d'entrées
+ * L'index unique (deviceId, deviceEventId) garantit qu'un événement hors ligne n'est enregistré
+ * qu'une fois, même envoyé deux fois en parallèle: retourne null pour un doublon
+ */
+const recordScan = async (scan) => {
+  try {
+    return await Admission.create(scan);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Admettre un ou plusieurs visiteurs avec un achat
+ * Retourne { admitted, duplicate, admission, purchase, reason, message }
+ */
+export const admitPurchase = async (purchase, {
+  count = 1,
+  gate,
+  scannedBy,
+  scannedAt = new Date(),
+  source = 'online',
+  deviceId = null,
+  deviceEventId = null
+}) => {
+  const scan = {
+    purchase: purchase._id,
+    qrCode: purchase.qrCode,
+    count,
+    gate,
+    scannedBy,
+    scannedAt,
+    source,
+    deviceId,
+    deviceEventId
+  };
+
+  const duplicate = {
+    admitted: false,
+    duplicate: true,
+    admission: null,
+    purchase,
+    reason: 'duplicate',
+    message: 'Scan déjà enregistré'
+  };
+
+  let validation = purchase.validatePurchase(scannedAt);
+
+  if (validation.valid && !isWithinSlotWindows(purchase.items, scannedAt)) {
+    validation = { valid: false, code: 'outside_slot', error: REJECTION_MESSAGES.outside_slot };
+  }
+
+  if (!validation.valid) {
+    const admission = await recordScan({
+      ...scan,
+      status: 'rejected',
+      rejectionReason: validation.code
+    });
+
+    if (!admission) return duplicate;
+
+    return { admitted: false, duplicate: false, admission, purchase, reason: validation.code, message: validation.error };
+  }
+
+  const admission = await recordScan(scan);
+  if (!admission) return duplicate;
+
+  // Incrément conditionnel: deux scans simultanés ne peuvent pas dépasser totalItems
+  // (billets remboursés exclus; les champs absents des anciens achats valent 0)
+  const updatedPurchase = await Purchase.findOneAndUpdate(
+    {
+      _id: purchase._id,
+      status: 'confirmed',
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$admittedCount', 0] }, { $ifNull: ['$refundedItems', 0] }, count] },
+          purchase.totalItems
+        ]
+      }
+    },
+    { $inc: { admittedCount: count } },
+    { new: true }
+  );
+
+  if (!updatedPurchase) {
+    const rejected = await Admission.findByIdAndUpdate(
+      admission._id,
+      { $set: { status: 'rejected', rejectionReason: 'over_use' } },
+      { new: true }
+    );
+
+    console.warn(`⚠️ Réutilisation du QR code ${purchase.qrCode} à la porte ${gate}`);
+
+    return {
+      admitted: false,
+      duplicate: false,
+      admission: rejected,
+      purchase,
+      reason: 'over_use',
+      message: REJECTION_MESSAGES.over_use
+    };
+  }
+
+  return { admitted: true, duplicate: false, admission, purchase: updatedPurchase, reason: null, message: 'Entrée autorisée' };
+};
+
+/**
+ * Annuler un scan erroné et restituer les entrées correspondantes
+ */
+export const revokeAdmission = async (admissionId, { revokedBy, reason = '' }) => {
+  const admission = await Admission.findOneAndUpdate(
+    { _id: admissionId, status: 'admitted' },
+    {
+      $set: {
+        status: 'revoked',
+        revokedBy,
+        revokedAt: new Date(),
+        revokeReason: reason
+      }
+    },
+    { new: true }
+  );
+
+  if (!admission) {
+    const existing = await Admission.exists({ _id: admissionId });
+    throw existing
+      ? admissionError('Seul un scan accepté peut être annulé', 409)
+      : admissionError('Scan non trouvé', 404);
+  }
+
+  const purchase = await Purchase.findOneAndUpdate(
+    { _id: admission.purchase, admittedCount: { $gte: admission.count } },
+    { $inc: { admittedCount: -admission.count } },
+    { new: true }
+  );
+
+  return { admission, purchase };
+};
@@ -0,0 +1,126 @@
+/**
+ * Synchronisation des scanners hors ligne
+ *
+ * Responsabilités:
+ * - Produire un instantané signé des achats valides pour une date
+ * - Fusionner les scans effectués hors ligne dans les admissions
+ * - Signaler les conflits (même achat utilisé sur plusieurs appareils)
+ */
+
+import Purchase from '../../models/Purchase.js';
+import Admission from '../../models/Admission.js';
+import { getPurchaseLookup, signDocument } from '../qr/index.js';
+import { admitPurchase } from './index.js';
+
+/**
+ * Construire l'instantané signé des achats valides pour une journée
+ * Les bornes de la journée sont en UTC, comme les dates "AAAA-MM-JJ" reçues et les dates stockées,
+ * pour ne pas dépendre du fuseau horaire du serveur
+ */
+export const buildSnapshot = async (date, deviceId) => {
+  const startOfDay = new Date(date);
+  startOfDay.setUTCHours(0, 0, 0, 0);
+  const endOfDay = new Date(startOfDay);
+  endOfDay.setUTCHours(23, 59, 59, 999);
+
+  const purchases = await Purchase.find({
+    status: 'confirmed',
+    validFrom: { $lte: endOfDay },
+    validUntil: { $gte: startOfDay }
+  }).select('qrCode validFrom validUntil items admittedCount refundedItems status');
+
+  const snapshot = {
+    deviceId,
+    date: startOfDay.toISOString(),
+    generatedAt: new Date().toISOString(),
+    purchases: purchases
+      .filter(purchase => purchase.remainingAdmissions > 0)
+      .map(purchase => ({
+        id: purchase._id.toString(),
+        qrCode: purchase.qrCode,
+        validFrom: purchase.validFrom.toISOString(),
+        validUntil: purchase.validUntil.toISOString(),
+        totalItems: purchase.totalItems,
+        remainingAdmissions: purchase.remainingAdmissions
+      }))
+  };
+
+  return { snapshot, signature: signDocument(snapshot) };
+};
+
+/**
+ * Fusionner un lot de scans hors ligne
+ * Les événements sont rejoués dans l'ordre chronologique de scan
+ * Retourne un rapport par événement et la liste des conflits
+ */
+export const mergeOfflineEvents = async (deviceId, events, scannedBy) => {
+  const sortedEvents = [...events].sort(
+    (a, b) => new Date(a.scannedAt) - new Date(b.scannedAt)
+  );
+
+  const results = [];
+  const conflicts = [];
+
+  for (const event of sortedEvents) {
+    const scannedAt = new Date(event.scannedAt);
+    const report = { eventId: event.eventId, qrCode: event.qrCode };
+
+    const lookup = getPurchaseLookup(event.qrCode, scannedAt);
+    if (!lookup.valid) {
+      results.push({ ...report, result: 'invalid', message: lookup.error });
+      continue;
+    }
+
+    const purchase = await Purchase.findOne(lookup.filter);
+    if (!purchase) {
+      results.push({ ...report, result: 'invalid', message: 'QR code invalide' });
+      continue;
+    }
+
+    const outcome = await admitPurchase(purchase, {
+      count: event.count || 1,
+      gate: event.gate,
+      scannedBy,
+      scannedAt,
+      source: 'offline',
+      deviceId,
+      deviceEventId: event.eventId
+    });
+
+    // Un événement déjà synchronisé (nouvel envoi du même lot, envois simultanés) est ignoré
+    if (outcome.duplicate) {
+      results.push({ ...report, result: 'duplicate' });
+      continue;
+    }
+
+    if (outcome.admitted) {
+      results.push({ ...report, result: 'admitted', admissionId: outcome.admission._id });
+      continue;
+    }
+
+    if (outcome.reason !== 'over_use') {
+      results.push({ ...report, result: 'rejected', reason: outcome.reason, message: outcome.message });
+      continue;
+    }
+
+    // Conflit: les entrées ont déjà été consommées ailleurs (autre appareil ou scan en ligne)
+    const previousAdmissions = await Admission.find({
+      purchase: purchase._id,
+      status: 'admitted'
+    }).select('deviceId source gate scannedAt count');
+
+    const conflict = {
+      ...report,
+      result: 'conflict',
+      reason: 'over_use',
+      purchaseId: purchase._id,
+      admissionId: outcome.admission._id,
+      previousAdmissions
+    };
+
+    results.push(conflict);
+    conflicts.push(conflict);
+  }
+
+  return { results, conflicts };
+};
@@ -0,0 +1,359 @@
+/**
+ * Service des guides audio hébergés
+ *
+ * Responsabilités:
+ * - Identifier le format réel d'un fichier audio envoyé (signature binaire)
+ * - Mesurer la durée et le débit du fichier
+ * - Enregistrer, remplacer et supprimer le guide d'une langue dans le stockage privé
+ * - Ouvrir la lecture du fichier, en entier ou par plage d'octets
+ * - Restreindre l'écoute aux détenteurs d'un billet « Visite guidée » (AUDIO_GUIDE_ACCESS=ticket)
+ * - Revérifier le billet (ou le droit du personnel) à chaque lecture avec un lien d'écoute
+ */
+
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { parseBuffer } from 'music-metadata';
+import Artwork from '../../models/Artwork.js';
+import Purchase from '../../models/Purchase.js';
+import User from '../../models/User.js';
+import { PERMISSIONS, hasPermission } from '../../config/roles.js';
+import { CONTENT_LOCALES } from '../../config/locales.js';
+import { getStorageDriver } from '../storage/index.js';
+
+// Catégorie des billets donnant accès aux guides audio lorsque l'écoute est restreinte
+export const GUIDED_TOUR_CATEGORY = 'Visite guidée';
+
+/**
+ * Formats acceptés et leur signature binaire
+ */
+const AUDIO_TYPES = [
+  {
+    mimeType: 'audio/mpeg',
+    extension: 'mp3',
+    // Balise ID3 en tête, ou synchronisation d'une trame MPEG (couche I, II ou III)
+    matches: (buffer) => buffer.length > 3 && (
+      buffer.toString('ascii', 0, 3) === 'ID3'
+      || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0)
+    )
+  },
+  {
+    mimeType: 'audio/mp4',
+    extension: 'm4a',
+    matches: (buffer) => buffer.length > 12 && buffer.toString('ascii', 4, 8) === 'ftyp'
+  },
+  {
+    mimeType: 'audio/ogg',
+    extension: 'ogg',
+    matches: (buffer) => buffer.length > 4 && buffer.toString('ascii', 0, 4) === 'OggS'
+  }
+];
+
+/**
+ * Créer une erreur de guide audio portant le code HTTP à renvoyer
+ */
+export const audioGuideError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * L'écoute des guides audio est-elle réservée aux détenteurs d'un billet « Visite guidée » ?
+ */
+export const isAudioGuideRestricted = () => {
+  return process.env.AUDIO_GUIDE_ACCESS === 'ticket';
+};
+
+/**
+ * Identifier le format d'un fichier audio à partir de ses premiers octets
+ * Retourne { mimeType, extension } ou null si le format n'est pas accepté
+ */
+export const sniffAudioType = (buffer) => {
+  const type = AUDIO_TYPES.find(candidate => candidate.matches(buffer));
+  if (!type) return null;
+
+  const { mimeType, extension } = type;
+  return { mimeType, extension };
+};
+
+/**
+ * Analyser un fichier audio envoyé
+ * Retourne { mimeType, extension, duration, bitrate, codec }
+ */
+export const analyzeAudio = async (buffer) => {
+  const type = sniffAudioType(buffer);
+
+  if (!type) {
+    throw audioGuideError('Format audio non supporté (MP3, M4A ou OGG uniquement)', 415);
+  }
+
+  let format;
+  try {
+    // duration: lecture complète si nécessaire (MP3 à débit variable sans en-tête Xing)
+    ({ format } = await parseBuffer(buffer, { mimeType: type.mimeType, size: buffer.length }, { duration: true, skipCovers: true }));
+  } catch (error) {
+    throw audioGuideError('Fichier audio illisible ou corrompu', 415);
+  }
+
+  if (!Number.isFinite(format.duration) || format.duration <= 0) {
+    throw audioGuideError('Impossible de déterminer la durée du fichier audio', 415);
+  }
+
+  return {
+    ...type,
+    duration: Math.round(format.duration * 100) / 100,
+    bitrate: Math.round(format.bitrate || (buffer.length * 8) / format.duration),
+    codec: format.codec
+  };
+};
+
+/**
+ * Supprimer des fichiers du stockage privé sans faire échouer l'appelant
+ */
+const deleteFiles = async (keys) => {
+  const storage = getStorageDriver('private');
+
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Erreur lors de la suppression du fichier ${key}:`, error);
+    }
+  }
+};
+
+/**
+ * Informations publiques du guide hébergé d'une langue (null s'il n'y en a pas)
+ */
+export const formatAudioGuide = (artwork, locale) => {
+  const guide = artwork.hostedAudioGuides?.[locale];
+  if (!guide?.key) return null;
+
+  return {
+    locale,
+    mimeType: guide.mimeType,
+    size: guide.size,
+    duration: guide.duration,
+    bitrate: guide.bitrate,
+    codec: guide.codec,
+    uploadedAt: guide.uploadedAt,
+    streamUrl: artwork.getAudioGuideStreamUrl(locale)
+  };
+};
+
+/**
+ * Enregistrer (ou remplacer) le guide audio d'une langue
+ * Retourne { artwork, audioGuide }
+ */
+export const setArtworkAudioGuide = async (artwork, locale, file, { uploadedBy } = {}) => {
+  const audio = await analyzeAudio(file.buffer);
+  const storage = getStorageDriver('private');
+  const previousKey = artwork.hostedAudioGuides?.[locale]?.key;
+
+  // Clé nouvelle à chaque envoi: une écoute en cours du fichier remplacé n'est pas mélangée
+  const stored = await storage.put(
+    `artworks/${artwork._id}/audio-guides/${locale}-${new mongoose.Types.ObjectId()}.${audio.extension}`,
+    file.buffer,
+    { contentType: audio.mimeType }
+  );
+
+  let updatedArtwork;
+  try {
+    // Le guide ne doit pas avoir été remplacé ou supprimé entre-temps
+    updatedArtwork = await Artwork.findOneAndUpdate(
+      { _id: artwork._id, [`hostedAudioGuides.${locale}.key`]: previousKey ?? null },
+      {
+        $set: {
+          [`hostedAudioGuides.${locale}`]: {
+            key: stored.key,
+            mimeType: audio.mimeType,
+            size: stored.size,
+            duration: audio.duration,
+            bitrate: audio.bitrate,
+            codec: audio.codec,
+            uploadedBy,
+            uploadedAt: new Date()
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedArtwork) {
+      throw audioGuideError('Le guide audio a été modifié entre-temps, veuillez réessayer', 409);
+    }
+  } catch (error) {
+    await deleteFiles([stored.key]);
+    throw error;
+  }
+
+  if (previousKey) await deleteFiles([previousKey]);
+
+  return { artwork: updatedArtwork, audioGuide: formatAudioGuide(updatedArtwork, locale) };
+};
+
+/**
+ * Supprimer le guide audio hébergé d'une langue et son fichier
+ */
+export const removeArtworkAudioGuide = async (artwork, locale) => {
+  const key = artwork.hostedAudioGuides?.[locale]?.key;
+
+  if (!key) {
+    throw audioGuideError('Guide audio non trouvé', 404);
+  }
+
+  const updatedArtwork = await Artwork.findOneAndUpdate(
+    { _id: artwork._id, [`hostedAudioGuides.${locale}.key`]: key },
+    { $unset: { [`hostedAudioGuides.${locale}`]: 1 } },
+    { new: true }
+  );
+
+  if (!updatedArtwork) {
+    throw audioGuideError('Le guide audio a été modifié entre-temps, veuillez réessayer', 409);
+  }
+
+  await deleteFiles([key]);
+
+  return updatedArtwork;
+};
+
+/**
+ * Supprimer les fichiers de tous les guides audio d'une œuvre (suppression de l'œuvre)
+ */
+export const deleteArtworkAudioGuideFiles = async (artwork) => {
+  const keys = CONTENT_LOCALES
+    .map(locale => artwork.hostedAudioGuides?.[locale]?.key)
+    .filter(Boolean);
+
+  await deleteFiles(keys);
+};
+
+/**
+ * Taille du fichier d'un guide audio
+ */
+export const getAudioGuideFileSize = async (guide) => {
+  const { size } = await getStorageDriver('private').stat(guide.key);
+  return size;
+};
+
+/**
+ * Flux de lecture du fichier d'un guide audio (octets start à end inclus)
+ */
+export const openAudioGuideStream = (guide, range) => {
+  return getStorageDriver('private').createReadStream(guide.key, range);
+};
+
+/**
+ * Filtre des achats d'un utilisateur confirmés et valides à cette date comprenant un billet « Visite guidée »
+ * Le billet doit avoir au moins une unité non remboursée (refundedQuantity < quantity)
+ */
+const guidedTourPurchaseFilter = (userId, at) => ({
+  'customer.userId': userId,
+  status: 'confirmed',
+  validFrom: { $lte: at },
+  validUntil: { $gte: at },
+  'items.category': GUIDED_TOUR_CATEGORY,
+  $expr: {
+    $anyElementTrue: [{
+      $map: {
+        input: '$items',
+        as: 'item',
+        in: {
+          $and: [
+            { $eq: ['$$item.category', GUIDED_TOUR_CATEGORY] },
+            { $gt: ['$$item.quantity', { $ifNull: ['$$item.refundedQuantity', 0] }] }
+          ]
+        }
+      }
+    }]
+  }
+});
+
+/**
+ * Achat confirmé et valide à cette date comprenant un billet « Visite guidée »
+ * (le plus tardif s'il y en a plusieurs)
+ */
+export const findGuidedTourPurchase = (userId, at = new Date()) => {
+  return Purchase.findOne(guidedTourPurchaseFilter(userId, at)).sort({ validUntil: -1 });
+};
+
+/**
+ * Générer le token signé d'un lien d'écoute (une œuvre, une langue)
+ * purchaseId: achat donnant accès à l'écoute (absent pour le personnel)
+ */
+export const generateAudioGuideToken = (artworkId, locale, userId, expiresAt, purchaseId = null) => {
+  return jwt.sign(
+    {
+      id: userId.toString(),
+      artwork: artworkId.toString(),
+      locale,
+      ...(purchaseId && { purchase: purchaseId.toString() }),
+      type: 'audio_guide'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)) }
+  );
+};
+
+/**
+ * Vérifier qu'un token d'écoute est valide pour cette œuvre et cette langue
+ * Le droit d'écoute est revérifié à chaque requête: un achat remboursé ou annulé, ou un compte
+ * du personnel désactivé ou sans permission, perd l'accès sans attendre l'expiration du token
+ */
+export const verifyAudioGuideToken = async (token, artworkId, locale, at = new Date()) => {
+  if (!token) return false;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return false;
+  }
+
+  if (decoded.type !== 'audio_guide' || decoded.artwork !== artworkId.toString() || decoded.locale !== locale) {
+    return false;
+  }
+
+  if (decoded.purchase) {
+    const purchase = await Purchase.exists({ _id: decoded.purchase, ...guidedTourPurchaseFilter(decoded.id, at) });
+    return Boolean(purchase);
+  }
+
+  const user = await User.findById(decoded.id).select('role isActive');
+  return Boolean(user?.isActive) && hasPermission(user, PERMISSIONS.ARTWORKS_WRITE);
+};
+
+/**
+ * Lien d'écoute du guide d'une langue pour le visiteur
+ * En accès restreint, le lien porte un token valable AUDIO_GUIDE_TOKEN_MINUTES (120 par défaut),
+ * sans dépasser la fin de validité du billet; le personnel (artworks:write) n'a pas besoin de billet
+ * Retourne { streamUrl, expiresAt }
+ */
+export const grantAudioGuideAccess = async (artwork, locale, user) => {
+  const streamUrl = artwork.getAudioGuideStreamUrl(locale);
+
+  if (!isAudioGuideRestricted()) {
+    return { streamUrl, expiresAt: null };
+  }
+
+  if (!user) {
+    throw audioGuideError('Connectez-vous pour écouter le guide audio', 401);
+  }
+
+  let expiresAt = new Date(Date.now() + (parseInt(process.env.AUDIO_GUIDE_TOKEN_MINUTES) || 120) * 60 * 1000);
+  let purchase = null;
+
+  if (!hasPermission(user, PERMISSIONS.ARTWORKS_WRITE)) {
+    purchase = await findGuidedTourPurchase(user._id);
+
+    if (!purchase) {
+      throw audioGuideError(`Un billet « ${GUIDED_TOUR_CATEGORY} » valide est requis pour écouter le guide audio`, 403);
+    }
+
+    if (purchase.validUntil < expiresAt) expiresAt = purchase.validUntil;
+  }
+
+  const token = generateAudioGuideToken(artwork._id, locale, user._id, expiresAt, purchase?._id);
+
+  return { streamUrl: `${streamUrl}?token=${token}`, expiresAt };
+};
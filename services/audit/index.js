@@ -0,0 +1,83 @@
+/**
+ * Service du journal d'audit
+ *
+ * Responsabilités:
+ * - Photographier un document avant et après une action administrative
+ * - Ne conserver que les champs modifiés (différence avant/après)
+ * - Enregistrer l'entrée avec l'auteur, l'adresse IP et l'agent utilisateur
+ *
+ * L'audit ne doit jamais faire échouer l'action déjà effectuée:
+ * les erreurs d'enregistrement sont journalisées puis ignorées.
+ */
+
+import AuditLog from '../../models/AuditLog.js';
+
+// Champs jamais copiés dans le journal (secrets, données volumineuses, métadonnées)
+const EXCLUDED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt',
+  'password', 'passwordResetToken', 'passwordResetExpires',
+  'qrCodeBase64'
+];
+
+/**
+ * Photographier un document Mongoose (ou un objet) pour le journal
+ */
+export const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+
+  const snapshot = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : { ...doc };
+
+  for (const field of EXCLUDED_FIELDS) {
+    delete snapshot[field];
+  }
+
+  // Valeurs sérialisables uniquement (ObjectId, dates...)
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Ne garder que les champs dont la valeur diffère entre les deux photographies
+ * Une création n'a pas d'état avant, une suppression pas d'état après
+ */
+export const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+
+  const changes = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field] ?? null;
+      changes.after[field] = after[field] ?? null;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Enregistrer une action administrative
+ * before et after sont des photographies (toAuditSnapshot) ou null
+ * Retourne l'entrée créée, ou null en cas d'erreur
+ */
+export const recordAudit = async (req, { action, targetType, targetId, before = null, after = null }) => {
+  try {
+    return await AuditLog.create({
+      actor: req.user._id,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId,
+      changes: diffSnapshots(before, after),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Erreur lors de l'enregistrement de l'audit (${action}):`, error);
+    return null;
+  }
+};
@@ -0,0 +1,214 @@
+/**
+ * Service de génération des documents PDF
+ *
+ * Responsabilités:
+ * - Produire le billet électronique d'un achat (QR code inclus)
+ * - Produire la facture d'un achat avec le détail des montants en FCFA
+ */
+
+import PDFDocument from 'pdfkit';
+
+const MUSEUM_NAME = 'Musée des Civilisations Noires';
+const MUSEUM_CITY = 'Dakar, Sénégal';
+
+// Libellés des méthodes de paiement
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Espèces',
+  card: 'Carte bancaire',
+  mobile_money: 'Mobile money',
+  bank_transfer: 'Virement bancaire'
+};
+
+/**
+ * Formater un montant en FCFA
+ * Les espaces insécables de fr-FR ne sont pas disponibles dans les polices PDF standard
+ */
+const formatAmount = (amount) => {
+  return `${Math.round(amount).toLocaleString('fr-FR').replace(/[\u00a0\u202f]/g, ' ')} FCFA`;
+};
+
+/**
+ * Formater une date à l'heure de Dakar
+ */
+const formatDate = (date, withTime = true) => {
+  return new Date(date).toLocaleString('fr-FR', {
+    timeZone: 'Africa/Dakar',
+    dateStyle: 'long',
+    ...(withTime ? { timeStyle: 'short' } : {})
+  });
+};
+
+/**
+ * Construire un document PDF et le renvoyer sous forme de Buffer
+ */
+const renderPdf = (title, draw) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title, Author: MUSEUM_NAME } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * En-tête commun aux documents du musée
+ */
+const drawHeader = (doc, title) => {
+  doc.font('Helvetica-Bold').fontSize(20).text(MUSEUM_NAME, { align: 'center' });
+  doc.font('Helvetica').fontSize(10).fillColor('#555555').text(MUSEUM_CITY, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor('#999999').stroke();
+  doc.moveDown();
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16).text(title, { align: 'center' });
+  doc.moveDown();
+};
+
+/**
+ * Ligne de tableau à colonnes fixes: [{ text, width, align }]
+ */
+const drawRow = (doc, columns, { bold = false } = {}) => {
+  const y = doc.y;
+  let x = 50;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+
+  for (const { text, width, align = 'left' } of columns) {
+    doc.text(String(text), x, y, { width, align });
+    x += width;
+  }
+
+  doc.x = 50;
+  doc.moveDown(0.5);
+};
+
+/**
+ * Générer le billet électronique d'un achat
+ */
+export const renderTicketPdf = (purchase) => {
+  const qrImage = Buffer.from(purchase.qrCodeBase64.split(',').pop(), 'base64');
+
+  return renderPdf(`Billet ${purchase._id}`, (doc) => {
+    drawHeader(doc, 'Billet électronique');
+
+    doc.font('Helvetica').fontSize(11);
+    doc.text(`Visiteur : ${purchase.customer.firstName} ${purchase.customer.lastName}`);
+    doc.text(`Référence : ${purchase._id}`);
+    doc.text(`Valable du ${formatDate(purchase.validFrom)} au ${formatDate(purchase.validUntil)}`);
+    doc.moveDown();
+
+    drawRow(doc, [
+      { text: 'Billet', width: 250 },
+      { text: 'Quantité', width: 70, align: 'right' },
+      { text: 'Créneau', width: 175, align: 'right' }
+    ], { bold: true });
+
+    for (const item of purchase.items) {
+      drawRow(doc, [
+        { text: item.ticketType, width: 250 },
+        { text: item.quantity, width: 70, align: 'right' },
+        { text: item.slot?.startsAt ? formatDate(item.slot.startsAt) : '-', width: 175, align: 'right' }
+      ]);
+    }
+
+    doc.moveDown();
+    doc.image(qrImage, (595 - 200) / 2, doc.y, { width: 200 });
+    doc.y += 210;
+
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+      .text(`Présentez ce QR code à l'entrée : il donne accès à ${purchase.totalItems - (purchase.refundedItems || 0)} visiteur(s).`, { align: 'center' });
+  });
+};
+
+/**
+ * Générer la facture d'un achat (le numéro de facture doit être attribué)
+ */
+export const renderInvoicePdf = (purchase) => {
+  return renderPdf(`Facture ${purchase.invoiceNumber}`, (doc) => {
+    drawHeader(doc, `Facture N° ${purchase.invoiceNumber}`);
+
+    doc.font('Helvetica').fontSize(11);
+    doc.text(`Date : ${formatDate(purchase.invoicedAt, false)}`);
+    doc.text(`Référence de l'achat : ${purchase._id}`);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text('Facturé à');
+    doc.font('Helvetica').text(`${purchase.customer.firstName} ${purchase.customer.lastName}`);
+    doc.text(purchase.customer.email);
+    if (purchase.customer.phone) doc.text(purchase.customer.phone);
+    doc.moveDown();
+
+    drawRow(doc, [
+      { text: 'Désignation', width: 165 },
+      { text: 'Qté', width: 40, align: 'right' },
+      { text: 'Prix unitaire', width: 85, align: 'right' },
+      { text: 'Réduction', width: 75, align: 'right' },
+      { text: 'Taxe', width: 50, align: 'right' },
+      { text: 'Montant', width: 80, align: 'right' }
+    ], { bold: true });
+
+    for (const item of purchase.items) {
+      const taxLabel = item.taxRate === undefined || item.taxRate === null
+        ? '-'
+        : `${item.taxRate} %${item.taxInclusive ? ' TTC' : ''}`;
+
+      drawRow(doc, [
+        { text: item.ticketType, width: 165 },
+        { text: item.quantity, width: 40, align: 'right' },
+        { text: formatAmount(item.unitPrice), width: 85, align: 'right' },
+        { text: item.discountAmount ? formatAmount(item.discountAmount) : '-', width: 75, align: 'right' },
+        { text: taxLabel, width: 50, align: 'right' },
+        { text: formatAmount(item.totalPrice), width: 80, align: 'right' }
+      ]);
+    }
+
+    doc.moveDown();
+
+    const totals = [['Sous-total', purchase.subtotal]];
+    if (purchase.discount > 0) {
+      const label = purchase.promoCode?.code ? `Réduction (${purchase.promoCode.code})` : 'Réduction';
+      totals.push([label, -purchase.discount]);
+    }
+
+    // Les taxes comprises dans les prix sont déjà dans le sous-total
+    const includedTax = purchase.items
+      .filter(item => item.taxInclusive)
+      .reduce((sum, item) => sum + item.taxAmount, 0);
+    totals.push([includedTax > 0 ? 'Taxes hors prix' : 'Taxes', purchase.tax - includedTax]);
+
+    for (const [label, amount] of totals) {
+      drawRow(doc, [
+        { text: label, width: 365, align: 'right' },
+        { text: formatAmount(amount), width: 130, align: 'right' }
+      ]);
+    }
+
+    drawRow(doc, [
+      { text: 'Total', width: 365, align: 'right' },
+      { text: formatAmount(purchase.total), width: 130, align: 'right' }
+    ], { bold: true });
+
+    if (purchase.refundedAmount > 0) {
+      drawRow(doc, [
+        { text: 'Remboursé', width: 365, align: 'right' },
+        { text: formatAmount(-purchase.refundedAmount), width: 130, align: 'right' }
+      ]);
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Paiement : ${PAYMENT_METHOD_LABELS[purchase.paymentMethod] || purchase.paymentMethod}` +
+      (purchase.paidAt ? ` le ${formatDate(purchase.paidAt)}` : ''));
+    if (purchase.paymentReference) doc.text(`Référence de paiement : ${purchase.paymentReference}`);
+    if (includedTax > 0) {
+      doc.text(`TTC : taxe comprise dans le prix du billet (${formatAmount(includedTax)} inclus dans le total).`);
+    }
+  });
+};
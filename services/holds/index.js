@@ -0,0 +1,133 @@
+/**
+ * Service des réservations temporaires (paniers)
+ *
+ * Responsabilités:
+ * - Définir la durée pendant laquelle un achat en attente bloque le stock
+ * - Prolonger ou abandonner une réservation
+ * - Expirer périodiquement les achats non payés et restituer le stock
+ */
+
+import Purchase from '../../models/Purchase.js';
+import { releasePurchaseItems } from '../inventory/index.js';
+import { releasePromoCodeUsage } from '../promoCodes/index.js';
+
+// Nombre maximum d'achats expirés par passage du balayeur
+const SWEEP_BATCH_SIZE = 100;
+
+/**
+ * Durée d'une réservation en millisecondes (PURCHASE_HOLD_MINUTES, 15 par défaut)
+ */
+export const getHoldDurationMs = () => {
+  return (parseInt(process.env.PURCHASE_HOLD_MINUTES) || 15) * 60 * 1000;
+};
+
+/**
+ * Nombre maximum de prolongations d'une réservation (PURCHASE_HOLD_MAX_EXTENSIONS, 2 par défaut)
+ */
+export const getMaxHoldExtensions = () => {
+  const max = parseInt(process.env.PURCHASE_HOLD_MAX_EXTENSIONS);
+  return isNaN(max) ? 2 : max;
+};
+
+/**
+ * Créer une erreur de réservation portant le code HTTP à renvoyer
+ */
+const holdError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Mettre fin à la réservation d'un achat en attente et restituer le stock et le code promo
+ * Transition conditionnelle: un achat payé entre-temps n'est jamais touché
+ * Retourne l'achat mis à jour, ou null si la réservation n'était plus active
+ */
+export const releaseHold = async (purchaseId, { status = 'expired', onlyIfDue = true, now = new Date() } = {}) => {
+  const filter = { _id: purchaseId, status: 'pending' };
+  if (onlyIfDue) filter.holdExpiresAt = { $lte: now };
+
+  const purchase = await Purchase.findOneAndUpdate(
+    filter,
+    { $set: { status, holdExpiresAt: null } },
+    { new: true }
+  );
+
+  if (!purchase) return null;
+
+  await releasePurchaseItems(purchase.items, { reverseStats: true });
+  await releasePromoCodeUsage(purchase);
+  return purchase;
+};
+
+/**
+ * Prolonger la réservation d'un achat en attente
+ */
+export const extendHold = async (purchase) => {
+  if (purchase.status !== 'pending' || !purchase.holdExpiresAt) {
+    throw holdError('Aucune réservation active pour cet achat', 409);
+  }
+
+  if (purchase.holdExpiresAt <= new Date()) {
+    throw holdError('La réservation a déjà expiré', 409);
+  }
+
+  const maxExtensions = getMaxHoldExtensions();
+
+  const updated = await Purchase.findOneAndUpdate(
+    {
+      _id: purchase._id,
+      status: 'pending',
+      holdExpiresAt: { $gt: new Date() },
+      holdExtensions: { $lt: maxExtensions }
+    },
+    {
+      $set: { holdExpiresAt: new Date(Date.now() + getHoldDurationMs()) },
+      $inc: { holdExtensions: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw holdError(`La réservation ne peut pas être prolongée plus de ${maxExtensions} fois`, 409);
+  }
+
+  return updated;
+};
+
+/**
+ * Expirer les achats dont la réservation est échue
+ * Retourne le nombre d'achats expirés
+ */
+export const expireStaleHolds = async (now = new Date()) => {
+  const stale = await Purchase.find({ status: 'pending', holdExpiresAt: { $lte: now } })
+    .select('_id')
+    .limit(SWEEP_BATCH_SIZE);
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    if (await releaseHold(_id, { now })) expired += 1;
+  }
+
+  return expired;
+};
+
+/**
+ * Démarrer le balayeur périodique des réservations échues
+ */
+export const startHoldSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireStaleHolds();
+      if (expired > 0) {
+        console.log(`⏱️ ${expired} achat(s) non payé(s) expiré(s)`);
+      }
+    } catch (error) {
+      console.error('Erreur lors de l\'expiration des réservations:', error);
+    }
+  }, intervalMs);
+
+  // Ne pas empêcher l'arrêt du processus
+  timer.unref();
+  return timer;
+};
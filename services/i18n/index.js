@@ -0,0 +1,85 @@
+/**
+ * Service de traduction des messages de l'API
+ *
+ * Responsabilités:
+ * - Traduire un code de message dans la langue de la requête (chaîne de repli des langues)
+ * - Construire les réponses d'erreur { success, code, message }
+ * - Traduire les erreurs de validation Mongoose champ par champ
+ */
+
+import fr from './messages/fr.js';
+import en from './messages/en.js';
+import { DEFAULT_LOCALE, getLocaleChain } from '../../config/locales.js';
+
+// Catalogues disponibles (wo et ar retombent sur en ou fr)
+const CATALOGS = { fr, en };
+
+// Codes des erreurs de validation Mongoose selon leur type
+const MONGOOSE_ERROR_CODES = {
+  required: 'FIELD_REQUIRED',
+  minlength: 'FIELD_TOO_SHORT',
+  maxlength: 'FIELD_TOO_LONG',
+  min: 'FIELD_TOO_SMALL',
+  max: 'FIELD_TOO_LARGE',
+  enum: 'FIELD_NOT_ALLOWED'
+};
+
+/**
+ * Première langue de la chaîne de repli disposant d'un catalogue
+ */
+const getCatalogLocale = (locale) => {
+  return getLocaleChain(locale).find(candidate => CATALOGS[candidate]) || DEFAULT_LOCALE;
+};
+
+/**
+ * Remplacer les paramètres {{nom}} d'un message
+ */
+const interpolate = (template, params) => {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    return params[name] !== undefined ? String(params[name]) : match;
+  });
+};
+
+/**
+ * Traduire un code de message (le code lui-même est renvoyé s'il est inconnu)
+ */
+export const translate = (locale, code, params = {}) => {
+  for (const candidate of getLocaleChain(locale)) {
+    const template = CATALOGS[candidate]?.[code];
+    if (template) return interpolate(template, params);
+  }
+
+  return code;
+};
+
+/**
+ * Corps de réponse d'erreur traduit dans la langue de la requête
+ */
+export const apiError = (req, code, params = {}) => ({
+  success: false,
+  code,
+  message: translate(req.locale, code, params)
+});
+
+/**
+ * Erreurs d'une ValidationError Mongoose, au format des erreurs de validation de l'API
+ * En français, le message précis défini dans le schéma est conservé
+ * (les messages par défaut de Mongoose, en anglais, mentionnent « path `champ` »)
+ */
+export const formatMongooseErrors = (error, locale) => {
+  const catalogLocale = getCatalogLocale(locale);
+
+  return Object.values(error.errors).map(err => {
+    const code = MONGOOSE_ERROR_CODES[err.kind] || 'FIELD_INVALID';
+    const { minlength, maxlength, min, max } = err.properties || {};
+    const hasSchemaMessage = Boolean(err.properties) && !/path `/i.test(err.message);
+
+    return {
+      field: err.path,
+      code,
+      message: catalogLocale === DEFAULT_LOCALE && hasSchemaMessage
+        ? err.message
+        : translate(catalogLocale, code, { field: err.path, min: minlength ?? min, max: maxlength ?? max })
+    };
+  });
+};
@@ -0,0 +1,174 @@
+/**
+ * Messages de l'API en anglais
+ *
+ * Mêmes codes que le catalogue français; un code absent retombe sur le français.
+ */
+
+export default {
+  // Erreurs générales
+  ROUTE_NOT_FOUND: 'Route {{route}} not found',
+  TOO_MANY_REQUESTS: 'Too many requests from this IP, please try again later.',
+  TOO_MANY_LOGIN_ATTEMPTS: 'Too many login attempts, please try again later.',
+  VALIDATION_ERROR: 'Validation error',
+  VALIDATION_FAILED: 'Invalid input data',
+  DUPLICATE_VALUE: '{{field}} already exists',
+  CORS_NOT_ALLOWED: 'Access not allowed',
+  INTERNAL_ERROR: 'Internal server error',
+  FIELD_REQUIRED: 'The {{field}} field is required',
+  FIELD_TOO_SHORT: 'The {{field}} field must contain at least {{min}} characters',
+  FIELD_TOO_LONG: 'The {{field}} field cannot exceed {{max}} characters',
+  FIELD_TOO_SMALL: 'The {{field}} field must be greater than or equal to {{min}}',
+  FIELD_TOO_LARGE: 'The {{field}} field must be less than or equal to {{max}}',
+  FIELD_NOT_ALLOWED: 'The value of the {{field}} field is not allowed',
+  FIELD_INVALID: 'The {{field}} field is invalid',
+
+  // Authentification
+  AUTH_TOKEN_REQUIRED: 'Access token required',
+  AUTH_TOKEN_MISSING: 'Access token missing',
+  TOKEN_INVALID: 'Invalid token',
+  TOKEN_EXPIRED: 'Token expired',
+  USER_NOT_FOUND: 'User not found',
+  ACCOUNT_DISABLED: 'Account disabled',
+  SESSION_EXPIRED: 'Session expired, please log in again',
+  AUTHENTICATION_ERROR: 'Authentication error',
+  AUTHENTICATION_REQUIRED: 'Authentication required',
+  PERMISSION_DENIED: 'Access denied. Required permission: {{permissions}}',
+  USER_ROLE_REQUIRED: 'Access denied. User role required.',
+  EMAIL_NOT_VERIFIED: 'Please verify your email address before continuing',
+  RESOURCE_OWNER_REQUIRED: 'Resource user ID required',
+  OWN_RESOURCES_ONLY: 'Access denied. You can only access your own resources.',
+  PASSWORD_RESET_RATE_LIMITED: 'Too many reset requests for this email, please try again later.',
+  VERIFICATION_RATE_LIMITED: 'Too many verification link requests, please try again later.',
+  EMAIL_ALREADY_REGISTERED: 'A user with this email already exists',
+  REGISTRATION_SUCCESS: 'Registration successful',
+  REGISTRATION_ERROR: 'Error during registration',
+  INVALID_CREDENTIALS: 'Incorrect email or password',
+  ACCOUNT_DISABLED_CONTACT_ADMIN: 'Account disabled. Contact the administrator.',
+  LOGIN_SUCCESS: 'Login successful',
+  LOGIN_ERROR: 'Error during login',
+  ADMIN_ACCOUNT_DISABLED: 'Administrator account disabled',
+  ADMIN_LOGIN_SUCCESS: 'Administrator login successful',
+  ADMIN_LOGIN_ERROR: 'Error during administrator login',
+  PROFILE_FETCH_ERROR: 'Error while retrieving the profile',
+  PROFILE_UPDATED: 'Profile updated successfully',
+  PROFILE_UPDATE_ERROR: 'Error while updating the profile',
+  PASSWORDS_REQUIRED: 'Current password and new password required',
+  NEW_PASSWORD_TOO_SHORT: 'The new password must contain at least 6 characters',
+  CURRENT_PASSWORD_INCORRECT: 'Current password is incorrect',
+  PASSWORD_CHANGED: 'Password changed successfully',
+  PASSWORD_CHANGE_ERROR: 'Error while changing the password',
+  VERIFICATION_LINK_INVALID: 'Invalid or expired verification link',
+  EMAIL_VERIFIED: 'Email address verified successfully',
+  EMAIL_VERIFICATION_ERROR: 'Error while verifying the email',
+  EMAIL_ALREADY_VERIFIED: 'Email address already verified',
+  VERIFICATION_EMAIL_SENT: 'A new verification link has been sent',
+  VERIFICATION_EMAIL_ERROR: 'Error while sending the verification link',
+  PASSWORD_RESET_EMAIL_SENT: 'If an account exists for this email, a reset link has been sent',
+  PASSWORD_RESET_REQUEST_ERROR: 'Error while requesting the password reset',
+  RESET_LINK_INVALID: 'Invalid or expired reset link',
+  PASSWORD_RESET_SUCCESS: 'Password reset successfully, please log in again',
+  PASSWORD_RESET_ERROR: 'Error while resetting the password',
+  SESSION_REFRESHED: 'Session refreshed successfully',
+  REFRESH_TOKEN_EXPIRED: 'Invalid or expired refresh token',
+  SESSION_REFRESH_ERROR: 'Error while refreshing the session',
+  LOGOUT_SUCCESS: 'Logout successful',
+  LOGOUT_ERROR: 'Error during logout',
+  LOGOUT_ALL_SUCCESS: 'Logged out of all devices successfully',
+  LOGOUT_ALL_ERROR: 'Error while logging out of all devices',
+  SESSIONS_FETCH_ERROR: 'Error while retrieving sessions',
+  SESSION_NOT_FOUND: 'Session not found',
+  SESSION_REVOKED: 'Device logged out successfully',
+  SESSION_REVOKE_ERROR: 'Error while revoking the session',
+
+  // Validation des données
+  EMAIL_INVALID: 'Please provide a valid email address',
+  PASSWORD_REQUIRED: 'Password is required',
+  PASSWORD_TOO_SHORT: 'The password must contain at least 6 characters',
+  PASSWORD_LENGTH: 'The password must contain between 6 and 128 characters',
+  PASSWORD_TOO_WEAK: 'The password must contain at least one lowercase letter, one uppercase letter and one digit',
+  FIRST_NAME_LENGTH: 'The first name must contain between 2 and 50 characters',
+  FIRST_NAME_INVALID: 'The first name may only contain letters',
+  LAST_NAME_LENGTH: 'The last name must contain between 2 and 50 characters',
+  LAST_NAME_INVALID: 'The last name may only contain letters',
+  PHONE_INVALID: 'Please provide a valid phone number',
+  USER_LOCALE_INVALID: 'The language must be "fr" or "en"',
+  RESET_TOKEN_INVALID: 'Invalid reset token',
+  VERIFICATION_TOKEN_INVALID: 'Invalid verification link',
+  REFRESH_TOKEN_INVALID: 'Invalid refresh token',
+  TITLE_LENGTH: 'The title must contain between 2 and 200 characters',
+  ARTIST_LENGTH: 'The artist name must contain between 2 and 100 characters',
+  YEAR_INVALID: 'The year must be realistic',
+  DESCRIPTION_LENGTH: 'The description must contain between 10 and 2000 characters',
+  IMAGE_REQUIRED: 'The image is required',
+  CATEGORY_INVALID: 'The category must be one of the allowed values',
+  ROOM_LENGTH: 'The room name must contain between 2 and 100 characters',
+  ARTWORK_PRICE_INVALID: 'The price must be between 0 and 10000 FCFA',
+  AUDIO_GUIDE_URL_INVALID: 'The audio guide URL must be valid',
+  LOCALE_INVALID: 'The language must be one of the following values: {{values}}',
+  PAGE_INVALID: 'The page number must be a positive integer',
+  LIMIT_INVALID: 'The limit must be between 1 and 100',
+  SEARCH_QUERY_LENGTH: 'The search query must contain between 2 and 100 characters',
+  CATEGORY_FILTER_LENGTH: 'The category must contain between 2 and 50 characters',
+  ID_INVALID: 'Invalid ID',
+  TICKET_TYPE_LENGTH: 'The ticket type must contain between 2 and 100 characters',
+  TICKET_DESCRIPTION_LENGTH: 'The description must contain between 10 and 500 characters',
+  TICKET_PRICE_INVALID: 'The price must be between 0 and 50000 FCFA',
+  STOCK_INVALID: 'The stock must be a positive integer, or -1 for unlimited',
+  VALIDITY_DAYS_INVALID: 'The validity must be between 1 and 365 days',
+  ENABLED_INVALID: 'The enabled field must be a boolean',
+  SLOT_DURATION_INVALID: 'A time slot must last between 15 and 480 minutes',
+  SLOT_CAPACITY_INVALID: 'The time slot capacity must be a positive integer',
+  OPENING_HOURS_INVALID: 'The opening hours must be a list',
+  WEEKDAY_INVALID: 'The day must be between 0 (Sunday) and 6 (Saturday)',
+  OPENING_TIME_INVALID: 'The opening time must use the HH:MM format',
+  CLOSING_TIME_INVALID: 'The closing time must use the HH:MM format',
+  START_DATE_INVALID: 'The start date must use the ISO 8601 format',
+  END_DATE_INVALID: 'The end date must use the ISO 8601 format',
+  DATE_INVALID: 'The date must use the ISO 8601 format',
+  ITEMS_REQUIRED: 'At least one item is required',
+  TICKET_ID_INVALID: 'Invalid ticket ID',
+  QUANTITY_INVALID: 'The quantity must be between 1 and 20',
+  SLOT_START_INVALID: 'The time slot start must use the ISO 8601 format',
+  PROMO_CODE_LENGTH: 'The promo code must contain between 3 and 30 characters',
+  PAYMENT_METHOD_INVALID: 'Invalid payment method',
+  PURCHASE_ID_INVALID: 'Invalid purchase ID',
+  MOBILE_MONEY_PROVIDER_INVALID: 'The provider must be "wave" or "orange_money"',
+  QR_CODE_REQUIRED: 'QR code required',
+  QR_CODE_INVALID: 'Invalid QR code',
+  GATE_LENGTH: 'The entrance gate must contain between 1 and 50 characters',
+  PARTY_SIZE_INVALID: 'The number of visitors must be between 1 and 20',
+  DEVICE_ID_LENGTH: 'The device ID must contain between 1 and 100 characters',
+  SCAN_BATCH_SIZE_INVALID: 'The batch must contain between 1 and 500 scans',
+  EVENT_ID_INVALID: 'Invalid event ID',
+  SCANNED_AT_INVALID: 'The scan date must use the ISO 8601 format',
+  PROMO_CODE_FORMAT_INVALID: 'The code must contain between 3 and 30 letters, digits, hyphens or underscores',
+  PROMO_DESCRIPTION_TOO_LONG: 'The description cannot exceed 500 characters',
+  DISCOUNT_TYPE_INVALID: 'The type must be "percentage" or "fixed"',
+  DISCOUNT_VALUE_INVALID: 'The discount value must be a positive number',
+  PERCENTAGE_TOO_HIGH: 'A percentage cannot exceed 100',
+  MAX_DISCOUNT_INVALID: 'The discount cap must be a positive number',
+  MIN_ORDER_AMOUNT_INVALID: 'The minimum amount must be a positive number',
+  USAGE_LIMIT_INVALID: 'The usage limit must be a positive integer',
+  PER_USER_LIMIT_INVALID: 'The per-user limit must be a positive integer',
+  CATEGORIES_INVALID: 'The categories must be a list',
+  IS_ACTIVE_INVALID: 'isActive must be a boolean',
+  TAX_RULE_NAME_LENGTH: 'The name must contain between 2 and 100 characters',
+  TAX_RATE_INVALID: 'The rate must be between 0 and 100',
+  PRICE_MODE_INVALID: 'The price mode must be "exclusive" or "inclusive"',
+  EFFECTIVE_FROM_INVALID: 'The effective date must use the ISO 8601 format',
+  EFFECTIVE_UNTIL_BEFORE_START: 'The end date must be after the effective date',
+  REFUND_ITEMS_INVALID: 'The items to refund must be a non-empty list',
+  ITEM_ID_INVALID: 'Invalid item ID',
+  REFUND_QUANTITY_INVALID: 'The refunded quantity must be between 1 and 20',
+  REFUND_REASON_LENGTH: 'The refund reason must contain between 1 and 500 characters',
+  REFUND_REFERENCE_LENGTH: 'The refund reference must contain between 1 and 100 characters',
+  ROLE_INVALID: 'The role must be one of the following values: {{values}}',
+  CAPTION_TOO_LONG: 'The caption cannot exceed 300 characters',
+  IS_MAIN_INVALID: 'isMain must be a boolean',
+  IMAGE_IDS_REQUIRED: 'The list of images is required',
+  IMAGE_ID_INVALID: 'Invalid image ID',
+  ACTOR_ID_INVALID: 'Invalid actor ID',
+  AUDIT_ACTION_LENGTH: 'The action must contain between 1 and 100 characters',
+  TARGET_TYPE_LENGTH: 'The target type must contain between 1 and 50 characters',
+  TARGET_ID_INVALID: 'Invalid target ID'
+};
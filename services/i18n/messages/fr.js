@@ -0,0 +1,175 @@
+/**
+ * Messages de l'API en français (langue de base)
+ *
+ * Chaque message est identifié par un code stable, renvoyé aux clients dans le champ "code".
+ * Les paramètres sont écrits {{nom}}.
+ */
+
+export default {
+  // Erreurs générales
+  ROUTE_NOT_FOUND: 'Route {{route}} non trouvée',
+  TOO_MANY_REQUESTS: 'Trop de requêtes depuis cette IP, veuillez réessayer plus tard.',
+  TOO_MANY_LOGIN_ATTEMPTS: 'Trop de tentatives de connexion, veuillez réessayer plus tard.',
+  VALIDATION_ERROR: 'Erreur de validation',
+  VALIDATION_FAILED: 'Données de validation invalides',
+  DUPLICATE_VALUE: '{{field}} existe déjà',
+  CORS_NOT_ALLOWED: 'Accès non autorisé',
+  INTERNAL_ERROR: 'Erreur interne du serveur',
+  FIELD_REQUIRED: 'Le champ {{field}} est requis',
+  FIELD_TOO_SHORT: 'Le champ {{field}} doit contenir au moins {{min}} caractères',
+  FIELD_TOO_LONG: 'Le champ {{field}} ne peut pas dépasser {{max}} caractères',
+  FIELD_TOO_SMALL: 'Le champ {{field}} doit être supérieur ou égal à {{min}}',
+  FIELD_TOO_LARGE: 'Le champ {{field}} doit être inférieur ou égal à {{max}}',
+  FIELD_NOT_ALLOWED: 'La valeur du champ {{field}} n\'est pas autorisée',
+  FIELD_INVALID: 'Le champ {{field}} est invalide',
+
+  // Authentification
+  AUTH_TOKEN_REQUIRED: 'Token d\'accès requis',
+  AUTH_TOKEN_MISSING: 'Token d\'accès manquant',
+  TOKEN_INVALID: 'Token invalide',
+  TOKEN_EXPIRED: 'Token expiré',
+  USER_NOT_FOUND: 'Utilisateur non trouvé',
+  ACCOUNT_DISABLED: 'Compte désactivé',
+  SESSION_EXPIRED: 'Session expirée, veuillez vous reconnecter',
+  AUTHENTICATION_ERROR: 'Erreur d\'authentification',
+  AUTHENTICATION_REQUIRED: 'Authentification requise',
+  PERMISSION_DENIED: 'Accès refusé. Permission requise: {{permissions}}',
+  USER_ROLE_REQUIRED: 'Accès refusé. Rôle utilisateur requis.',
+  EMAIL_NOT_VERIFIED: 'Veuillez vérifier votre adresse email avant de continuer',
+  RESOURCE_OWNER_REQUIRED: 'ID utilisateur de la ressource requis',
+  OWN_RESOURCES_ONLY: 'Accès refusé. Vous ne pouvez accéder qu\'à vos propres ressources.',
+  PASSWORD_RESET_RATE_LIMITED: 'Trop de demandes de réinitialisation pour cet email, veuillez réessayer plus tard.',
+  VERIFICATION_RATE_LIMITED: 'Trop de demandes d\'envoi du lien de vérification, veuillez réessayer plus tard.',
+  EMAIL_ALREADY_REGISTERED: 'Un utilisateur avec cet email existe déjà',
+  REGISTRATION_SUCCESS: 'Inscription réussie',
+  REGISTRATION_ERROR: 'Erreur lors de l\'inscription',
+  INVALID_CREDENTIALS: 'Email ou mot de passe incorrect',
+  ACCOUNT_DISABLED_CONTACT_ADMIN: 'Compte désactivé. Contactez l\'administrateur.',
+  LOGIN_SUCCESS: 'Connexion réussie',
+  LOGIN_ERROR: 'Erreur lors de la connexion',
+  ADMIN_ACCOUNT_DISABLED: 'Compte administrateur désactivé',
+  ADMIN_LOGIN_SUCCESS: 'Connexion administrateur réussie',
+  ADMIN_LOGIN_ERROR: 'Erreur lors de la connexion administrateur',
+  PROFILE_FETCH_ERROR: 'Erreur lors de la récupération du profil',
+  PROFILE_UPDATED: 'Profil mis à jour avec succès',
+  PROFILE_UPDATE_ERROR: 'Erreur lors de la mise à jour du profil',
+  PASSWORDS_REQUIRED: 'Mot de passe actuel et nouveau mot de passe requis',
+  NEW_PASSWORD_TOO_SHORT: 'Le nouveau mot de passe doit contenir au moins 6 caractères',
+  CURRENT_PASSWORD_INCORRECT: 'Mot de passe actuel incorrect',
+  PASSWORD_CHANGED: 'Mot de passe modifié avec succès',
+  PASSWORD_CHANGE_ERROR: 'Erreur lors du changement de mot de passe',
+  VERIFICATION_LINK_INVALID: 'Lien de vérification invalide ou expiré',
+  EMAIL_VERIFIED: 'Adresse email vérifiée avec succès',
+  EMAIL_VERIFICATION_ERROR: 'Erreur lors de la vérification de l\'email',
+  EMAIL_ALREADY_VERIFIED: 'Adresse email déjà vérifiée',
+  VERIFICATION_EMAIL_SENT: 'Un nouveau lien de vérification vient d\'être envoyé',
+  VERIFICATION_EMAIL_ERROR: 'Erreur lors de l\'envoi du lien de vérification',
+  PASSWORD_RESET_EMAIL_SENT: 'Si un compte existe pour cet email, un lien de réinitialisation vient d\'être envoyé',
+  PASSWORD_RESET_REQUEST_ERROR: 'Erreur lors de la demande de réinitialisation du mot de passe',
+  RESET_LINK_INVALID: 'Lien de réinitialisation invalide ou expiré',
+  PASSWORD_RESET_SUCCESS: 'Mot de passe réinitialisé avec succès, veuillez vous reconnecter',
+  PASSWORD_RESET_ERROR: 'Erreur lors de la réinitialisation du mot de passe',
+  SESSION_REFRESHED: 'Session rafraîchie avec succès',
+  REFRESH_TOKEN_EXPIRED: 'Refresh token invalide ou expiré',
+  SESSION_REFRESH_ERROR: 'Erreur lors du rafraîchissement de la session',
+  LOGOUT_SUCCESS: 'Déconnexion réussie',
+  LOGOUT_ERROR: 'Erreur lors de la déconnexion',
+  LOGOUT_ALL_SUCCESS: 'Déconnexion de tous les appareils réussie',
+  LOGOUT_ALL_ERROR: 'Erreur lors de la déconnexion de tous les appareils',
+  SESSIONS_FETCH_ERROR: 'Erreur lors de la récupération des sessions',
+  SESSION_NOT_FOUND: 'Session non trouvée',
+  SESSION_REVOKED: 'Appareil déconnecté avec succès',
+  SESSION_REVOKE_ERROR: 'Erreur lors de la révocation de la session',
+
+  // Validation des données
+  EMAIL_INVALID: 'Veuillez fournir un email valide',
+  PASSWORD_REQUIRED: 'Le mot de passe est requis',
+  PASSWORD_TOO_SHORT: 'Le mot de passe doit contenir au moins 6 caractères',
+  PASSWORD_LENGTH: 'Le mot de passe doit contenir entre 6 et 128 caractères',
+  PASSWORD_TOO_WEAK: 'Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre',
+  FIRST_NAME_LENGTH: 'Le prénom doit contenir entre 2 et 50 caractères',
+  FIRST_NAME_INVALID: 'Le prénom ne peut contenir que des lettres',
+  LAST_NAME_LENGTH: 'Le nom doit contenir entre 2 et 50 caractères',
+  LAST_NAME_INVALID: 'Le nom ne peut contenir que des lettres',
+  PHONE_INVALID: 'Veuillez fournir un numéro de téléphone valide',
+  USER_LOCALE_INVALID: 'La langue doit être "fr" ou "en"',
+  RESET_TOKEN_INVALID: 'Token de réinitialisation invalide',
+  VERIFICATION_TOKEN_INVALID: 'Lien de vérification invalide',
+  REFRESH_TOKEN_INVALID: 'Refresh token invalide',
+  TITLE_LENGTH: 'Le titre doit contenir entre 2 et 200 caractères',
+  ARTIST_LENGTH: 'Le nom de l\'artiste doit contenir entre 2 et 100 caractères',
+  YEAR_INVALID: 'L\'année doit être réaliste',
+  DESCRIPTION_LENGTH: 'La description doit contenir entre 10 et 2000 caractères',
+  IMAGE_REQUIRED: 'L\'image est requise',
+  CATEGORY_INVALID: 'La catégorie doit être une des valeurs autorisées',
+  ROOM_LENGTH: 'Le nom de la salle doit contenir entre 2 et 100 caractères',
+  ARTWORK_PRICE_INVALID: 'Le prix doit être entre 0 et 10000 FCFA',
+  AUDIO_GUIDE_URL_INVALID: 'L\'URL du guide audio doit être valide',
+  LOCALE_INVALID: 'La langue doit être une des valeurs suivantes: {{values}}',
+  PAGE_INVALID: 'Le numéro de page doit être un entier positif',
+  LIMIT_INVALID: 'La limite doit être entre 1 et 100',
+  SEARCH_QUERY_LENGTH: 'La requête de recherche doit contenir entre 2 et 100 caractères',
+  CATEGORY_FILTER_LENGTH: 'La catégorie doit contenir entre 2 et 50 caractères',
+  ID_INVALID: 'ID invalide',
+  TICKET_TYPE_LENGTH: 'Le type de billet doit contenir entre 2 et 100 caractères',
+  TICKET_DESCRIPTION_LENGTH: 'La description doit contenir entre 10 et 500 caractères',
+  TICKET_PRICE_INVALID: 'Le prix doit être entre 0 et 50000 FCFA',
+  STOCK_INVALID: 'Le stock doit être un entier positif ou -1 pour illimité',
+  VALIDITY_DAYS_INVALID: 'La validité doit être entre 1 et 365 jours',
+  ENABLED_INVALID: 'Le champ enabled doit être un booléen',
+  SLOT_DURATION_INVALID: 'La durée d\'un créneau doit être entre 15 et 480 minutes',
+  SLOT_CAPACITY_INVALID: 'La capacité d\'un créneau doit être un entier positif',
+  OPENING_HOURS_INVALID: 'Les horaires d\'ouverture doivent être une liste',
+  WEEKDAY_INVALID: 'Le jour doit être compris entre 0 (dimanche) et 6 (samedi)',
+  OPENING_TIME_INVALID: 'L\'heure d\'ouverture doit être au format HH:MM',
+  CLOSING_TIME_INVALID: 'L\'heure de fermeture doit être au format HH:MM',
+  START_DATE_INVALID: 'La date de début doit être au format ISO 8601',
+  END_DATE_INVALID: 'La date de fin doit être au format ISO 8601',
+  DATE_INVALID: 'La date doit être au format ISO 8601',
+  ITEMS_REQUIRED: 'Au moins un article est requis',
+  TICKET_ID_INVALID: 'ID de billet invalide',
+  QUANTITY_INVALID: 'La quantité doit être entre 1 et 20',
+  SLOT_START_INVALID: 'Le début du créneau doit être au format ISO 8601',
+  PROMO_CODE_LENGTH: 'Le code promo doit contenir entre 3 et 30 caractères',
+  PAYMENT_METHOD_INVALID: 'Méthode de paiement invalide',
+  PURCHASE_ID_INVALID: 'ID d\'achat invalide',
+  MOBILE_MONEY_PROVIDER_INVALID: 'L\'opérateur doit être "wave" ou "orange_money"',
+  QR_CODE_REQUIRED: 'QR code requis',
+  QR_CODE_INVALID: 'QR code invalide',
+  GATE_LENGTH: 'La porte d\'entrée doit contenir entre 1 et 50 caractères',
+  PARTY_SIZE_INVALID: 'Le nombre de visiteurs doit être entre 1 et 20',
+  DEVICE_ID_LENGTH: 'L\'identifiant de l\'appareil doit contenir entre 1 et 100 caractères',
+  SCAN_BATCH_SIZE_INVALID: 'Le lot doit contenir entre 1 et 500 scans',
+  EVENT_ID_INVALID: 'Identifiant d\'événement invalide',
+  SCANNED_AT_INVALID: 'La date du scan doit être au format ISO 8601',
+  PROMO_CODE_FORMAT_INVALID: 'Le code doit contenir entre 3 et 30 lettres, chiffres, tirets ou underscores',
+  PROMO_DESCRIPTION_TOO_LONG: 'La description ne peut pas dépasser 500 caractères',
+  DISCOUNT_TYPE_INVALID: 'Le type doit être "percentage" ou "fixed"',
+  DISCOUNT_VALUE_INVALID: 'La valeur de la réduction doit être un nombre positif',
+  PERCENTAGE_TOO_HIGH: 'Un pourcentage ne peut pas dépasser 100',
+  MAX_DISCOUNT_INVALID: 'Le plafond de réduction doit être un nombre positif',
+  MIN_ORDER_AMOUNT_INVALID: 'Le montant minimum doit être un nombre positif',
+  USAGE_LIMIT_INVALID: 'La limite d\'utilisation doit être un entier positif',
+  PER_USER_LIMIT_INVALID: 'La limite par utilisateur doit être un entier positif',
+  CATEGORIES_INVALID: 'Les catégories doivent être une liste',
+  IS_ACTIVE_INVALID: 'isActive doit être un booléen',
+  TAX_RULE_NAME_LENGTH: 'Le nom doit contenir entre 2 et 100 caractères',
+  TAX_RATE_INVALID: 'Le taux doit être entre 0 et 100',
+  PRICE_MODE_INVALID: 'Le mode de prix doit être "exclusive" ou "inclusive"',
+  EFFECTIVE_FROM_INVALID: 'La date d\'entrée en vigueur doit être au format ISO 8601',
+  EFFECTIVE_UNTIL_BEFORE_START: 'La date de fin doit être postérieure à la date d\'entrée en vigueur',
+  REFUND_ITEMS_INVALID: 'Les articles à rembourser doivent être une liste non vide',
+  ITEM_ID_INVALID: 'ID d\'article invalide',
+  REFUND_QUANTITY_INVALID: 'La quantité remboursée doit être entre 1 et 20',
+  REFUND_REASON_LENGTH: 'La raison du remboursement doit contenir entre 1 et 500 caractères',
+  REFUND_REFERENCE_LENGTH: 'La référence du remboursement doit contenir entre 1 et 100 caractères',
+  ROLE_INVALID: 'Le rôle doit être une des valeurs suivantes: {{values}}',
+  CAPTION_TOO_LONG: 'La légende ne peut pas dépasser 300 caractères',
+  IS_MAIN_INVALID: 'isMain doit être un booléen',
+  IMAGE_IDS_REQUIRED: 'La liste des images est requise',
+  IMAGE_ID_INVALID: 'ID d\'image invalide',
+  ACTOR_ID_INVALID: 'ID de l\'auteur invalide',
+  AUDIT_ACTION_LENGTH: 'L\'action doit contenir entre 1 et 100 caractères',
+  TARGET_TYPE_LENGTH: 'Le type de cible doit contenir entre 1 et 50 caractères',
+  TARGET_ID_INVALID: 'ID de la cible invalide'
+};
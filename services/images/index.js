@@ -0,0 +1,303 @@
+/**
+ * Service des images des œuvres
+ *
+ * Responsabilités:
+ * - Identifier le format réel d'un fichier envoyé (signature binaire, pas le type déclaré)
+ * - Générer les déclinaisons thumbnail, medium et large
+ * - Enregistrer les fichiers via le pilote de stockage
+ * - Ajouter, légender, ordonner et retirer les images de la galerie d'une œuvre
+ */
+
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Artwork, { MAX_ARTWORK_IMAGES } from '../../models/Artwork.js';
+import { getStorageDriver } from '../storage/index.js';
+
+/**
+ * Formats acceptés et leur signature binaire
+ */
+const IMAGE_TYPES = [
+  {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    format: 'jpeg',
+    matches: (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    mimeType: 'image/png',
+    extension: 'png',
+    format: 'png',
+    matches: (buffer) => buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    format: 'webp',
+    matches: (buffer) => buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+  }
+];
+
+/**
+ * Déclinaisons générées pour chaque image (dimensions maximales en pixels)
+ * La vignette est recadrée au carré, les autres conservent leurs proportions
+ */
+export const IMAGE_RENDITIONS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  medium: { width: 800, height: 800, fit: 'inside' },
+  large: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+/**
+ * Créer une erreur d'image portant le code HTTP à renvoyer
+ */
+export const imageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Identifier le format d'une image à partir de ses premiers octets
+ * Retourne { mimeType, extension, format } ou null si le format n'est pas accepté
+ */
+export const sniffImageType = (buffer) => {
+  const type = IMAGE_TYPES.find(candidate => candidate.matches(buffer));
+  if (!type) return null;
+
+  const { mimeType, extension, format } = type;
+  return { mimeType, extension, format };
+};
+
+/**
+ * Clés de tous les fichiers d'une image de galerie
+ */
+const getImageFileKeys = (image) => {
+  return [image.original, ...Object.values(image.renditions || {})]
+    .filter(file => file?.key)
+    .map(file => file.key);
+};
+
+/**
+ * Supprimer des fichiers du stockage sans faire échouer l'appelant
+ */
+const deleteFiles = async (keys) => {
+  const storage = getStorageDriver();
+
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Erreur lors de la suppression du fichier ${key}:`, error);
+    }
+  }
+};
+
+/**
+ * Enregistrer l'original et ses déclinaisons sous un préfixe de stockage
+ * Les fichiers déjà écrits sont supprimés si une étape échoue
+ */
+export const storeImageRenditions = async (prefix, buffer) => {
+  const type = sniffImageType(buffer);
+
+  if (!type) {
+    throw imageError('Format d\'image non supporté (JPEG, PNG ou WebP uniquement)', 415);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw imageError('Image illisible ou corrompue', 415);
+  }
+
+  if (metadata.format !== type.format) {
+    throw imageError('Le contenu du fichier ne correspond pas à son format', 415);
+  }
+
+  const storage = getStorageDriver();
+  const storedKeys = [];
+
+  try {
+    // Orientations EXIF 5 à 8: image tournée d'un quart de tour
+    const rotated = metadata.orientation >= 5;
+    const original = await storage.put(`${prefix}/original.${type.extension}`, buffer, { contentType: type.mimeType });
+    storedKeys.push(original.key);
+
+    const renditions = {};
+
+    for (const [name, { width, height, fit }] of Object.entries(IMAGE_RENDITIONS)) {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+
+      const file = await storage.put(`${prefix}/${name}.webp`, data, { contentType: 'image/webp' });
+      storedKeys.push(file.key);
+
+      renditions[name] = { ...file, width: info.width, height: info.height };
+    }
+
+    return {
+      mimeType: type.mimeType,
+      original: {
+        ...original,
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height
+      },
+      renditions
+    };
+  } catch (error) {
+    await deleteFiles(storedKeys);
+    throw error;
+  }
+};
+
+/**
+ * Ajouter une image à la galerie d'une œuvre
+ * Retourne { artwork, image }
+ */
+export const addArtworkImage = async (artwork, file, { caption = '', isMain = false, uploadedBy } = {}) => {
+  if (artwork.images.length >= MAX_ARTWORK_IMAGES) {
+    throw imageError(`Une œuvre ne peut pas avoir plus de ${MAX_ARTWORK_IMAGES} images`, 409);
+  }
+
+  const imageId = new mongoose.Types.ObjectId();
+  const stored = await storeImageRenditions(`artworks/${artwork._id}/${imageId}`, file.buffer);
+
+  try {
+    const position = artwork.images.reduce((max, image) => Math.max(max, image.position + 1), 0);
+    const update = {
+      $push: {
+        images: {
+          _id: imageId,
+          ...stored,
+          caption,
+          position,
+          uploadedBy
+        }
+      }
+    };
+
+    if (isMain) {
+      update.$set = { image: stored.renditions.large.url };
+    }
+
+    // La galerie ne doit pas avoir atteint la limite entre-temps
+    const updatedArtwork = await Artwork.findOneAndUpdate(
+      { _id: artwork._id, [`images.${MAX_ARTWORK_IMAGES - 1}`]: { $exists: false } },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedArtwork) {
+      throw imageError('Œuvre non trouvée ou galerie complète', 409);
+    }
+
+    return { artwork: updatedArtwork, image: updatedArtwork.images.id(imageId) };
+  } catch (error) {
+    await deleteFiles(getImageFileKeys(stored));
+    throw error;
+  }
+};
+
+/**
+ * Modifier la légende d'une image ou en faire l'image principale
+ * Retourne { artwork, image }
+ */
+export const updateArtworkImage = async (artwork, imageId, { caption, isMain = false } = {}) => {
+  const image = artwork.images.id(imageId);
+
+  if (!image) {
+    throw imageError('Image non trouvée', 404);
+  }
+
+  const update = {};
+  if (caption !== undefined) update['images.$.caption'] = caption;
+  if (isMain) update.image = image.renditions.large.url;
+
+  const updatedArtwork = await Artwork.findOneAndUpdate(
+    { _id: artwork._id, 'images._id': image._id },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedArtwork) {
+    throw imageError('Image non trouvée', 404);
+  }
+
+  return { artwork: updatedArtwork, image: updatedArtwork.images.id(imageId) };
+};
+
+/**
+ * Réordonner la galerie: imageIds doit lister chaque image exactement une fois
+ */
+export const reorderArtworkImages = async (artwork, imageIds) => {
+  const ids = imageIds.map(id => id.toString());
+  const currentIds = artwork.images.map(image => image._id.toString());
+
+  if (new Set(ids).size !== ids.length
+    || ids.length !== currentIds.length
+    || !ids.every(id => currentIds.includes(id))) {
+    throw imageError('La liste doit contenir chaque image de l\'œuvre exactement une fois', 400);
+  }
+
+  const images = ids.map((id, position) => ({
+    ...artwork.images.id(id).toObject({ virtuals: false }),
+    position
+  }));
+
+  // La galerie ne doit pas avoir changé (ajout ou retrait) depuis sa lecture
+  const updatedArtwork = await Artwork.findOneAndUpdate(
+    { _id: artwork._id, images: { $size: ids.length }, 'images._id': { $all: ids } },
+    { $set: { images } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedArtwork) {
+    throw imageError('La galerie a été modifiée entre-temps, veuillez réessayer', 409);
+  }
+
+  return updatedArtwork;
+};
+
+/**
+ * Retirer une image de la galerie et supprimer ses fichiers
+ * L'image principale ne peut pas être retirée tant qu'elle n'a pas été remplacée
+ */
+export const removeArtworkImage = async (artwork, imageId) => {
+  const image = artwork.images.id(imageId);
+
+  if (!image) {
+    throw imageError('Image non trouvée', 404);
+  }
+
+  const mainUrl = image.renditions.large.url;
+
+  if (artwork.image === mainUrl) {
+    throw imageError('Impossible de retirer l\'image principale, choisissez d\'abord une autre image principale', 409);
+  }
+
+  const updatedArtwork = await Artwork.findOneAndUpdate(
+    { _id: artwork._id, image: { $ne: mainUrl }, 'images._id': image._id },
+    { $pull: { images: { _id: image._id } } },
+    { new: true }
+  );
+
+  if (!updatedArtwork) {
+    throw imageError('L\'image a été modifiée entre-temps, veuillez réessayer', 409);
+  }
+
+  await deleteFiles(getImageFileKeys(image));
+
+  return updatedArtwork;
+};
+
+/**
+ * Supprimer les fichiers de toutes les images d'une œuvre (suppression de l'œuvre)
+ */
+export const deleteArtworkImageFiles = async (artwork) => {
+  for (const image of artwork.images || []) {
+    await deleteFiles(getImageFileKeys(image));
+  }
+};
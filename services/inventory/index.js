@@ -0,0 +1,43 @@
+/**
+ * Service d'inventaire des billets
+ *
+ * Responsabilités:
+ * - Restituer le stock et les places de créneau des articles d'un achat
+ * - Corriger les statistiques de vente des billets
+ */
+
+import Ticket from '../../models/Ticket.js';
+import { releaseSlot } from '../timeSlots/index.js';
+
+/**
+ * Retirer des statistiques de vente les billets d'articles d'achat
+ */
+export const reverseSalesStats = async (items) => {
+  for (const item of items) {
+    const ticket = await Ticket.findById(item.ticketId);
+    if (ticket) {
+      await ticket.updateStats(-item.quantity, -item.totalPrice);
+    }
+  }
+};
+
+/**
+ * Libérer le stock et les créneaux réservés par des articles d'achat
+ * Avec reverseStats, les ventes comptées à la création sont aussi retirées
+ */
+export const releasePurchaseItems = async (items, { reverseStats = false } = {}) => {
+  for (const item of items) {
+    const ticket = await Ticket.findById(item.ticketId);
+    if (ticket) {
+      await ticket.releaseStock(item.quantity);
+    }
+
+    if (item.slot?.startsAt) {
+      await releaseSlot(item.ticketId, item.slot.startsAt, item.quantity);
+    }
+  }
+
+  if (reverseStats) {
+    await reverseSalesStats(items);
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Service de numérotation des factures
+ *
+ * Responsabilités:
+ * - Attribuer à un achat payé un numéro de facture séquentiel et sans trou
+ * - Ne jamais attribuer deux numéros au même achat
+ *
+ * Le numéro n'est attribué qu'à la première demande de facture, dans une
+ * transaction: si l'achat a déjà reçu un numéro entre-temps, l'incrément du
+ * compteur est annulé avec la transaction.
+ */
+
+import mongoose from 'mongoose';
+import Purchase from '../../models/Purchase.js';
+import Counter from '../../models/Counter.js';
+
+// Motif d'annulation interne lorsqu'un autre appel a déjà numéroté l'achat
+const ALREADY_INVOICED = 'Achat déjà facturé';
+
+/**
+ * Créer une erreur de facturation portant le code HTTP à renvoyer
+ */
+export const invoiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Formater un numéro de facture: FAC-2025-000042 (séquence annuelle)
+ */
+export const formatInvoiceNumber = (year, seq) => {
+  return `FAC-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Vérifier qu'un achat peut être facturé (paiement encaissé)
+ */
+export const isInvoiceable = (purchase) => {
+  return purchase.status === 'confirmed' || Boolean(purchase.paidAt);
+};
+
+/**
+ * Obtenir le numéro de facture d'un achat, en l'attribuant si nécessaire
+ * Retourne l'achat mis à jour
+ */
+export const ensureInvoiceNumber = async (purchase) => {
+  if (purchase.invoiceNumber) return purchase;
+
+  if (!isInvoiceable(purchase)) {
+    throw invoiceError('Seul un achat payé peut être facturé', 409);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let invoicedPurchase;
+
+    await session.withTransaction(async () => {
+      const invoicedAt = new Date();
+      const year = invoicedAt.getUTCFullYear();
+      const seq = await Counter.next(`invoice-${year}`, session);
+
+      invoicedPurchase = await Purchase.findOneAndUpdate(
+        { _id: purchase._id, invoiceNumber: null },
+        { $set: { invoiceNumber: formatInvoiceNumber(year, seq), invoicedAt } },
+        { new: true, session }
+      );
+
+      // Numéro déjà attribué par une requête concurrente: annuler l'incrément
+      if (!invoicedPurchase) {
+        throw invoiceError(ALREADY_INVOICED, 409);
+      }
+    });
+
+    return invoicedPurchase;
+  } catch (error) {
+    if (error.message === ALREADY_INVOICED) {
+      return Purchase.findById(purchase._id);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
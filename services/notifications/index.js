@@ -0,0 +1,639 @@
+/**
+ * Service de notifications par email et SMS
+ *
+ * Responsabilités:
+ * - Mettre en file (boîte d'envoi) les emails et SMS transactionnels
+ * - Envoyer les messages via le transport configuré et retenter en cas d'échec
+ * - Programmer les rappels d'expiration des billets
+ * - Suivre la remise des SMS à partir des accusés du fournisseur
+ * - Alerter le personnel des paiements à traiter
+ *
+ * Une notification ne doit jamais faire échouer l'opération qui la déclenche:
+ * les erreurs de mise en file sont journalisées puis ignorées.
+ */
+
+import Notification from '../../models/Notification.js';
+import Purchase from '../../models/Purchase.js';
+import User from '../../models/User.js';
+import { renderTemplate, renderSmsTemplate } from './templates.js';
+import SmtpTransport from './transports/SmtpTransport.js';
+import FileTransport from './transports/FileTransport.js';
+import ConsoleTransport from './transports/ConsoleTransport.js';
+import LocalSmsProvider from './sms/LocalSmsProvider.js';
+import { SMS_DELIVERY_STATUS } from './sms/SmsProvider.js';
+
+// Nombre maximum de messages envoyés par passage du worker
+const OUTBOX_BATCH_SIZE = 20;
+
+// Délai avant la première nouvelle tentative (doublé à chaque échec)
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// Un message resté "sending" plus longtemps est considéré comme interrompu
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Contenu conservé à la place d'un message sensible (lien à usage unique) une fois envoyé
+const REDACTED_CONTENT = '[Contenu effacé après envoi: lien à usage unique]';
+
+// Le rappel SMS part la veille de l'expiration des billets
+const SMS_REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let mailTransport = null;
+let smsProvider = null;
+
+/**
+ * Créer le transport d'email demandé (MAIL_TRANSPORT: smtp, file ou console)
+ */
+export const createMailTransport = (name = process.env.MAIL_TRANSPORT) => {
+  switch (name) {
+    case 'smtp':
+      return new SmtpTransport();
+    case 'file':
+      return new FileTransport();
+    default:
+      return new ConsoleTransport();
+  }
+};
+
+/**
+ * Obtenir le transport d'email courant
+ */
+export const getMailTransport = () => {
+  if (!mailTransport) mailTransport = createMailTransport();
+  return mailTransport;
+};
+
+/**
+ * Vérifier au démarrage que le transport d'email configuré est utilisable
+ * (console interdit en production, SMTP_HOST requis pour smtp)
+ */
+export const assertMailTransportConfigured = () => {
+  getMailTransport();
+};
+
+/**
+ * Remplacer le transport d'email (tests, scripts)
+ */
+export const setMailTransport = (transport) => {
+  mailTransport = transport;
+};
+
+/**
+ * Créer le fournisseur SMS demandé (SMS_PROVIDER, local par défaut)
+ */
+export const createSmsProvider = (name = process.env.SMS_PROVIDER) => {
+  switch (name) {
+    case 'local':
+    case undefined:
+    case '':
+      return new LocalSmsProvider();
+    default:
+      throw new Error(`Fournisseur SMS non supporté: ${name}`);
+  }
+};
+
+/**
+ * Obtenir le fournisseur SMS courant
+ */
+export const getSmsProvider = () => {
+  if (!smsProvider) smsProvider = createSmsProvider();
+  return smsProvider;
+};
+
+/**
+ * Remplacer le fournisseur SMS (tests, scripts)
+ */
+export const setSmsProvider = (provider) => {
+  smsProvider = provider;
+};
+
+/**
+ * Adresse d'expédition des emails
+ */
+const getSender = () => {
+  return process.env.MAIL_FROM || 'Musée des Civilisations Noires <no-reply@localhost>';
+};
+
+/**
+ * Langue préférée d'un utilisateur (français par défaut)
+ */
+const getUserLocale = async (userId) => {
+  const user = userId ? await User.findById(userId).select('locale') : null;
+  return user?.locale || 'fr';
+};
+
+/**
+ * Mettre un email en file d'envoi
+ * sensitive: le contenu est effacé une fois envoyé; expiresAt: date de suppression du message
+ * Retourne la notification créée, ou null si la clé de déduplication existe déjà
+ */
+export const enqueueEmail = async ({ type, to, locale = 'fr', data, attachments = [], user = null, purchase = null, dedupeKey, sensitive = false, expiresAt = null }) => {
+  const { subject, text, html } = renderTemplate(type, locale, data);
+
+  try {
+    return await Notification.create({
+      channel: 'email',
+      type,
+      locale,
+      to,
+      subject,
+      text,
+      html,
+      attachments,
+      user,
+      purchase,
+      dedupeKey,
+      sensitive,
+      expiresAt
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Mettre un SMS en file d'envoi
+ * Retourne la notification créée, ou null si la clé de déduplication existe déjà
+ */
+export const enqueueSms = async ({ type, to, locale = 'fr', data, user = null, purchase = null, dedupeKey }) => {
+  try {
+    return await Notification.create({
+      channel: 'sms',
+      type,
+      locale,
+      to,
+      text: renderSmsTemplate(type, locale, data),
+      user,
+      purchase,
+      dedupeKey
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Exécuter une mise en file sans jamais propager l'erreur
+ */
+const safely = async (label, enqueue) => {
+  try {
+    return await enqueue();
+  } catch (error) {
+    console.error(`Erreur lors de la mise en file de la notification (${label}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Destinataire SMS d'un achat: le téléphone du client, sauf refus des SMS
+ * Retourne { phone, locale } ou null
+ */
+const getSmsRecipient = async (purchase) => {
+  const phone = purchase.customer.phone?.trim();
+  if (!phone) return null;
+
+  const user = purchase.customer.userId
+    ? await User.findById(purchase.customer.userId).select('locale smsOptOut')
+    : null;
+
+  if (user?.smsOptOut) return null;
+  return { phone, locale: user?.locale || 'fr' };
+};
+
+/**
+ * Adresse du frontend pour les liens envoyés par email
+ */
+const getFrontendUrl = () => {
+  return (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+};
+
+/**
+ * Données du lien de vérification d'email
+ */
+const buildVerificationData = (user, verificationToken) => ({
+  firstName: user.firstName,
+  verifyUrl: `${getFrontendUrl()}/verify-email?token=${verificationToken}`,
+  expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 24
+});
+
+/**
+ * Date d'expiration d'un lien de vérification envoyé maintenant
+ */
+const getVerificationExpiry = () => {
+  return new Date(Date.now() + (parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 24) * 60 * 60 * 1000);
+};
+
+/**
+ * Email de bienvenue après l'inscription, avec le lien de vérification de l'adresse
+ */
+export const notifyRegistration = (user, verificationToken) => {
+  return safely('inscription', () => enqueueEmail({
+    type: 'registration',
+    to: user.email,
+    locale: user.locale || 'fr',
+    data: buildVerificationData(user, verificationToken),
+    user: user._id,
+    dedupeKey: `registration:${user._id}`,
+    sensitive: true,
+    expiresAt: getVerificationExpiry()
+  }));
+};
+
+/**
+ * Nouvel envoi du lien de vérification de l'adresse email
+ */
+export const notifyEmailVerification = (user, verificationToken) => {
+  return safely('vérification de l\'email', () => enqueueEmail({
+    type: 'email_verification',
+    to: user.email,
+    locale: user.locale || 'fr',
+    data: buildVerificationData(user, verificationToken),
+    user: user._id,
+    sensitive: true,
+    expiresAt: getVerificationExpiry()
+  }));
+};
+
+/**
+ * Email de réinitialisation du mot de passe (lien contenant le token en clair)
+ * Jamais dédupliqué: chaque demande produit un nouveau token
+ * Le contenu est effacé après envoi et le message supprimé à l'expiration du token
+ */
+export const notifyPasswordReset = (user, token) => {
+  return safely('réinitialisation du mot de passe', () => enqueueEmail({
+    type: 'password_reset',
+    to: user.email,
+    locale: user.locale || 'fr',
+    data: {
+      firstName: user.firstName,
+      resetUrl: `${getFrontendUrl()}/reset-password?token=${token}`,
+      expiresInMinutes: Math.round((user.passwordResetExpires - Date.now()) / 60000)
+    },
+    user: user._id,
+    sensitive: true,
+    expiresAt: user.passwordResetExpires
+  }));
+};
+
+/**
+ * Alerte du personnel: paiement mobile money à traiter
+ * Destinataire: PAYMENT_ALERT_EMAIL, ou ADMIN_EMAIL à défaut
+ */
+export const notifyPaymentAlert = (transaction, reason) => {
+  const to = process.env.PAYMENT_ALERT_EMAIL || process.env.ADMIN_EMAIL;
+  if (!to) return null;
+
+  return safely('alerte de paiement', () => enqueueEmail({
+    type: 'payment_alert',
+    to,
+    data: {
+      reference: transaction.reference,
+      operator: transaction.operator,
+      purchaseId: transaction.purchase.toString(),
+      amount: transaction.amount,
+      receivedAmount: transaction.receivedAmount,
+      reason
+    },
+    purchase: transaction.purchase,
+    dedupeKey: `payment_alert:${transaction._id}`
+  }));
+};
+
+/**
+ * Confirmation d'achat: email avec le QR code en pièce jointe
+ * et SMS court si le client a donné son téléphone
+ */
+export const notifyPurchaseConfirmed = async (purchase) => {
+  await notifyPurchaseConfirmedBySms(purchase);
+
+  return safely('confirmation d\'achat', async () => enqueueEmail({
+    type: 'purchase_confirmation',
+    to: purchase.customer.email,
+    locale: await getUserLocale(purchase.customer.userId),
+    data: {
+      firstName: purchase.customer.firstName,
+      purchaseId: purchase._id.toString(),
+      items: purchase.items,
+      total: purchase.total,
+      validFrom: purchase.validFrom,
+      validUntil: purchase.validUntil
+    },
+    attachments: [{
+      filename: `billet-${purchase._id}.png`,
+      contentType: 'image/png',
+      content: Buffer.from(purchase.qrCodeBase64.split(',').pop(), 'base64')
+    }],
+    user: purchase.customer.userId,
+    purchase: purchase._id,
+    dedupeKey: `purchase_confirmation:${purchase._id}`
+  }));
+};
+
+/**
+ * SMS de confirmation d'achat avec la référence du billet
+ */
+const notifyPurchaseConfirmedBySms = (purchase) => {
+  return safely('SMS de confirmation d\'achat', async () => {
+    const recipient = await getSmsRecipient(purchase);
+    if (!recipient) return null;
+
+    return enqueueSms({
+      type: 'purchase_confirmation',
+      to: recipient.phone,
+      locale: recipient.locale,
+      data: {
+        purchaseId: purchase._id.toString(),
+        totalItems: purchase.totalItems,
+        validUntil: purchase.validUntil
+      },
+      user: purchase.customer.userId,
+      purchase: purchase._id,
+      dedupeKey: `sms_purchase_confirmation:${purchase._id}`
+    });
+  });
+};
+
+/**
+ * Email d'annulation d'achat
+ */
+export const notifyPurchaseCancelled = (purchase, reason = '') => {
+  return safely('annulation', async () => enqueueEmail({
+    type: 'purchase_cancelled',
+    to: purchase.customer.email,
+    locale: await getUserLocale(purchase.customer.userId),
+    data: {
+      firstName: purchase.customer.firstName,
+      purchaseId: purchase._id.toString(),
+      reason
+    },
+    user: purchase.customer.userId,
+    purchase: purchase._id,
+    dedupeKey: `purchase_cancelled:${purchase._id}`
+  }));
+};
+
+/**
+ * Email de remboursement (un message par entrée du registre)
+ */
+export const notifyRefund = (purchase, refund) => {
+  return safely('remboursement', async () => enqueueEmail({
+    type: 'refund',
+    to: purchase.customer.email,
+    locale: await getUserLocale(purchase.customer.userId),
+    data: {
+      firstName: purchase.customer.firstName,
+      purchaseId: purchase._id.toString(),
+      amount: refund.amount,
+      fullyRefunded: purchase.status === 'refunded'
+    },
+    user: purchase.customer.userId,
+    purchase: purchase._id,
+    dedupeKey: `refund:${refund._id}`
+  }));
+};
+
+/**
+ * Nombre de jours avant expiration pour le rappel (EXPIRY_REMINDER_DAYS, 3 par défaut)
+ */
+const getExpiryReminderDays = () => {
+  return parseInt(process.env.EXPIRY_REMINDER_DAYS) || 3;
+};
+
+/**
+ * Programmer les rappels des achats confirmés qui expirent bientôt
+ * avec des entrées non utilisées
+ * Retourne le nombre de rappels mis en file
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + getExpiryReminderDays() * 24 * 60 * 60 * 1000);
+
+  const purchases = await Purchase.find({
+    status: 'confirmed',
+    validUntil: { $gt: now, $lte: horizon },
+    expiryReminderSentAt: null
+  }).limit(OUTBOX_BATCH_SIZE);
+
+  let queued = 0;
+
+  for (const purchase of purchases) {
+    // Marquage conditionnel: un seul rappel par achat même avec plusieurs instances
+    const claimed = await Purchase.updateOne(
+      { _id: purchase._id, expiryReminderSentAt: null },
+      { $set: { expiryReminderSentAt: now } }
+    );
+
+    if (claimed.modifiedCount === 0 || purchase.remainingAdmissions === 0) continue;
+
+    const notification = await safely('rappel d\'expiration', async () => enqueueEmail({
+      type: 'expiry_reminder',
+      to: purchase.customer.email,
+      locale: await getUserLocale(purchase.customer.userId),
+      data: {
+        firstName: purchase.customer.firstName,
+        purchaseId: purchase._id.toString(),
+        validUntil: purchase.validUntil,
+        remainingAdmissions: purchase.remainingAdmissions
+      },
+      user: purchase.customer.userId,
+      purchase: purchase._id,
+      dedupeKey: `expiry_reminder:${purchase._id}`
+    }));
+
+    if (notification) queued += 1;
+  }
+
+  return queued;
+};
+
+/**
+ * Programmer le SMS de rappel des achats confirmés qui expirent dans les 24 heures
+ * avec des entrées non utilisées
+ * Retourne le nombre de SMS mis en file
+ */
+export const sendSmsValidityReminders = async (now = new Date()) => {
+  const purchases = await Purchase.find({
+    status: 'confirmed',
+    validUntil: { $gt: now, $lte: new Date(now.getTime() + SMS_REMINDER_WINDOW_MS) },
+    'customer.phone': { $nin: [null, ''] },
+    smsReminderSentAt: null
+  }).limit(OUTBOX_BATCH_SIZE);
+
+  let queued = 0;
+
+  for (const purchase of purchases) {
+    const claimed = await Purchase.updateOne(
+      { _id: purchase._id, smsReminderSentAt: null },
+      { $set: { smsReminderSentAt: now } }
+    );
+
+    if (claimed.modifiedCount === 0 || purchase.remainingAdmissions === 0) continue;
+
+    const notification = await safely('SMS de rappel de validité', async () => {
+      const recipient = await getSmsRecipient(purchase);
+      if (!recipient) return null;
+
+      return enqueueSms({
+        type: 'validity_reminder',
+        to: recipient.phone,
+        locale: recipient.locale,
+        data: {
+          purchaseId: purchase._id.toString(),
+          validUntil: purchase.validUntil,
+          remainingAdmissions: purchase.remainingAdmissions
+        },
+        user: purchase.customer.userId,
+        purchase: purchase._id,
+        dedupeKey: `sms_validity_reminder:${purchase._id}`
+      });
+    });
+
+    if (notification) queued += 1;
+  }
+
+  return queued;
+};
+
+/**
+ * Transmettre un message au transport de son canal
+ * Retourne les champs à enregistrer sur la notification envoyée
+ */
+const sendThroughChannel = async (notification) => {
+  if (notification.channel === 'sms') {
+    const { messageId, status } = await getSmsProvider().send({
+      to: notification.to,
+      text: notification.text
+    });
+
+    return { providerMessageId: messageId, deliveryStatus: status || SMS_DELIVERY_STATUS.SENT };
+  }
+
+  const { messageId } = await getMailTransport().send({
+    from: getSender(),
+    to: notification.to,
+    subject: notification.subject,
+    text: notification.text,
+    html: notification.html,
+    attachments: notification.attachments.map(({ filename, contentType, content }) => ({
+      filename,
+      contentType,
+      content
+    }))
+  });
+
+  return { providerMessageId: messageId };
+};
+
+/**
+ * Envoyer un message de la boîte d'envoi et enregistrer le résultat
+ * En cas d'échec, le message est reprogrammé avec un délai croissant
+ */
+const deliverNotification = async (notification) => {
+  // Contenu sensible effacé dès qu'il ne sera plus envoyé (envoyé ou abandonné)
+  const redaction = notification.sensitive ? { text: REDACTED_CONTENT, html: REDACTED_CONTENT } : {};
+
+  try {
+    const result = await sendThroughChannel(notification);
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { status: 'sent', sentAt: new Date(), lastError: null, ...result, ...redaction } }
+    );
+    return true;
+  } catch (error) {
+    const exhausted = notification.attempts >= notification.maxAttempts;
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: exhausted ? 'failed' : 'pending',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (notification.attempts - 1)),
+          ...(exhausted ? redaction : {})
+        }
+      }
+    );
+
+    console.error(`Échec de l'envoi de la notification ${notification._id} (tentative ${notification.attempts}):`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Envoyer les messages dus de la boîte d'envoi
+ * Retourne le nombre de messages envoyés
+ */
+export const processOutbox = async (now = new Date()) => {
+  // Reprendre les envois interrompus (arrêt du serveur pendant l'envoi)
+  await Notification.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  let sent = 0;
+
+  for (let i = 0; i < OUTBOX_BATCH_SIZE; i++) {
+    // Réservation atomique: un message n'est envoyé que par un seul worker
+    const notification = await Notification.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!notification) break;
+    if (await deliverNotification(notification)) sent += 1;
+  }
+
+  return sent;
+};
+
+/**
+ * Enregistrer un accusé de remise SMS { messageId, status, error }
+ * Un statut final (remis ou non remis) n'est jamais remplacé par un statut intermédiaire
+ * Retourne la notification mise à jour, ou null si le message est inconnu
+ */
+export const updateSmsDeliveryStatus = async ({ messageId, status, error = '' }, now = new Date()) => {
+  if (!Object.values(SMS_DELIVERY_STATUS).includes(status)) {
+    const statusError = new Error(`Statut de remise SMS inconnu: ${status}`);
+    statusError.statusCode = 400;
+    throw statusError;
+  }
+
+  const finalStatuses = [SMS_DELIVERY_STATUS.DELIVERED, SMS_DELIVERY_STATUS.UNDELIVERED];
+  const update = { deliveryStatus: status };
+
+  if (status === SMS_DELIVERY_STATUS.DELIVERED) update.deliveredAt = now;
+  if (status === SMS_DELIVERY_STATUS.UNDELIVERED) update.deliveryError = error || 'Message non remis';
+
+  const notification = await Notification.findOneAndUpdate(
+    {
+      channel: 'sms',
+      providerMessageId: messageId,
+      ...(finalStatuses.includes(status) ? {} : { deliveryStatus: { $nin: finalStatuses } })
+    },
+    { $set: update },
+    { new: true }
+  );
+
+  return notification || Notification.findOne({ channel: 'sms', providerMessageId: messageId });
+};
+
+/**
+ * Démarrer le worker périodique de la boîte d'envoi et des rappels
+ */
+export const startNotificationWorker = (intervalMs = 30 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      await sendExpiryReminders();
+      await sendSmsValidityReminders();
+      await processOutbox();
+    } catch (error) {
+      console.error('Erreur lors du traitement des notifications:', error);
+    }
+  }, intervalMs);
+
+  // Ne pas empêcher l'arrêt du processus
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,85 @@
+/**
+ * Fournisseur SMS local (bouchon) pour le développement et les tests
+ *
+ * Responsabilités:
+ * - Afficher les SMS dans les logs au lieu de les envoyer
+ * - Produire des accusés de remise signés comme le ferait un vrai fournisseur
+ */
+
+import crypto from 'crypto';
+import SmsProvider, { SMS_DELIVERY_STATUS } from './SmsProvider.js';
+
+const DEV_CALLBACK_SECRET = 'musee_sms_webhook_secret_dev';
+
+/**
+ * Secret partagé utilisé pour signer les accusés de remise
+ * En production, le secret doit être configuré et différent du secret de développement:
+ * sinon null est renvoyé et aucun accusé de remise n'est accepté
+ */
+const getCallbackSecret = () => {
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    return secret && secret !== DEV_CALLBACK_SECRET ? secret : null;
+  }
+
+  return secret || DEV_CALLBACK_SECRET;
+};
+
+/**
+ * Calculer la signature HMAC-SHA256 d'un corps de requête brut
+ */
+const signPayload = (rawBody) => {
+  const secret = getCallbackSecret();
+
+  if (!secret) {
+    throw new Error('SMS_WEBHOOK_SECRET doit être configuré en production (le secret de développement est refusé)');
+  }
+
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+export default class LocalSmsProvider extends SmsProvider {
+  constructor() {
+    super('local');
+  }
+
+  async send({ to, text }) {
+    const messageId = `LOCAL-SMS-${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+    console.log(`📱 SMS à ${to} (${messageId}): ${text}`);
+
+    return { messageId, status: SMS_DELIVERY_STATUS.SENT };
+  }
+
+  verifyStatusCallback(rawBody, headers) {
+    const signature = headers['x-sms-signature'];
+    if (!rawBody || !signature || !getCallbackSecret()) return false;
+
+    const expected = Buffer.from(signPayload(rawBody), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+
+    if (expected.length !== received.length) return false;
+    return crypto.timingSafeEqual(expected, received);
+  }
+
+  parseStatusCallback(payload) {
+    return {
+      messageId: payload.messageId,
+      status: payload.status,
+      error: payload.error || ''
+    };
+  }
+
+  /**
+   * Construire l'accusé de remise signé d'un message (simulation)
+   */
+  buildStatusCallback(messageId, status = SMS_DELIVERY_STATUS.DELIVERED, error = '') {
+    const rawBody = JSON.stringify({ messageId, status, error });
+
+    return {
+      rawBody,
+      signature: signPayload(rawBody)
+    };
+  }
+}
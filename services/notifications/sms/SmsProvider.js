@@ -0,0 +1,49 @@
+/**
+ * Interface commune des fournisseurs SMS
+ *
+ * Responsabilités:
+ * - Définir le contrat que chaque fournisseur SMS doit respecter
+ * - Normaliser les statuts de remise des messages
+ */
+
+/**
+ * Statuts de remise normalisés
+ */
+export const SMS_DELIVERY_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  UNDELIVERED: 'undelivered'
+};
+
+/**
+ * Classe de base des fournisseurs SMS
+ */
+export default class SmsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Envoyer un SMS { to, text }
+   * Retourne { messageId, status } ou lève une erreur (le message sera retenté)
+   */
+  async send(message) {
+    throw new Error(`send non implémenté pour le fournisseur SMS ${this.name}`);
+  }
+
+  /**
+   * Vérifier l'authenticité d'un accusé de remise envoyé par le fournisseur
+   */
+  verifyStatusCallback(rawBody, headers) {
+    return false;
+  }
+
+  /**
+   * Traduire un accusé de remise en résultat normalisé
+   * Retourne { messageId, status, error }
+   */
+  parseStatusCallback(payload) {
+    throw new Error(`parseStatusCallback non implémenté pour le fournisseur SMS ${this.name}`);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Modèles des emails et SMS transactionnels (français et anglais)
+ *
+ * Chaque modèle d'email reçoit les données du message et retourne
+ * { subject, lines }; le texte et le HTML sont construits à partir des lignes.
+ * Les modèles SMS retournent directement le texte du message.
+ */
+
+const MUSEUM_NAME = 'Musée des Civilisations Noires';
+
+/**
+ * Formater un montant en FCFA selon la langue
+ */
+const formatAmount = (amount, locale) => {
+  return `${Math.round(amount).toLocaleString(locale === 'en' ? 'en-US' : 'fr-FR')} FCFA`;
+};
+
+/**
+ * Formater une date à l'heure de Dakar selon la langue
+ */
+const formatDate = (date, locale) => {
+  return new Date(date).toLocaleString(locale === 'en' ? 'en-GB' : 'fr-FR', {
+    timeZone: 'Africa/Dakar',
+    dateStyle: 'long',
+    timeStyle: 'short'
+  });
+};
+
+/**
+ * Lister les billets d'un achat
+ */
+const formatItems = (items) => {
+  return items.map(item => `- ${item.quantity} x ${item.ticketType}`);
+};
+
+const templates = {
+  registration: {
+    fr: ({ firstName, verifyUrl, expiresInHours }) => ({
+      subject: `Bienvenue au ${MUSEUM_NAME}`,
+      lines: [
+        `Bonjour ${firstName},`,
+        'Votre compte a bien été créé.',
+        `Confirmez votre adresse email dans les ${expiresInHours} heures pour pouvoir acheter vos billets en ligne : ${verifyUrl}`,
+        'À très bientôt au musée !'
+      ]
+    }),
+    en: ({ firstName, verifyUrl, expiresInHours }) => ({
+      subject: `Welcome to the ${MUSEUM_NAME}`,
+      lines: [
+        `Hello ${firstName},`,
+        'Your account has been created.',
+        `Confirm your email address within ${expiresInHours} hours to buy your tickets online: ${verifyUrl}`,
+        'See you soon at the museum!'
+      ]
+    })
+  },
+
+  email_verification: {
+    fr: ({ firstName, verifyUrl, expiresInHours }) => ({
+      subject: 'Confirmez votre adresse email',
+      lines: [
+        `Bonjour ${firstName},`,
+        `Pour confirmer votre adresse email, ouvrez ce lien dans les ${expiresInHours} heures : ${verifyUrl}`,
+        'Si vous n\'avez pas créé de compte, ignorez ce message.'
+      ]
+    }),
+    en: ({ firstName, verifyUrl, expiresInHours }) => ({
+      subject: 'Confirm your email address',
+      lines: [
+        `Hello ${firstName},`,
+        `To confirm your email address, open this link within ${expiresInHours} hours: ${verifyUrl}`,
+        'If you did not create an account, ignore this message.'
+      ]
+    })
+  },
+
+  purchase_confirmation: {
+    fr: ({ firstName, purchaseId, items, total, validFrom, validUntil }) => ({
+      subject: `Confirmation de votre achat ${purchaseId}`,
+      lines: [
+        `Bonjour ${firstName},`,
+        `Votre paiement de ${formatAmount(total, 'fr')} a bien été reçu. Votre commande comprend :`,
+        ...formatItems(items),
+        `Vos billets sont valables du ${formatDate(validFrom, 'fr')} au ${formatDate(validUntil, 'fr')}.`,
+        'Présentez le QR code joint à ce message à l\'entrée du musée.'
+      ]
+    }),
+    en: ({ firstName, purchaseId, items, total, validFrom, validUntil }) => ({
+      subject: `Your purchase ${purchaseId} is confirmed`,
+      lines: [
+        `Hello ${firstName},`,
+        `We have received your payment of ${formatAmount(total, 'en')}. Your order includes:`,
+        ...formatItems(items),
+        `Your tickets are valid from ${formatDate(validFrom, 'en')} to ${formatDate(validUntil, 'en')}.`,
+        'Show the attached QR code at the museum entrance.'
+      ]
+    })
+  },
+
+  purchase_cancelled: {
+    fr: ({ firstName, purchaseId, reason }) => ({
+      subject: `Annulation de votre achat ${purchaseId}`,
+      lines: [
+        `Bonjour ${firstName},`,
+        `Votre achat ${purchaseId} a été annulé.`,
+        ...(reason ? [`Motif : ${reason}`] : []),
+        'Les billets correspondants ne sont plus valables.'
+      ]
+    }),
+    en: ({ firstName, purchaseId, reason }) => ({
+      subject: `Your purchase ${purchaseId} has been cancelled`,
+      lines: [
+        `Hello ${firstName},`,
+        `Your purchase ${purchaseId} has been cancelled.`,
+        ...(reason ? [`Reason: ${reason}`] : []),
+        'The related tickets are no longer valid.'
+      ]
+    })
+  },
+
+  refund: {
+    fr: ({ firstName, purchaseId, amount, fullyRefunded }) => ({
+      subject: `Remboursement de votre achat ${purchaseId}`,
+      lines: [
+        `Bonjour ${firstName},`,
+        `Un remboursement de ${formatAmount(amount, 'fr')} a été effectué sur votre achat ${purchaseId}.`,
+        fullyRefunded
+          ? 'Votre achat est entièrement remboursé et ses billets ne sont plus valables.'
+          : 'Les billets non remboursés restent valables.'
+      ]
+    }),
+    en: ({ firstName, purchaseId, amount, fullyRefunded }) => ({
+      subject: `Refund for your purchase ${purchaseId}`,
+      lines: [
+        `Hello ${firstName},`,
+        `A refund of ${formatAmount(amount, 'en')} has been issued for your purchase ${purchaseId}.`,
+        fullyRefunded
+          ? 'Your purchase has been fully refunded and its tickets are no longer valid.'
+          : 'The tickets that were not refunded remain valid.'
+      ]
+    })
+  },
+
+  password_reset: {
+    fr: ({ firstName, resetUrl, expiresInMinutes }) => ({
+      subject: 'Réinitialisation de votre mot de passe',
+      lines: [
+        `Bonjour ${firstName},`,
+        'Une réinitialisation du mot de passe de votre compte a été demandée.',
+        `Pour choisir un nouveau mot de passe, ouvrez ce lien dans les ${expiresInMinutes} minutes : ${resetUrl}`,
+        'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message : votre mot de passe reste inchangé.'
+      ]
+    }),
+    en: ({ firstName, resetUrl, expiresInMinutes }) => ({
+      subject: 'Reset your password',
+      lines: [
+        `Hello ${firstName},`,
+        'A password reset was requested for your account.',
+        `To choose a new password, open this link within ${expiresInMinutes} minutes: ${resetUrl}`,
+        'If you did not request this, ignore this message: your password remains unchanged.'
+      ]
+    })
+  },
+
+  payment_alert: {
+    fr: ({ reference, operator, purchaseId, amount, receivedAmount, reason }) => ({
+      subject: `Paiement mobile money à vérifier (${reference})`,
+      lines: [
+        `Le paiement ${reference} (${operator}) de l'achat ${purchaseId} nécessite une intervention.`,
+        `Motif : ${reason}`,
+        `Montant attendu : ${formatAmount(amount, 'fr')}, montant notifié : ${receivedAmount === null || receivedAmount === undefined ? 'inconnu' : formatAmount(receivedAmount, 'fr')}.`,
+        'Remboursez le client ou confirmez l\'achat manuellement, puis marquez la transaction comme traitée.'
+      ]
+    }),
+    en: ({ reference, operator, purchaseId, amount, receivedAmount, reason }) => ({
+      subject: `Mobile money payment to review (${reference})`,
+      lines: [
+        `Payment ${reference} (${operator}) for purchase ${purchaseId} needs attention.`,
+        `Reason: ${reason}`,
+        `Expected amount: ${formatAmount(amount, 'en')}, notified amount: ${receivedAmount === null || receivedAmount === undefined ? 'unknown' : formatAmount(receivedAmount, 'en')}.`,
+        'Refund the customer or confirm the purchase manually, then mark the transaction as resolved.'
+      ]
+    })
+  },
+
+  expiry_reminder: {
+    fr: ({ firstName, purchaseId, validUntil, remainingAdmissions }) => ({
+      subject: 'Vos billets expirent bientôt',
+      lines: [
+        `Bonjour ${firstName},`,
+        `Il vous reste ${remainingAdmissions} entrée(s) sur votre achat ${purchaseId}.`,
+        `Ces billets expirent le ${formatDate(validUntil, 'fr')} : pensez à venir nous rendre visite !`
+      ]
+    }),
+    en: ({ firstName, purchaseId, validUntil, remainingAdmissions }) => ({
+      subject: 'Your tickets expire soon',
+      lines: [
+        `Hello ${firstName},`,
+        `You have ${remainingAdmissions} admission(s) left on your purchase ${purchaseId}.`,
+        `These tickets expire on ${formatDate(validUntil, 'en')}: come and visit us before then!`
+      ]
+    })
+  }
+};
+
+// Modèles SMS: un seul segment de 160 caractères autant que possible
+const smsTemplates = {
+  purchase_confirmation: {
+    fr: ({ purchaseId, totalItems, validUntil }) =>
+      `MCN: achat confirmé, ${totalItems} entrée(s). Réf. billet ${purchaseId}, valable jusqu'au ${formatDate(validUntil, 'fr')}.`,
+    en: ({ purchaseId, totalItems, validUntil }) =>
+      `MCN: purchase confirmed, ${totalItems} admission(s). Ticket ref ${purchaseId}, valid until ${formatDate(validUntil, 'en')}.`
+  },
+
+  validity_reminder: {
+    fr: ({ purchaseId, remainingAdmissions, validUntil }) =>
+      `MCN: vos ${remainingAdmissions} entrée(s) (réf. ${purchaseId}) expirent le ${formatDate(validUntil, 'fr')}.`,
+    en: ({ purchaseId, remainingAdmissions, validUntil }) =>
+      `MCN: your ${remainingAdmissions} admission(s) (ref ${purchaseId}) expire on ${formatDate(validUntil, 'en')}.`
+  }
+};
+
+/**
+ * Échapper le texte inséré dans le HTML
+ */
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Construire le message d'un type dans une langue (français par défaut)
+ * Retourne { subject, text, html }
+ */
+export const renderTemplate = (type, locale, data) => {
+  const template = templates[type];
+
+  if (!template) {
+    throw new Error(`Modèle d'email inconnu: ${type}`);
+  }
+
+  const { subject, lines } = (template[locale] || template.fr)(data);
+  const signature = locale === 'en' ? `The ${MUSEUM_NAME} team` : `L'équipe du ${MUSEUM_NAME}`;
+
+  return {
+    subject,
+    text: [...lines, '', signature].join('\n'),
+    html: [...lines, signature].map(line => `<p>${escapeHtml(line)}</p>`).join('\n')
+  };
+};
+
+/**
+ * Construire le texte d'un SMS dans une langue (français par défaut)
+ */
+export const renderSmsTemplate = (type, locale, data) => {
+  const template = smsTemplates[type];
+
+  if (!template) {
+    throw new Error(`Modèle de SMS inconnu: ${type}`);
+  }
+
+  return (template[locale] || template.fr)(data);
+};
@@ -0,0 +1,29 @@
+/**
+ * Transport d'email console: affiche les messages au lieu de les envoyer
+ *
+ * Réservé au développement: refusé en production, où les liens de vérification
+ * et de réinitialisation du mot de passe seraient écrits dans les logs.
+ */
+
+import crypto from 'crypto';
+import MailTransport from './MailTransport.js';
+
+export default class ConsoleTransport extends MailTransport {
+  constructor() {
+    super('console');
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Le transport d\'email console est interdit en production (MAIL_TRANSPORT=smtp requis)');
+    }
+  }
+
+  async send(message) {
+    const attachments = (message.attachments || []).map(attachment => attachment.filename);
+
+    console.log(`📧 Email à ${message.to}: ${message.subject}` +
+      (attachments.length ? ` [pièces jointes: ${attachments.join(', ')}]` : ''));
+    console.log(message.text);
+
+    return { messageId: `console-${crypto.randomUUID()}` };
+  }
+}
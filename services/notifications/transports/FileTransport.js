@@ -0,0 +1,30 @@
+/**
+ * Transport d'email local: écrit chaque message dans un fichier .eml
+ *
+ * Utile en développement et pour les tests hors ligne: les messages
+ * peuvent être ouverts dans un client mail (dossier MAIL_OUTPUT_DIR).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import MailTransport from './MailTransport.js';
+
+export default class FileTransport extends MailTransport {
+  constructor(outputDir = process.env.MAIL_OUTPUT_DIR || 'tmp/mails') {
+    super('file');
+    this.outputDir = outputDir;
+    // Générateur de messages MIME sans envoi réseau
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    const filename = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(path.join(this.outputDir, filename), info.message);
+
+    return { messageId: info.messageId };
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Interface commune des transports d'email
+ *
+ * Responsabilités:
+ * - Définir le contrat que chaque transport (SMTP, fichier, console) doit respecter
+ */
+
+/**
+ * Classe de base des transports d'email
+ */
+export default class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Envoyer un message { from, to, subject, text, html, attachments }
+   * Retourne { messageId } ou lève une erreur (le message sera retenté)
+   */
+  async send(message) {
+    throw new Error(`send non implémenté pour le transport ${this.name}`);
+  }
+}
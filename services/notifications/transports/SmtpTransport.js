@@ -0,0 +1,32 @@
+/**
+ * Transport d'email SMTP
+ *
+ * Configuration: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+ */
+
+import nodemailer from 'nodemailer';
+import MailTransport from './MailTransport.js';
+
+export default class SmtpTransport extends MailTransport {
+  constructor() {
+    super('smtp');
+
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST doit être configuré pour le transport d\'email smtp');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
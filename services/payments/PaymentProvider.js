@@ -0,0 +1,70 @@
+/**
+ * Interface commune des fournisseurs de paiement
+ *
+ * Responsabilités:
+ * - Définir le contrat que chaque adaptateur de paiement doit respecter
+ * - Normaliser les résultats de paiement pour les routes
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Statuts de paiement normalisés renvoyés par les fournisseurs
+ */
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * Devise des montants des achats (franc CFA)
+ */
+export const PAYMENT_CURRENCY = 'XOF';
+
+/**
+ * Classe de base des fournisseurs de paiement
+ * Chaque adaptateur correspond à une valeur de Purchase.paymentMethod
+ */
+export default class PaymentProvider {
+  constructor(method) {
+    this.method = method;
+  }
+
+  /**
+   * Initier un paiement pour un achat
+   * Les options dépendent du fournisseur (opérateur, téléphone...)
+   * Retourne { reference, status, instructions }
+   */
+  async initiatePayment(purchase, options = {}) {
+    throw new Error(`initiatePayment non implémenté pour ${this.method}`);
+  }
+
+  /**
+   * Rembourser tout ou partie du paiement d'un achat
+   * Par défaut le remboursement est effectué hors ligne (guichet, virement)
+   * et seule une référence est générée
+   * Retourne { reference, status }
+   */
+  async refundPayment(purchase, amount) {
+    return {
+      reference: `REFUND-${this.method.toUpperCase()}-${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      status: PAYMENT_STATUS.SUCCEEDED
+    };
+  }
+
+  /**
+   * Vérifier l'authenticité d'une notification (webhook) du fournisseur
+   */
+  verifyWebhook(rawBody, headers) {
+    return false;
+  }
+
+  /**
+   * Traduire le contenu d'un webhook en résultat normalisé
+   * Retourne { purchaseId, reference, status, amount, currency, reason }
+   */
+  parseWebhook(payload) {
+    throw new Error(`parseWebhook non implémenté pour ${this.method}`);
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Passerelle de paiement locale (fausse) pour le développement et les tests
+ *
+ * Responsabilités:
+ * - Simuler une passerelle externe (carte, mobile money, virement)
+ * - Générer des références de transaction et de remboursement
+ * - Produire des webhooks signés comme le ferait une vraie passerelle
+ *
+ * Hors production uniquement: les méthodes qui en dépendent sont refusées en production.
+ */
+
+import crypto from 'crypto';
+import { PAYMENT_STATUS, PAYMENT_CURRENCY } from './PaymentProvider.js';
+
+// Transactions en mémoire, indexées par référence
+const charges = new Map();
+
+// Secret de développement, refusé en production
+const DEV_WEBHOOK_SECRET = 'musee_payment_webhook_secret_dev';
+
+/**
+ * La passerelle locale ne traite aucun paiement réel: elle est refusée en production
+ */
+export const isFakeGatewayAllowed = () => {
+  return process.env.NODE_ENV !== 'production';
+};
+
+/**
+ * Secret partagé utilisé pour signer les webhooks
+ * En production, PAYMENT_WEBHOOK_SECRET est obligatoire et ne peut pas être le secret de développement
+ */
+export const getWebhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  if (process.env.NODE_ENV === 'production' && (!secret || secret === DEV_WEBHOOK_SECRET)) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET doit être défini en production');
+  }
+
+  return secret || DEV_WEBHOOK_SECRET;
+};
+
+/**
+ * Calculer la signature HMAC-SHA256 d'un corps de requête brut
+ */
+export const signPayload = (rawBody, secret = getWebhookSecret()) => {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+/**
+ * Comparer une signature reçue avec la signature attendue (temps constant)
+ */
+export const isValidSignature = (rawBody, signature, secret = getWebhookSecret()) => {
+  if (!rawBody || !signature) return false;
+
+  const expected = Buffer.from(signPayload(rawBody, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+
+  if (expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Créer une transaction en attente
+ */
+const createCharge = ({ purchaseId, amount, currency = PAYMENT_CURRENCY, method }) => {
+  const reference = `FAKE-${method.toUpperCase()}-${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+  const charge = {
+    reference,
+    purchaseId: purchaseId.toString(),
+    amount,
+    currency,
+    method,
+    status: PAYMENT_STATUS.PENDING,
+    createdAt: new Date()
+  };
+
+  charges.set(reference, charge);
+  return charge;
+};
+
+/**
+ * Retrouver une transaction par référence
+ */
+const getCharge = (reference) => charges.get(reference) || null;
+
+/**
+ * Rembourser tout ou partie d'une transaction
+ * Les remboursements de la passerelle locale aboutissent immédiatement
+ */
+const createRefund = ({ reference, amount }) => {
+  const charge = charges.get(reference);
+
+  // Transaction créée avant un redémarrage: la passerelle locale ne la connaît plus
+  if (charge) {
+    charge.refundedAmount = (charge.refundedAmount || 0) + amount;
+  }
+
+  return {
+    reference: `FAKE-REFUND-${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+    chargeReference: reference,
+    amount,
+    status: PAYMENT_STATUS.SUCCEEDED,
+    createdAt: new Date()
+  };
+};
+
+/**
+ * Construire le webhook signé correspondant à l'issue d'une transaction
+ */
+const buildWebhook = (reference, outcome = PAYMENT_STATUS.SUCCEEDED, reason = '') => {
+  const charge = charges.get(reference);
+
+  if (!charge) {
+    throw new Error(`Transaction ${reference} inconnue de la passerelle locale`);
+  }
+
+  charge.status = outcome;
+
+  const payload = {
+    event: outcome === PAYMENT_STATUS.SUCCEEDED ? 'payment.succeeded' : 'payment.failed',
+    data: {
+      reference: charge.reference,
+      purchaseId: charge.purchaseId,
+      amount: charge.amount,
+      currency: charge.currency,
+      method: charge.method,
+      reason
+    }
+  };
+
+  const rawBody = JSON.stringify(payload);
+
+  return {
+    rawBody,
+    payload,
+    signature: signPayload(rawBody)
+  };
+};
+
+export default {
+  createCharge,
+  getCharge,
+  createRefund,
+  buildWebhook
+};
@@ -0,0 +1,90 @@
+/**
+ * Service de paiement
+ *
+ * Responsabilités:
+ * - Enregistrer les fournisseurs de paiement par méthode
+ * - Faire passer les achats de "pending" à "confirmed" ou "cancelled"
+ * - Traiter les webhooks des fournisseurs
+ */
+
+import mongoose from 'mongoose';
+import Purchase from '../../models/Purchase.js';
+import { PAYMENT_STATUS, PAYMENT_CURRENCY } from './PaymentProvider.js';
+import { paymentError, confirmPurchasePayment, failPurchasePayment } from './purchasePayments.js';
+import CashProvider from './providers/CashProvider.js';
+import CardProvider from './providers/CardProvider.js';
+import MobileMoneyProvider from './providers/MobileMoneyProvider.js';
+import BankTransferProvider from './providers/BankTransferProvider.js';
+
+export { PAYMENT_STATUS, PAYMENT_CURRENCY, paymentError, confirmPurchasePayment, failPurchasePayment };
+
+// Fournisseurs indexés par valeur de Purchase.paymentMethod
+const providers = new Map();
+
+/**
+ * Enregistrer (ou remplacer) le fournisseur d'une méthode de paiement
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.method, provider);
+};
+
+/**
+ * Obtenir le fournisseur d'une méthode de paiement
+ */
+export const getPaymentProvider = (method) => {
+  const provider = providers.get(method);
+
+  if (!provider) {
+    throw paymentError(`Aucun fournisseur de paiement pour la méthode "${method}"`, 400);
+  }
+
+  return provider;
+};
+
+registerPaymentProvider(new CashProvider());
+registerPaymentProvider(new CardProvider());
+registerPaymentProvider(new MobileMoneyProvider());
+registerPaymentProvider(new BankTransferProvider());
+
+/**
+ * Traiter un webhook reçu pour une méthode de paiement
+ * Un paiement réussi n'est confirmé que si le montant et la devise notifiés
+ * correspondent à l'achat
+ * Retourne { purchase, result } ou lève une erreur avec un statusCode
+ */
+export const processPaymentWebhook = async (method, rawBody, headers) => {
+  const provider = getPaymentProvider(method);
+
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    throw paymentError('Signature du webhook invalide', 401);
+  }
+
+  const result = provider.parseWebhook(JSON.parse(rawBody));
+
+  const purchase = mongoose.isValidObjectId(result.purchaseId)
+    ? await Purchase.findById(result.purchaseId)
+    : null;
+
+  if (!purchase) {
+    throw paymentError('Achat non trouvé', 404);
+  }
+
+  if (purchase.paymentMethod !== method) {
+    throw paymentError('La méthode de paiement ne correspond pas à l\'achat', 400);
+  }
+
+  if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+    const currency = result.currency || PAYMENT_CURRENCY;
+
+    if (result.amount !== purchase.total || currency !== PAYMENT_CURRENCY) {
+      console.error(`⚠️ Paiement ${result.reference} à vérifier: ${result.amount} ${currency} notifié, ${purchase.total} ${PAYMENT_CURRENCY} attendu pour l'achat ${purchase._id}`);
+      throw paymentError('Le montant payé ne correspond pas à l\'achat', 409);
+    }
+
+    await confirmPurchasePayment(purchase, result.reference);
+  } else if (result.status === PAYMENT_STATUS.FAILED) {
+    await failPurchasePayment(purchase, result.reason);
+  }
+
+  return { purchase, result };
+};
@@ -0,0 +1,228 @@
+/**
+ * Service de paiement mobile money
+ *
+ * Responsabilités:
+ * - Créer les intentions de paiement mobile money d'un achat
+ * - Traiter les notifications signées des opérateurs de façon idempotente
+ * - Rapprocher le montant payé du total de l'achat avant confirmation
+ * - Signaler au personnel les paiements reçus sans billet et les montants incohérents
+ * - Simuler les notifications des opérateurs en local
+ */
+
+import crypto from 'crypto';
+import Purchase from '../../../models/Purchase.js';
+import MobileMoneyTransaction from '../../../models/MobileMoneyTransaction.js';
+import { paymentError, confirmPurchasePayment, failPurchasePayment } from '../purchasePayments.js';
+import { getOperator, OPERATOR_NAMES } from './operators.js';
+import { notifyPaymentAlert } from '../../notifications/index.js';
+
+export { OPERATOR_NAMES };
+
+/**
+ * Créer (ou réutiliser) l'intention de paiement d'un achat
+ */
+export const createPaymentIntent = async (purchase, { operator = 'wave', phone } = {}) => {
+  if (!getOperator(operator)) {
+    throw paymentError(`Opérateur mobile money inconnu: ${operator}`, 400);
+  }
+
+  if (purchase.paymentMethod !== 'mobile_money') {
+    throw paymentError('Cet achat n\'est pas réglé par mobile money', 400);
+  }
+
+  if (purchase.status !== 'pending') {
+    throw paymentError('Seul un achat en attente peut être payé', 409);
+  }
+
+  // Réutiliser l'intention en cours pour éviter les doublons côté opérateur
+  const existing = await MobileMoneyTransaction.findOne({
+    purchase: purchase._id,
+    operator,
+    status: 'pending'
+  });
+
+  if (existing && existing.amount === purchase.total) {
+    return existing;
+  }
+
+  const transaction = new MobileMoneyTransaction({
+    purchase: purchase._id,
+    operator,
+    phone: phone || purchase.customer.phone,
+    amount: purchase.total,
+    reference: `MM${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`
+  });
+
+  await transaction.save();
+
+  purchase.paymentReference = transaction.reference;
+  await purchase.save();
+
+  return transaction;
+};
+
+/**
+ * Marquer une transaction comme à traiter par le personnel et l'alerter
+ */
+const flagForReview = async (transaction, reason, status) => {
+  const update = { needsReview: true, reviewReason: reason };
+  if (status) update.status = status;
+
+  const flagged = await MobileMoneyTransaction.findByIdAndUpdate(
+    transaction._id,
+    { $set: update },
+    { new: true }
+  );
+
+  console.error(`⚠️ Paiement mobile money ${transaction.reference} à vérifier: ${reason}`);
+  await notifyPaymentAlert(flagged, reason);
+
+  return flagged;
+};
+
+/**
+ * Traiter une notification d'opérateur
+ * Retourne { transaction, purchase, duplicate }
+ */
+export const handleOperatorCallback = async (operatorName, rawBody, headers) => {
+  const operator = getOperator(operatorName);
+
+  if (!operator) {
+    throw paymentError(`Opérateur mobile money inconnu: ${operatorName}`, 404);
+  }
+
+  // Secret absent en production: aucune notification ne peut être authentifiée
+  if (!operator.getSecret()) {
+    throw paymentError(`Secret de notification non configuré pour l'opérateur ${operatorName}`, 503);
+  }
+
+  if (!operator.verify(rawBody, headers)) {
+    throw paymentError('Signature de la notification invalide', 401);
+  }
+
+  const event = operator.parse(JSON.parse(rawBody));
+
+  if (!event.eventId || !event.reference) {
+    throw paymentError('Notification incomplète', 400);
+  }
+
+  const transaction = await MobileMoneyTransaction.findOne({
+    reference: event.reference,
+    operator: operatorName
+  });
+
+  if (!transaction) {
+    throw paymentError('Transaction mobile money non trouvée', 404);
+  }
+
+  // Une notification déjà reçue n'est jamais retraitée
+  const recorded = await MobileMoneyTransaction.recordCallback(transaction._id, {
+    eventId: event.eventId,
+    status: event.status,
+    amount: event.amount,
+    currency: event.currency
+  });
+
+  if (!recorded) {
+    return { transaction, purchase: null, duplicate: true };
+  }
+
+  const purchase = await Purchase.findById(transaction.purchase);
+
+  if (!purchase) {
+    throw paymentError('Achat non trouvé', 404);
+  }
+
+  // Rapprochement: le montant notifié doit correspondre exactement au total de l'achat
+  let status = 'failed';
+  if (event.status === 'succeeded') {
+    const amountMatches = event.amount === purchase.total &&
+      (!event.currency || event.currency === transaction.currency);
+    status = amountMatches ? 'succeeded' : 'amount_mismatch';
+  }
+
+  // Transition conditionnelle: seule la première issue définitive est retenue
+  const settled = await MobileMoneyTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    {
+      $set: {
+        status,
+        receivedAmount: event.amount,
+        operatorTransactionId: event.transactionId,
+        completedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!settled) {
+    return { transaction: recorded, purchase, duplicate: false };
+  }
+
+  if (status === 'succeeded') {
+    try {
+      await confirmPurchasePayment(purchase, event.transactionId);
+    } catch (error) {
+      // Le client a payé mais n'a pas de billet (réservation expirée entre-temps...):
+      // les renvois de l'opérateur seront des doublons, l'anomalie doit donc être conservée
+      console.error(`Erreur lors de la confirmation de l'achat ${purchase._id}:`, error);
+      const flagged = await flagForReview(
+        settled,
+        `Paiement reçu mais achat non confirmé: ${error.statusCode ? error.message : 'erreur interne'}`,
+        'paid_unconfirmed'
+      );
+      return { transaction: flagged, purchase, duplicate: false };
+    }
+  } else if (status === 'failed' && purchase.status === 'pending') {
+    await failPurchasePayment(purchase, 'Paiement mobile money refusé par l\'opérateur');
+  } else if (status === 'amount_mismatch') {
+    const flagged = await flagForReview(
+      settled,
+      `Montant incohérent: ${event.amount} ${event.currency || transaction.currency} notifié, ${purchase.total} attendu`
+    );
+    return { transaction: flagged, purchase, duplicate: false };
+  }
+
+  return { transaction: settled, purchase, duplicate: false };
+};
+
+/**
+ * Marquer une anomalie comme traitée par le personnel (remboursement ou confirmation manuelle faits)
+ */
+export const resolveTransactionReview = async (transaction, { reviewedBy, note = '' } = {}) => {
+  if (!transaction.needsReview) {
+    throw paymentError('Cette transaction n\'est pas à traiter', 409);
+  }
+
+  const resolved = await MobileMoneyTransaction.findOneAndUpdate(
+    { _id: transaction._id, needsReview: true },
+    { $set: { needsReview: false, reviewedAt: new Date(), reviewedBy, reviewNote: note } },
+    { new: true, runValidators: true }
+  );
+
+  if (!resolved) {
+    throw paymentError('La transaction a déjà été traitée', 409);
+  }
+
+  return resolved;
+};
+
+/**
+ * Simuler la notification d'un opérateur pour une transaction
+ */
+export const simulateOperatorCallback = async (reference, { outcome = 'succeeded', amount, eventId } = {}) => {
+  const transaction = await MobileMoneyTransaction.findOne({ reference });
+
+  if (!transaction) {
+    throw paymentError('Transaction mobile money non trouvée', 404);
+  }
+
+  const operator = getOperator(transaction.operator);
+  const callback = operator.buildCallback(transaction, {
+    eventId: eventId || `sim_${crypto.randomBytes(8).toString('hex')}`,
+    status: outcome,
+    amount: amount ?? transaction.amount
+  });
+
+  return handleOperatorCallback(transaction.operator, callback.rawBody, callback.headers);
+};
@@ -0,0 +1,163 @@
+/**
+ * Opérateurs mobile money pris en charge
+ *
+ * Responsabilités:
+ * - Vérifier les signatures HMAC propres à chaque opérateur
+ * - Normaliser le format des notifications de chaque opérateur
+ * - Construire des notifications signées pour le simulateur local
+ */
+
+import crypto from 'crypto';
+
+// Tolérance sur l'horodatage des signatures Wave (anti-rejeu)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Calculer un HMAC-SHA256 hexadécimal
+ */
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+/**
+ * Secret d'un opérateur
+ * En production, le secret doit être configuré et différent du secret de développement:
+ * sinon null est renvoyé et aucune notification n'est acceptée
+ */
+const resolveSecret = (secret, devSecret) => {
+  if (process.env.NODE_ENV === 'production') {
+    return secret && secret !== devSecret ? secret : null;
+  }
+
+  return secret || devSecret;
+};
+
+/**
+ * Comparer deux signatures hexadécimales en temps constant
+ */
+const safeEqual = (expected, received) => {
+  if (!expected || !received) return false;
+
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(received), 'hex');
+
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Wave: en-tête "Wave-Signature: t=<timestamp>,v1=<hmac(timestamp + corps)>"
+ */
+const wave = {
+  name: 'wave',
+
+  getSecret() {
+    return resolveSecret(process.env.WAVE_WEBHOOK_SECRET, 'musee_wave_webhook_secret_dev');
+  },
+
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${hmac(this.getSecret(), `${timestamp}${rawBody}`)}`;
+  },
+
+  verify(rawBody, headers) {
+    const header = headers['wave-signature'];
+    if (!header || !this.getSecret()) return false;
+
+    const parts = Object.fromEntries(
+      header.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    return safeEqual(hmac(this.getSecret(), `${timestamp}${rawBody}`), parts.v1);
+  },
+
+  parse(payload) {
+    const data = payload.data || {};
+
+    return {
+      eventId: payload.id,
+      reference: data.client_reference,
+      transactionId: data.transaction_id,
+      status: data.payment_status === 'succeeded' ? 'succeeded' : 'failed',
+      amount: Number(data.amount),
+      currency: data.currency
+    };
+  },
+
+  buildCallback(transaction, { eventId, status, amount }) {
+    const payload = {
+      id: eventId,
+      type: status === 'succeeded' ? 'checkout.session.completed' : 'checkout.session.payment_failed',
+      data: {
+        client_reference: transaction.reference,
+        transaction_id: `T_${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        amount: String(amount),
+        currency: transaction.currency,
+        payment_status: status
+      }
+    };
+
+    const rawBody = JSON.stringify(payload);
+    return { rawBody, headers: { 'wave-signature': this.sign(rawBody) } };
+  }
+};
+
+/**
+ * Orange Money: en-tête "X-OM-Signature: <hmac(corps)>"
+ */
+const orangeMoney = {
+  name: 'orange_money',
+
+  getSecret() {
+    return resolveSecret(process.env.ORANGE_MONEY_WEBHOOK_SECRET, 'musee_orange_money_webhook_secret_dev');
+  },
+
+  sign(rawBody) {
+    return hmac(this.getSecret(), rawBody);
+  },
+
+  verify(rawBody, headers) {
+    if (!this.getSecret()) return false;
+
+    return safeEqual(this.sign(rawBody), headers['x-om-signature']);
+  },
+
+  parse(payload) {
+    return {
+      eventId: payload.notif_token,
+      reference: payload.order_id,
+      transactionId: payload.txnid,
+      status: payload.status === 'SUCCESS' ? 'succeeded' : 'failed',
+      amount: Number(payload.amount),
+      currency: payload.currency
+    };
+  },
+
+  buildCallback(transaction, { eventId, status, amount }) {
+    const payload = {
+      notif_token: eventId,
+      order_id: transaction.reference,
+      txnid: `MP${Date.now()}`,
+      status: status === 'succeeded' ? 'SUCCESS' : 'FAILED',
+      amount,
+      currency: transaction.currency
+    };
+
+    const rawBody = JSON.stringify(payload);
+    return { rawBody, headers: { 'x-om-signature': this.sign(rawBody) } };
+  }
+};
+
+const operators = {
+  [wave.name]: wave,
+  [orangeMoney.name]: orangeMoney
+};
+
+/**
+ * Obtenir un opérateur par nom (null si inconnu)
+ */
+export const getOperator = (name) => operators[name] || null;
+
+export const OPERATOR_NAMES = Object.keys(operators);
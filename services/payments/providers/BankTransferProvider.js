@@ -0,0 +1,15 @@
+/**
+ * Adaptateur de paiement par virement bancaire
+ */
+
+import GatewayProvider from './GatewayProvider.js';
+
+export default class BankTransferProvider extends GatewayProvider {
+  constructor(gateway) {
+    super('bank_transfer', gateway);
+  }
+
+  getInstructions(charge) {
+    return `Effectuez un virement de ${charge.amount} FCFA en indiquant la référence ${charge.reference} dans le libellé`;
+  }
+}
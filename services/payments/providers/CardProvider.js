@@ -0,0 +1,15 @@
+/**
+ * Adaptateur de paiement par carte bancaire
+ */
+
+import GatewayProvider from './GatewayProvider.js';
+
+export default class CardProvider extends GatewayProvider {
+  constructor(gateway) {
+    super('card', gateway);
+  }
+
+  getInstructions(charge) {
+    return `Finalisez le paiement par carte (référence ${charge.reference})`;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Adaptateur de paiement en espèces
+ *
+ * Le paiement est encaissé au guichet du musée: il n'y a pas de passerelle
+ * externe et la confirmation est faite par un membre du personnel.
+ */
+
+import crypto from 'crypto';
+import PaymentProvider, { PAYMENT_STATUS } from '../PaymentProvider.js';
+
+export default class CashProvider extends PaymentProvider {
+  constructor() {
+    super('cash');
+  }
+
+  async initiatePayment(purchase) {
+    const reference = `CASH-${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+    return {
+      reference,
+      status: PAYMENT_STATUS.PENDING,
+      instructions: `Réglez ${purchase.total} FCFA au guichet en présentant la référence ${reference}`
+    };
+  }
+
+  // Aucun webhook pour les espèces: la confirmation passe par le personnel
+  verifyWebhook() {
+    return false;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Adaptateur générique pour les paiements passant par une passerelle externe
+ *
+ * Responsabilités:
+ * - Déléguer la création des transactions et des remboursements à la passerelle configurée
+ * - Vérifier et interpréter les webhooks signés de la passerelle
+ */
+
+import PaymentProvider, { PAYMENT_STATUS, PAYMENT_CURRENCY } from '../PaymentProvider.js';
+import fakeGateway, { isFakeGatewayAllowed, isValidSignature } from '../fakeGateway.js';
+import { paymentError } from '../purchasePayments.js';
+
+export default class GatewayProvider extends PaymentProvider {
+  /**
+   * @param {string} method - Valeur de Purchase.paymentMethod
+   * @param {object} gateway - Client de passerelle (passerelle locale par défaut)
+   */
+  constructor(method, gateway = fakeGateway) {
+    super(method);
+    this.gateway = gateway;
+  }
+
+  /**
+   * La passerelle locale n'est pas utilisable en production
+   */
+  isAvailable() {
+    return this.gateway !== fakeGateway || isFakeGatewayAllowed();
+  }
+
+  /**
+   * Refuser une opération lorsque aucune vraie passerelle n'est configurée
+   */
+  assertAvailable() {
+    if (!this.isAvailable()) {
+      throw paymentError(`Aucune passerelle de paiement configurée pour la méthode "${this.method}"`, 503);
+    }
+  }
+
+  /**
+   * Instructions affichées au client après l'initiation du paiement
+   */
+  getInstructions(charge) {
+    return `Paiement ${charge.reference} en attente de confirmation`;
+  }
+
+  async initiatePayment(purchase) {
+    this.assertAvailable();
+
+    const charge = await this.gateway.createCharge({
+      purchaseId: purchase._id,
+      amount: purchase.total,
+      currency: PAYMENT_CURRENCY,
+      method: this.method
+    });
+
+    return {
+      reference: charge.reference,
+      status: PAYMENT_STATUS.PENDING,
+      instructions: this.getInstructions(charge)
+    };
+  }
+
+  async refundPayment(purchase, amount) {
+    this.assertAvailable();
+
+    const refund = await this.gateway.createRefund({
+      reference: purchase.paymentReference,
+      amount
+    });
+
+    return {
+      reference: refund.reference,
+      status: refund.status
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    // Aucun webhook de la passerelle locale n'est accepté en production
+    if (!this.isAvailable()) return false;
+
+    return isValidSignature(rawBody, headers['x-payment-signature']);
+  }
+
+  parseWebhook(payload) {
+    const { event, data = {} } = payload;
+
+    return {
+      purchaseId: data.purchaseId,
+      reference: data.reference,
+      amount: data.amount,
+      currency: data.currency,
+      status: event === 'payment.succeeded' ? PAYMENT_STATUS.SUCCEEDED : PAYMENT_STATUS.FAILED,
+      reason: data.reason || ''
+    };
+  }
+}
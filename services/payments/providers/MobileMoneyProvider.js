@@ -0,0 +1,31 @@
+/**
+ * Adaptateur de paiement par mobile money
+ *
+ * Les intentions de paiement et les notifications des opérateurs (Wave,
+ * Orange Money) sont gérées par le service mobile money dédié.
+ */
+
+import PaymentProvider, { PAYMENT_STATUS } from '../PaymentProvider.js';
+import { createPaymentIntent } from '../mobileMoney/index.js';
+
+export default class MobileMoneyProvider extends PaymentProvider {
+  constructor() {
+    super('mobile_money');
+  }
+
+  async initiatePayment(purchase, options = {}) {
+    const transaction = await createPaymentIntent(purchase, options);
+
+    return {
+      reference: transaction.reference,
+      status: PAYMENT_STATUS.PENDING,
+      operator: transaction.operator,
+      instructions: `Validez le paiement de ${transaction.amount} FCFA sur votre téléphone (référence ${transaction.reference})`
+    };
+  }
+
+  // Les notifications arrivent sur /api/payments/mobile-money/callback/:operator
+  verifyWebhook() {
+    return false;
+  }
+}
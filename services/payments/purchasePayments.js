@@ -0,0 +1,66 @@
+/**
+ * Transitions de paiement des achats
+ *
+ * Responsabilités:
+ * - Confirmer un achat payé, enregistrer la référence de paiement et prévenir le client
+ * - Marquer un paiement échoué et libérer le stock, les créneaux et le code promo réservés
+ */
+
+import { releasePurchaseItems } from '../inventory/index.js';
+import { releasePromoCodeUsage } from '../promoCodes/index.js';
+import { notifyPurchaseConfirmed } from '../notifications/index.js';
+
+/**
+ * Créer une erreur de paiement portant le code HTTP à renvoyer
+ */
+export const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Confirmer le paiement d'un achat
+ * Idempotent: un achat déjà confirmé avec la même référence est renvoyé tel quel
+ */
+export const confirmPurchasePayment = async (purchase, paymentReference) => {
+  if (purchase.status === 'confirmed' && (!paymentReference || purchase.paymentReference === paymentReference)) {
+    return purchase;
+  }
+
+  if (purchase.status !== 'pending') {
+    throw paymentError(`Impossible de confirmer un achat au statut "${purchase.status}"`, 409);
+  }
+
+  if (!(await purchase.confirmPayment(paymentReference))) {
+    throw paymentError('L\'achat n\'est plus en attente de paiement (réservation expirée ou annulée entre-temps)', 409);
+  }
+
+  await notifyPurchaseConfirmed(purchase);
+
+  return purchase;
+};
+
+/**
+ * Marquer le paiement d'un achat comme échoué et libérer le stock réservé
+ */
+export const failPurchasePayment = async (purchase, reason = '') => {
+  if (purchase.status === 'cancelled') {
+    return purchase;
+  }
+
+  if (purchase.status !== 'pending') {
+    throw paymentError(`Impossible de marquer en échec un achat au statut "${purchase.status}"`, 409);
+  }
+
+  // Déjà expiré ou annulé entre-temps: le stock a été libéré par cette autre transition
+  if (!(await purchase.failPayment(reason))) {
+    throw paymentError('L\'achat n\'est plus en attente de paiement (réservation expirée ou annulée entre-temps)', 409);
+  }
+
+  // Les ventes comptées à la création de l'achat sont retirées des statistiques
+  await releasePurchaseItems(purchase.items, { reverseStats: true });
+  await releasePromoCodeUsage(purchase);
+
+  return purchase;
+};
@@ -0,0 +1,101 @@
+/**
+ * Service des codes promo
+ *
+ * Responsabilités:
+ * - Vérifier qu'un code promo s'applique à une commande
+ * - Calculer la réduction sur les billets concernés
+ * - Consommer et restituer les utilisations (globales et par utilisateur)
+ */
+
+import PromoCode from '../../models/PromoCode.js';
+import PromoCodeUsage from '../../models/PromoCodeUsage.js';
+
+/**
+ * Créer une erreur de code promo portant le code HTTP à renvoyer
+ */
+export const promoError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Calculer la réduction d'un code promo sur des articles d'achat
+ * Seuls les articles des catégories concernées comptent; la réduction est
+ * arrondie au franc et ne dépasse jamais le montant concerné
+ * allocations donne la part de réduction de chaque article (même ordre que items)
+ */
+export const computeDiscount = (promoCode, items) => {
+  const eligible = items.map(item => promoCode.appliesToCategory(item.category));
+  const eligibleAmount = items
+    .filter((item, index) => eligible[index])
+    .reduce((sum, item) => sum + item.totalPrice, 0);
+
+  let discount = promoCode.type === 'percentage'
+    ? eligibleAmount * promoCode.value / 100
+    : promoCode.value;
+
+  if (promoCode.type === 'percentage' && promoCode.maxDiscount !== null && promoCode.maxDiscount !== undefined) {
+    discount = Math.min(discount, promoCode.maxDiscount);
+  }
+
+  discount = Math.round(Math.min(discount, eligibleAmount));
+
+  // Répartition au prorata; le dernier article concerné absorbe les arrondis
+  const lastEligible = eligible.lastIndexOf(true);
+  let allocated = 0;
+  const allocations = items.map((item, index) => {
+    if (!eligible[index] || eligibleAmount === 0) return 0;
+    const share = index === lastEligible
+      ? discount - allocated
+      : Math.round(discount * item.totalPrice / eligibleAmount);
+    allocated += share;
+    return share;
+  });
+
+  return { eligibleAmount, discount, allocations };
+};
+
+/**
+ * Appliquer un code promo à une commande et consommer une utilisation
+ * Appelé dans la transaction de création d'achat: tout est annulé en cas d'échec
+ * Retourne { promoCode, discount, allocations }
+ */
+export const applyPromoCode = async (code, { userId, items, subtotal, session = null, now = new Date() }) => {
+  const promoCode = await PromoCode.findOne({ code: String(code).trim().toUpperCase() }).session(session);
+
+  if (!promoCode || !promoCode.isUsableAt(now)) {
+    throw promoError('Code promo invalide ou expiré', 400);
+  }
+
+  if (subtotal < promoCode.minOrderAmount) {
+    throw promoError(`Ce code promo nécessite une commande d'au moins ${promoCode.minOrderAmount} FCFA`, 400);
+  }
+
+  const { eligibleAmount, discount, allocations } = computeDiscount(promoCode, items);
+
+  if (eligibleAmount === 0) {
+    throw promoError('Ce code promo ne s\'applique à aucun billet de la commande', 400);
+  }
+
+  if (!(await PromoCode.consumeUse(promoCode._id, session))) {
+    throw promoError('Ce code promo a atteint sa limite d\'utilisation', 409);
+  }
+
+  if (promoCode.perUserLimit && !(await PromoCodeUsage.consume(promoCode._id, userId, promoCode.perUserLimit, session))) {
+    throw promoError('Vous avez déjà utilisé ce code promo le nombre maximum de fois', 409);
+  }
+
+  return { promoCode, discount, allocations };
+};
+
+/**
+ * Restituer l'utilisation du code promo d'un achat annulé ou expiré
+ */
+export const releasePromoCodeUsage = async (purchase) => {
+  const promoCodeId = purchase.promoCode?.promoCodeId;
+  if (!promoCodeId) return;
+
+  await PromoCode.releaseUse(promoCodeId);
+  await PromoCodeUsage.release(promoCodeId, purchase.customer.userId);
+};
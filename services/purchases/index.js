@@ -0,0 +1,182 @@
+/**
+ * Service de création des achats
+ *
+ * Responsabilités:
+ * - Créer un achat et réserver stock et créneaux dans une transaction MongoDB
+ * - Garantir qu'aucun billet ne soit survendu en cas d'achats simultanés
+ * - Tout annuler (stock, statistiques, créneaux, achat) en cas d'échec
+ * - Bloquer le stock pendant la durée de réservation en attendant le paiement
+ * - Appliquer un code promo puis les règles de taxe en vigueur à chaque article
+ */
+
+import mongoose from 'mongoose';
+import Purchase from '../../models/Purchase.js';
+import Ticket from '../../models/Ticket.js';
+import { createPurchaseQrCode, generateQrImage } from '../qr/index.js';
+import { findSlot, getSlotAdmissionWindow, reserveSlot } from '../timeSlots/index.js';
+import { getHoldDurationMs } from '../holds/index.js';
+import { applyPromoCode } from '../promoCodes/index.js';
+import { applyTaxes } from '../taxes/index.js';
+
+// Durée de validité d'un achat
+const PURCHASE_VALIDITY_MS = 30 * 24 * 60 * 60 * 1000; // 30 jours
+
+/**
+ * Créer une erreur d'achat portant le code HTTP à renvoyer
+ */
+export const purchaseError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Fenêtre de validité d'un achat
+ * Un achat dont tous les articles ont un créneau n'est valable que de l'ouverture du premier
+ * créneau à la fermeture du dernier (tolérance comprise); sinon PURCHASE_VALIDITY_MS à partir de maintenant
+ */
+const getPurchaseValidity = (items, now = new Date()) => {
+  if (items.length === 0 || items.some(item => !item.slot)) {
+    return { validFrom: now, validUntil: new Date(now.getTime() + PURCHASE_VALIDITY_MS) };
+  }
+
+  const windows = items.map(item => getSlotAdmissionWindow(item.slot));
+
+  return {
+    validFrom: new Date(Math.min(...windows.map(window => window.from.getTime()))),
+    validUntil: new Date(Math.max(...windows.map(window => window.until.getTime())))
+  };
+};
+
+/**
+ * Construire les articles de l'achat en réservant stock et créneaux
+ * Chaque décrément est une mise à jour conditionnelle exécutée dans la session
+ */
+const reserveItems = async (items, session) => {
+  const processedItems = [];
+
+  for (const item of items) {
+    const ticket = await Ticket.findById(item.ticketId).session(session);
+
+    if (!ticket) {
+      throw purchaseError(`Billet avec l'ID ${item.ticketId} non trouvé`, 400);
+    }
+
+    // Créneau obligatoire pour les billets à entrée horodatée
+    let slot = null;
+    if (ticket.timeSlots?.enabled) {
+      slot = findSlot(ticket, item.slotStart);
+
+      if (!slot || slot.endsAt <= new Date()) {
+        throw purchaseError(`Créneau invalide pour le billet "${ticket.type}"`, 400);
+      }
+    }
+
+    const itemTotal = ticket.price * item.quantity;
+
+    const reserved = await Ticket.reserveForPurchase(ticket._id, item.quantity, itemTotal, session);
+    if (!reserved) {
+      throw purchaseError(`Billet "${ticket.type}" non disponible en quantité ${item.quantity}`, 400);
+    }
+
+    if (slot && !(await reserveSlot(ticket, slot, item.quantity, session))) {
+      throw purchaseError(
+        `Le créneau du ${slot.startsAt.toISOString()} est complet pour le billet "${ticket.type}"`,
+        409
+      );
+    }
+
+    processedItems.push({
+      ticketId: ticket._id,
+      ticketType: ticket.type,
+      category: ticket.category,
+      quantity: item.quantity,
+      unitPrice: ticket.price,
+      totalPrice: itemTotal,
+      slot
+    });
+  }
+
+  return processedItems;
+};
+
+/**
+ * Créer un achat en attente de paiement
+ * La transaction est rejouée automatiquement en cas de conflit d'écriture
+ */
+export const createPurchase = async ({ userId, customer, items, promoCode, paymentMethod, notes, ipAddress, userAgent }) => {
+  const purchaseId = new mongoose.Types.ObjectId();
+  const session = await mongoose.startSession();
+
+  try {
+    let purchase;
+
+    await session.withTransaction(async () => {
+      let processedItems = await reserveItems(items, session);
+
+      // Générer le QR code signé de l'achat (identifiant, validité, nombre de billets)
+      // La validité dépend des créneaux réservés
+      const { validFrom, validUntil } = getPurchaseValidity(processedItems);
+      const qrCode = createPurchaseQrCode({
+        id: purchaseId,
+        validFrom,
+        validUntil,
+        itemCount: processedItems.reduce((count, item) => count + item.quantity, 0)
+      });
+      const qrCodeBase64 = await generateQrImage(qrCode);
+
+      // Calculer les totaux finaux (la taxe porte sur le montant après réduction)
+      const subtotal = processedItems.reduce((sum, item) => sum + item.totalPrice, 0);
+
+      let discount = 0;
+      let appliedPromoCode;
+      if (promoCode) {
+        const result = await applyPromoCode(promoCode, { userId, items: processedItems, subtotal, session });
+        discount = result.discount;
+        processedItems = processedItems.map((item, index) => ({
+          ...item,
+          discountAmount: result.allocations[index]
+        }));
+        appliedPromoCode = {
+          promoCodeId: result.promoCode._id,
+          code: result.promoCode.code,
+          type: result.promoCode.type,
+          value: result.promoCode.value
+        };
+      }
+
+      const taxed = await applyTaxes(processedItems, { discount, session });
+      const { tax, total } = taxed;
+      processedItems = taxed.items;
+
+      purchase = new Purchase({
+        _id: purchaseId,
+        customer: {
+          userId,
+          ...customer
+        },
+        items: processedItems,
+        subtotal,
+        discount,
+        promoCode: appliedPromoCode,
+        tax,
+        total,
+        qrCode,
+        qrCodeBase64,
+        paymentMethod,
+        notes,
+        validFrom,
+        validUntil,
+        holdExpiresAt: new Date(Date.now() + getHoldDurationMs()),
+        ipAddress,
+        userAgent
+      });
+
+      await purchase.save({ session });
+    });
+
+    return purchase;
+  } finally {
+    await session.endSession();
+  }
+};
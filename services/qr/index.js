@@ -0,0 +1,307 @@
+/**
+ * Service des QR codes signés
+ *
+ * Responsabilités:
+ * - Signer les contenus des QR codes (achats, œuvres) avec Ed25519
+ * - Vérifier les QR codes hors ligne, sans accès à la base de données
+ * - Gérer la rotation des clés (identifiant de clé inclus dans le QR code)
+ * - Générer les images des QR codes
+ *
+ * Format d'un QR code: MCN1.<kid>.<contenu base64url>.<signature base64url>
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+const TOKEN_PREFIX = 'MCN1';
+
+// En-tête DER PKCS#8 d'une clé privée Ed25519 (suivi de la graine de 32 octets)
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Types de contenus signés
+export const QR_TYPES = {
+  PURCHASE: 'p',
+  ARTWORK: 'a'
+};
+
+// Clés chargées à la demande depuis l'environnement
+let keyring = null;
+
+/**
+ * Construire une paire de clés Ed25519 à partir d'une graine de 32 octets
+ */
+const createKeyPair = (seed) => {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+};
+
+/**
+ * Charger les clés depuis QR_SIGNING_KEYS ("kid:graineHex,kid2:graineHex")
+ * La clé active (QR_ACTIVE_KEY_ID) signe, toutes les clés vérifient
+ * En production, les clés sont obligatoires: la graine de développement est publique
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  const configured = process.env.QR_SIGNING_KEYS;
+
+  if (configured) {
+    for (const entry of configured.split(',')) {
+      const [kid, seedHex] = entry.trim().split(':');
+      const seed = Buffer.from(seedHex || '', 'hex');
+
+      if (!kid || seed.length !== 32) {
+        throw new Error(`Clé de signature QR invalide: "${kid}" (graine hexadécimale de 32 octets attendue)`);
+      }
+
+      keys.set(kid, createKeyPair(seed));
+    }
+  } else {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('QR_SIGNING_KEYS doit être configuré en production (la clé de développement est publique)');
+    }
+    const seed = crypto.createHash('sha256').update('musee_qr_signing_key_dev').digest();
+    keys.set('dev', createKeyPair(seed));
+  }
+
+  const activeKeyId = process.env.QR_ACTIVE_KEY_ID || [...keys.keys()].pop();
+
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Clé de signature QR active inconnue: "${activeKeyId}"`);
+  }
+
+  keyring = { keys, activeKeyId };
+  return keyring;
+};
+
+/**
+ * Vérifier au démarrage que les clés de signature sont utilisables
+ */
+export const assertQrSigningConfigured = () => {
+  getKeyring();
+};
+
+/**
+ * Signer un contenu et produire le texte du QR code
+ */
+export const signQrPayload = (payload) => {
+  const { keys, activeKeyId } = getKeyring();
+
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signedPart = `${TOKEN_PREFIX}.${activeKeyId}.${body}`;
+  const signature = crypto.sign(null, Buffer.from(signedPart), keys.get(activeKeyId).privateKey);
+
+  return `${signedPart}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Vérifier un QR code signé
+ * Retourne { valid, payload, kid } ou { valid: false, error }
+ */
+export const verifyQrPayload = (token, expectedType) => {
+  if (typeof token !== 'string') {
+    return { valid: false, error: 'QR code invalide' };
+  }
+
+  const parts = token.split('.');
+
+  if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX) {
+    return { valid: false, error: 'QR code invalide' };
+  }
+
+  const [prefix, kid, body, signature] = parts;
+  const key = getKeyring().keys.get(kid);
+
+  if (!key) {
+    return { valid: false, error: 'Clé de signature du QR code inconnue' };
+  }
+
+  const isAuthentic = crypto.verify(
+    null,
+    Buffer.from(`${prefix}.${kid}.${body}`),
+    key.publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+
+  if (!isAuthentic) {
+    return { valid: false, error: 'QR code falsifié ou altéré' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'QR code invalide' };
+  }
+
+  if (expectedType && payload.t !== expectedType) {
+    return { valid: false, error: 'Type de QR code inattendu' };
+  }
+
+  return { valid: true, payload, kid };
+};
+
+/**
+ * Indiquer si un code est un QR code signé (et non un ancien identifiant)
+ */
+export const isSignedQrCode = (code) => typeof code === 'string' && code.startsWith(`${TOKEN_PREFIX}.`);
+
+/**
+ * Obtenir la date limite d'émission des anciens QR codes non signés
+ * Refusés par défaut: QR_LEGACY_CODES_ISSUED_BEFORE (date de mise en service de la signature)
+ * les réserve aux documents créés avant cette date, pendant la transition
+ * Retourne la date, ou null si les anciens codes sont refusés
+ */
+export const getLegacyQrCodeCutoff = () => {
+  const value = process.env.QR_LEGACY_CODES_ISSUED_BEFORE;
+  if (!value) return null;
+
+  const cutoff = new Date(value);
+  if (isNaN(cutoff.getTime())) {
+    console.error('❌ QR_LEGACY_CODES_ISSUED_BEFORE invalide (format attendu: AAAA-MM-JJ), anciens QR codes refusés');
+    return null;
+  }
+
+  return cutoff;
+};
+
+/**
+ * Construire le filtre de recherche d'un ancien QR code non signé
+ * Retourne { valid, filter } ou { valid: false, error }
+ */
+const getLegacyLookup = (qrCode) => {
+  const cutoff = getLegacyQrCodeCutoff();
+  if (!cutoff) return { valid: false, error: 'QR code invalide' };
+
+  return { valid: true, filter: { qrCode, createdAt: { $lt: cutoff } } };
+};
+
+/**
+ * Créer le QR code signé d'un achat
+ * Contenu: identifiant, fenêtre de validité (secondes) et nombre de billets
+ */
+export const createPurchaseQrCode = ({ id, validFrom, validUntil, itemCount }) => {
+  return signQrPayload({
+    t: QR_TYPES.PURCHASE,
+    i: id.toString(),
+    f: Math.floor(new Date(validFrom).getTime() / 1000),
+    u: Math.floor(new Date(validUntil).getTime() / 1000),
+    n: itemCount
+  });
+};
+
+/**
+ * Créer le QR code signé d'une œuvre
+ */
+export const createArtworkQrCode = ({ id }) => {
+  return signQrPayload({
+    t: QR_TYPES.ARTWORK,
+    i: id.toString()
+  });
+};
+
+/**
+ * Vérifier hors ligne le QR code d'un achat, fenêtre de validité comprise
+ * Retourne { valid, payload } ou { valid: false, error }
+ */
+export const verifyPurchaseQrCode = (token, now = new Date()) => {
+  const result = verifyQrPayload(token, QR_TYPES.PURCHASE);
+  if (!result.valid) return result;
+
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  if (nowSeconds > result.payload.u) {
+    return { valid: false, error: 'Achat expiré' };
+  }
+
+  if (nowSeconds < result.payload.f) {
+    return { valid: false, error: 'Achat pas encore valide' };
+  }
+
+  return result;
+};
+
+/**
+ * Signer un document JSON (ex: instantané pour les scanners hors ligne)
+ * La signature porte sur JSON.stringify(document)
+ */
+export const signDocument = (document) => {
+  const { keys, activeKeyId } = getKeyring();
+  const signature = crypto.sign(null, Buffer.from(JSON.stringify(document)), keys.get(activeKeyId).privateKey);
+
+  return {
+    kid: activeKeyId,
+    alg: 'EdDSA',
+    value: signature.toString('base64url')
+  };
+};
+
+/**
+ * Obtenir les clés publiques de vérification (format JWK) pour les scanners
+ */
+export const getPublicKeys = () => {
+  const { keys, activeKeyId } = getKeyring();
+
+  return [...keys.entries()].map(([kid, { publicKey }]) => ({
+    kid,
+    active: kid === activeKeyId,
+    ...publicKey.export({ format: 'jwk' })
+  }));
+};
+
+/**
+ * Générer l'image base64 d'un QR code
+ */
+export const generateQrImage = (text) => {
+  return QRCode.toDataURL(text, {
+    width: 300,
+    margin: 2,
+    color: {
+      dark: '#000000',
+      light: '#FFFFFF'
+    }
+  });
+};
+
+/**
+ * Vérifier le QR code d'un achat et construire le filtre de recherche MongoDB
+ * Les codes falsifiés et les valeurs non textuelles (opérateurs MongoDB) sont rejetés
+ * avant toute requête en base
+ * La date de référence permet de vérifier un scan effectué hors ligne
+ * Retourne { valid, filter } ou { valid: false, error }
+ */
+export const getPurchaseLookup = (qrCode, now = new Date()) => {
+  if (typeof qrCode !== 'string' || !qrCode) {
+    return { valid: false, error: 'QR code invalide' };
+  }
+
+  if (!isSignedQrCode(qrCode)) return getLegacyLookup(qrCode);
+
+  const result = verifyPurchaseQrCode(qrCode, now);
+  if (!result.valid) return result;
+
+  return { valid: true, filter: { _id: result.payload.i, qrCode } };
+};
+
+/**
+ * Vérifier le QR code d'une œuvre et construire le filtre de recherche MongoDB
+ * Retourne { valid, filter } ou { valid: false, error }
+ */
+export const getArtworkLookup = (qrCode) => {
+  if (typeof qrCode !== 'string' || !qrCode) {
+    return { valid: false, error: 'QR code invalide' };
+  }
+
+  if (!isSignedQrCode(qrCode)) return getLegacyLookup(qrCode);
+
+  const result = verifyQrPayload(qrCode, QR_TYPES.ARTWORK);
+  if (!result.valid) return result;
+
+  return { valid: true, filter: { _id: result.payload.i, qrCode } };
+};
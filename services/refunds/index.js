@@ -0,0 +1,130 @@
+/**
+ * Service de remboursement des achats
+ *
+ * Responsabilités:
+ * - Rembourser un achat en totalité ou billet par billet
+ * - Réserver le remboursement sur l'achat avant de le déclencher auprès du fournisseur de paiement
+ * - Tenir le registre des remboursements sur l'achat
+ * - Restituer le stock et corriger les statistiques de vente des billets
+ * - Prévenir le client par email
+ */
+
+import mongoose from 'mongoose';
+import { getPaymentProvider } from '../payments/index.js';
+import { releasePurchaseItems, reverseSalesStats } from '../inventory/index.js';
+import { notifyRefund } from '../notifications/index.js';
+
+/**
+ * Créer une erreur de remboursement portant le code HTTP à renvoyer
+ */
+export const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Vérifier et regrouper les articles demandés: [{ itemId, quantity }]
+ */
+const normalizeSelection = (purchase, items) => {
+  const quantities = new Map();
+
+  for (const { itemId, quantity } of items) {
+    const item = purchase.items.id(itemId);
+
+    if (!item) {
+      throw refundError(`Article ${itemId} introuvable dans l'achat`, 400);
+    }
+
+    const key = item._id.toString();
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+
+    const refundable = item.quantity - (item.refundedQuantity || 0);
+    if (quantities.get(key) > refundable) {
+      throw refundError(`Seuls ${refundable} billet(s) "${item.ticketType}" peuvent encore être remboursés`, 400);
+    }
+  }
+
+  return [...quantities].map(([itemId, quantity]) => ({ itemId, quantity }));
+};
+
+/**
+ * Rembourser un achat
+ * Sans articles, tous les billets non encore remboursés le sont
+ * Un achat payé puis annulé a déjà restitué son stock: seules les statistiques sont corrigées
+ */
+export const refundPurchasePayment = async (purchase, { items, reason = '', refundedBy, providerReference } = {}) => {
+  const wasPaid = purchase.status === 'confirmed' || (purchase.status === 'cancelled' && purchase.paidAt);
+
+  if (!wasPaid) {
+    throw refundError(`Impossible de rembourser un achat au statut "${purchase.status}"`, 409);
+  }
+
+  const refund = purchase.buildRefund(items?.length ? normalizeSelection(purchase, items) : null);
+
+  if (refund.quantity === 0) {
+    throw refundError('Cet achat a déjà été entièrement remboursé', 409);
+  }
+
+  // Les billets déjà utilisés à l'entrée ne peuvent pas être remboursés
+  const admittedCount = purchase.admittedCount || 0;
+  if (admittedCount > purchase.totalItems - (purchase.refundedItems || 0) - refund.quantity) {
+    throw refundError(`${admittedCount} billet(s) de cet achat ont déjà été utilisés à l'entrée`, 409);
+  }
+
+  // Réserver le remboursement avant d'appeler le fournisseur: deux demandes simultanées
+  // ne peuvent pas rembourser deux fois les mêmes billets
+  const refundId = new mongoose.Types.ObjectId();
+  const claimedPurchase = await purchase.claimRefund(reason, refund, { refundId, refundedBy });
+
+  if (!claimedPurchase) {
+    throw refundError('L\'achat a été modifié pendant le remboursement, veuillez réessayer', 409);
+  }
+
+  // Remboursement auprès du fournisseur, sauf s'il a déjà été effectué manuellement
+  if (!providerReference) {
+    try {
+      const result = await getPaymentProvider(purchase.paymentMethod).refundPayment(purchase, refund.amount);
+      providerReference = result.reference;
+    } catch (error) {
+      const rolledBack = await purchase.rollbackRefund(refundId, refund);
+      if (!rolledBack) {
+        console.error(`Remboursement ${refundId} de l'achat ${purchase._id} refusé mais non annulé`);
+      }
+      throw error;
+    }
+  }
+
+  const updatedPurchase = await purchase.completeRefund(refundId, providerReference);
+
+  if (!updatedPurchase) {
+    // Le fournisseur a remboursé: l'entrée reste en attente et doit être vérifiée
+    console.error(`Remboursement ${providerReference} effectué mais non finalisé sur l'achat ${purchase._id} (entrée ${refundId})`);
+    throw refundError('Remboursement effectué mais non finalisé, veuillez vérifier le registre de l\'achat', 500);
+  }
+
+  // Articles remboursés au format des articles d'achat (stock, créneau, statistiques)
+  const refundedItems = refund.items.map(refundItem => {
+    const item = purchase.items.id(refundItem.itemId);
+    return {
+      ticketId: item.ticketId,
+      quantity: refundItem.quantity,
+      totalPrice: item.unitPrice * refundItem.quantity,
+      slot: item.slot
+    };
+  });
+
+  if (purchase.status === 'confirmed') {
+    await releasePurchaseItems(refundedItems, { reverseStats: true });
+  } else {
+    await reverseSalesStats(refundedItems);
+  }
+
+  const refundEntry = updatedPurchase.refunds.id(refundId);
+  await notifyRefund(updatedPurchase, refundEntry);
+
+  return {
+    purchase: updatedPurchase,
+    refund: refundEntry
+  };
+};
@@ -0,0 +1,175 @@
+/**
+ * Service des sessions d'authentification
+ *
+ * Responsabilités:
+ * - Ouvrir une session par appareil à la connexion (paire access/refresh token)
+ * - Faire tourner le refresh token à chaque rafraîchissement
+ * - Détecter la réutilisation d'un refresh token et révoquer la session concernée
+ * - Révoquer une session, ou toutes les sessions d'un utilisateur
+ * - Refuser les sessions ouvertes avant un changement de mot de passe, de rôle ou d'activation
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../../models/Session.js';
+import User from '../../models/User.js';
+import { generateToken } from '../../middleware/auth.js';
+
+// Nombre d'anciens refresh tokens conservés par session pour la détection de réutilisation
+const MAX_PREVIOUS_TOKENS = 20;
+
+/**
+ * Créer une erreur de session portant le code HTTP à renvoyer
+ * et le code du message traduit renvoyé au client (services/i18n)
+ */
+export const sessionError = (message, statusCode, messageCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.messageCode = messageCode;
+  return error;
+};
+
+/**
+ * Durée de vie d'une session sans rafraîchissement (REFRESH_TOKEN_DAYS, 30 par défaut)
+ */
+const getRefreshTokenTtlMs = () => {
+  return (parseInt(process.env.REFRESH_TOKEN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Empreinte SHA-256 d'un secret de refresh token
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Découper un refresh token "<id de session>.<secret>"
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw sessionError('Refresh token invalide', 401, 'REFRESH_TOKEN_INVALID');
+  }
+
+  return { sessionId, secretHash: hashSecret(secret) };
+};
+
+/**
+ * Construire la paire de tokens renvoyée au client
+ */
+const buildTokenPair = (session, secret) => ({
+  token: generateToken(session.user, session._id, session.tokenVersion),
+  refreshToken: `${session._id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Ouvrir une session pour un appareil
+ * Retourne { token, refreshToken, refreshTokenExpiresAt }
+ */
+export const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    tokenVersion: user.tokenVersion || 0,
+    userAgent,
+    ipAddress,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs())
+  });
+
+  return buildTokenPair(session, secret);
+};
+
+/**
+ * Échanger un refresh token contre une nouvelle paire de tokens
+ * Le refresh token présenté est remplacé de façon atomique: il ne sert qu'une fois.
+ * Un token déjà remplacé présenté à nouveau signale un vol: la session est révoquée.
+ */
+export const rotateSession = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  const { sessionId, secretHash } = parseRefreshToken(refreshToken);
+  const now = new Date();
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: secretHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashSecret(secret),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+        ...(userAgent ? { userAgent } : {}),
+        ...(ipAddress ? { ipAddress } : {})
+      },
+      $push: { previousTokenHashes: { $each: [secretHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, previousTokenHashes: secretHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'reuse_detected' } }
+    );
+
+    if (reused) {
+      console.error(`Réutilisation d'un refresh token détectée: session ${sessionId} révoquée`);
+    }
+
+    throw sessionError('Refresh token invalide ou expiré', 401, 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const user = await User.findById(session.user).select('isActive tokenVersion');
+
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, session.user, 'logout');
+    throw sessionError('Compte désactivé', 401, 'ACCOUNT_DISABLED');
+  }
+
+  // Mot de passe, rôle ou activation modifiés depuis l'ouverture de la session
+  if ((session.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    await revokeSession(session._id, session.user, 'credentials_changed');
+    throw sessionError('Session expirée, veuillez vous reconnecter', 401, 'SESSION_EXPIRED');
+  }
+
+  return buildTokenPair(session, secret);
+};
+
+/**
+ * Révoquer une session d'un utilisateur
+ * Retourne true si une session active a été révoquée
+ */
+export const revokeSession = async (sessionId, userId, reason = 'logout') => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Révoquer toutes les sessions actives d'un utilisateur
+ * Retourne le nombre de sessions révoquées
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Lister les sessions actives d'un utilisateur (la plus récemment utilisée d'abord)
+ */
+export const listActiveSessions = (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
@@ -0,0 +1,68 @@
+/**
+ * Pilote de stockage sur le disque local
+ *
+ * Les fichiers publics sont écrits dans UPLOAD_DIR (uploads par défaut) et servis
+ * par le serveur sous /uploads. Les fichiers privés (guides audio) sont écrits dans
+ * PRIVATE_UPLOAD_DIR (private-uploads par défaut), qui n'est jamais servi directement.
+ * Les dossiers doivent être persistants en production.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import StorageDriver from './StorageDriver.js';
+
+export default class LocalStorageDriver extends StorageDriver {
+  constructor(rootDir = process.env.UPLOAD_DIR || 'uploads', { isPublic = true } = {}) {
+    super('local');
+    this.rootDir = path.resolve(rootDir);
+    this.isPublic = isPublic;
+  }
+
+  /**
+   * Chemin absolu d'une clé, sans sortir du dossier racine
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Clé de stockage invalide: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: this.getUrl(key), size: buffer.length };
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getUrl(key) {
+    if (!this.isPublic) return null;
+    return `${process.env.BASE_URL || 'http://localhost:5000'}/uploads/${key}`;
+  }
+
+  async stat(key) {
+    const { size } = await fs.stat(this.resolvePath(key));
+    return { size };
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    const filePath = this.resolvePath(key);
+
+    // Ouvrir le fichier avant de rendre le flux: un fichier absent est signalé ici
+    const handle = await fs.open(filePath, 'r');
+    return handle.createReadStream({ start, end });
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Interface commune des pilotes de stockage de fichiers
+ *
+ * Responsabilités:
+ * - Définir le contrat que chaque pilote (disque local, stockage compatible S3...) doit respecter
+ * - Identifier les fichiers par une clé relative (ex: "artworks/<id>/<image>/large.webp")
+ * - Relire un fichier, en entier ou par plage d'octets (diffusion des guides audio)
+ */
+
+export default class StorageDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Enregistrer un fichier { contentType }
+   * Retourne { key, url, size }
+   */
+  async put(key, buffer, options = {}) {
+    throw new Error(`put non implémenté pour le pilote de stockage ${this.name}`);
+  }
+
+  /**
+   * Supprimer un fichier (sans erreur s'il n'existe plus)
+   */
+  async delete(key) {
+    throw new Error(`delete non implémenté pour le pilote de stockage ${this.name}`);
+  }
+
+  /**
+   * URL publique d'un fichier (null pour un stockage privé)
+   */
+  getUrl(key) {
+    throw new Error(`getUrl non implémenté pour le pilote de stockage ${this.name}`);
+  }
+
+  /**
+   * Informations sur un fichier stocké
+   * Retourne { size }
+   */
+  async stat(key) {
+    throw new Error(`stat non implémenté pour le pilote de stockage ${this.name}`);
+  }
+
+  /**
+   * Flux de lecture d'un fichier, limité aux octets start à end inclus s'ils sont fournis
+   */
+  async createReadStream(key, { start, end } = {}) {
+    throw new Error(`createReadStream non implémenté pour le pilote de stockage ${this.name}`);
+  }
+}
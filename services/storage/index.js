@@ -0,0 +1,50 @@
+/**
+ * Service de stockage des fichiers envoyés
+ *
+ * Responsabilités:
+ * - Choisir le pilote de stockage selon STORAGE_DRIVER (local par défaut)
+ * - Séparer les fichiers publics (images) des fichiers privés (guides audio, diffusés par l'API)
+ * - Partager une instance unique du pilote par espace entre les routes et les services
+ */
+
+import LocalStorageDriver from './LocalStorageDriver.js';
+
+// Espaces de stockage: public (servi tel quel) ou private (accessible uniquement via l'API)
+export const STORAGE_AREAS = ['public', 'private'];
+
+const storageDrivers = {};
+
+/**
+ * Créer le pilote de stockage configuré pour un espace
+ */
+export const createStorageDriver = (name = process.env.STORAGE_DRIVER, area = 'public') => {
+  if (!STORAGE_AREAS.includes(area)) {
+    throw new Error(`Espace de stockage inconnu: ${area}`);
+  }
+
+  switch (name) {
+    case 'local':
+    case undefined:
+    case '':
+      return area === 'private'
+        ? new LocalStorageDriver(process.env.PRIVATE_UPLOAD_DIR || 'private-uploads', { isPublic: false })
+        : new LocalStorageDriver();
+    default:
+      throw new Error(`Pilote de stockage non supporté: ${name}`);
+  }
+};
+
+/**
+ * Obtenir le pilote de stockage courant d'un espace
+ */
+export const getStorageDriver = (area = 'public') => {
+  if (!storageDrivers[area]) storageDrivers[area] = createStorageDriver(undefined, area);
+  return storageDrivers[area];
+};
+
+/**
+ * Remplacer le pilote de stockage d'un espace (tests, scripts)
+ */
+export const setStorageDriver = (driver, area = 'public') => {
+  storageDrivers[area] = driver;
+};
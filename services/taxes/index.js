@@ -0,0 +1,77 @@
+/**
+ * Service de calcul des taxes
+ *
+ * Responsabilités:
+ * - Choisir la règle de taxe applicable à chaque catégorie de billets
+ * - Calculer la taxe de chaque article, prix taxes comprises ou hors taxes
+ * - Figer taux et montants sur l'achat: un changement de règle ne modifie
+ *   jamais un achat existant
+ */
+
+import TaxRule from '../../models/TaxRule.js';
+
+// Règle appliquée lorsqu'aucune règle n'est en vigueur (TVA sénégalaise)
+export const DEFAULT_TAX_RULE = { rate: 18, pricing: 'exclusive' };
+
+/**
+ * Choisir la règle d'une catégorie parmi les règles en vigueur
+ * Une règle propre à la catégorie l'emporte sur la règle par défaut
+ * (à catégorie égale, la plus récente l'emporte)
+ */
+export const resolveTaxRule = (rules, category) => {
+  const byEffectiveDate = [...rules].sort((a, b) => b.effectiveFrom - a.effectiveFrom);
+
+  return byEffectiveDate.find(rule => rule.category === category) ||
+         byEffectiveDate.find(rule => !rule.category) ||
+         DEFAULT_TAX_RULE;
+};
+
+/**
+ * Calculer la taxe d'un montant net (après réduction), arrondie au franc
+ */
+export const computeItemTax = (netAmount, rule) => {
+  const rate = rule.rate / 100;
+
+  const taxAmount = rule.pricing === 'inclusive'
+    ? netAmount - netAmount / (1 + rate)
+    : netAmount * rate;
+
+  return Math.round(taxAmount);
+};
+
+/**
+ * Appliquer les taxes en vigueur aux articles d'un achat
+ * Chaque article reçoit taxRate, taxInclusive et taxAmount; sa réduction
+ * éventuelle (discountAmount) est déduite avant le calcul
+ * Retourne { items, tax, total }
+ */
+export const applyTaxes = async (items, { discount = 0, at = new Date(), session = null } = {}) => {
+  const rules = await TaxRule.findEffective(at, session);
+
+  let tax = 0;
+  let exclusiveTax = 0;
+
+  const taxedItems = items.map(item => {
+    const rule = resolveTaxRule(rules, item.category);
+    const netAmount = item.totalPrice - (item.discountAmount || 0);
+    const taxAmount = computeItemTax(netAmount, rule);
+
+    tax += taxAmount;
+    if (rule.pricing !== 'inclusive') exclusiveTax += taxAmount;
+
+    return {
+      ...item,
+      taxRate: rule.rate,
+      taxInclusive: rule.pricing === 'inclusive',
+      taxAmount
+    };
+  });
+
+  const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  return {
+    items: taxedItems,
+    tax,
+    total: subtotal - discount + exclusiveTax
+  };
+};
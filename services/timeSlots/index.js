@@ -0,0 +1,157 @@
+/**
+ * Service des créneaux horaires
+ *
+ * Responsabilités:
+ * - Générer les créneaux d'un billet à partir de ses horaires d'ouverture
+ * - Calculer la disponibilité des créneaux sur une période
+ * - Réserver et libérer des places sur un créneau
+ * - Vérifier qu'une entrée a lieu pendant le créneau réservé (tolérance comprise)
+ *
+ * Les horaires sont exprimés en heure de Dakar, qui correspond à UTC.
+ */
+
+import SlotBooking from '../../models/SlotBooking.js';
+
+// Période maximale consultable en une requête
+export const MAX_AVAILABILITY_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tolérance d'entrée autour d'un créneau en millisecondes
+ * (SLOT_ADMISSION_GRACE_MINUTES, 15 par défaut, 0 pour aucune tolérance)
+ */
+export const getSlotGraceMs = () => {
+  const minutes = parseInt(process.env.SLOT_ADMISSION_GRACE_MINUTES);
+  return (Number.isNaN(minutes) ? 15 : minutes) * 60 * 1000;
+};
+
+/**
+ * Convertir une heure "HH:MM" en minutes depuis minuit
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Générer les créneaux d'un billet entre deux dates (bornes incluses, par jour)
+ */
+export const generateSlots = (ticket, from, to) => {
+  const { enabled, slotDurationMinutes, openingHours } = ticket.timeSlots || {};
+  if (!enabled) return [];
+
+  const slots = [];
+  const firstDay = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  const lastDay = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate());
+
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+    const dayOfWeek = new Date(day).getUTCDay();
+
+    for (const hours of openingHours.filter(entry => entry.dayOfWeek === dayOfWeek)) {
+      const close = toMinutes(hours.close);
+
+      for (let start = toMinutes(hours.open); start + slotDurationMinutes <= close; start += slotDurationMinutes) {
+        slots.push({
+          startsAt: new Date(day + start * 60 * 1000),
+          endsAt: new Date(day + (start + slotDurationMinutes) * 60 * 1000)
+        });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Retrouver le créneau d'un billet commençant à une date donnée
+ * Retourne null si la date ne correspond à aucun créneau
+ */
+export const findSlot = (ticket, startsAt) => {
+  const date = new Date(startsAt);
+  if (isNaN(date.getTime())) return null;
+
+  return generateSlots(ticket, date, date)
+    .find(slot => slot.startsAt.getTime() === date.getTime()) || null;
+};
+
+/**
+ * Calculer la disponibilité des créneaux d'un billet sur une période
+ */
+export const getAvailability = async (ticket, from, to) => {
+  const slots = generateSlots(ticket, from, to);
+  if (slots.length === 0) return [];
+
+  const bookings = await SlotBooking.find({
+    ticket: ticket._id,
+    startsAt: { $gte: slots[0].startsAt, $lte: slots[slots.length - 1].startsAt }
+  });
+
+  const reservedByStart = new Map(
+    bookings.map(booking => [booking.startsAt.getTime(), booking.reserved])
+  );
+
+  const capacity = ticket.timeSlots.capacityPerSlot;
+  const now = new Date();
+
+  return slots
+    .filter(slot => slot.endsAt > now)
+    .map(slot => {
+      const reserved = reservedByStart.get(slot.startsAt.getTime()) || 0;
+      return {
+        ...slot,
+        capacity,
+        reserved,
+        available: Math.max(capacity - reserved, 0)
+      };
+    });
+};
+
+/**
+ * Réserver des places sur un créneau
+ * Retourne false si la capacité du créneau serait dépassée
+ */
+export const reserveSlot = async (ticket, slot, quantity, session = null) => {
+  const booking = await SlotBooking.reserve(
+    ticket._id,
+    slot.startsAt,
+    slot.endsAt,
+    quantity,
+    ticket.timeSlots.capacityPerSlot,
+    session
+  );
+
+  return Boolean(booking);
+};
+
+/**
+ * Libérer des places sur un créneau
+ */
+export const releaseSlot = (ticketId, startsAt, quantity) => {
+  return SlotBooking.release(ticketId, startsAt, quantity);
+};
+
+/**
+ * Fenêtre d'entrée d'un créneau: du début moins la tolérance à la fin plus la tolérance
+ */
+export const getSlotAdmissionWindow = (slot) => {
+  const graceMs = getSlotGraceMs();
+
+  return {
+    from: new Date(new Date(slot.startsAt).getTime() - graceMs),
+    until: new Date(new Date(slot.endsAt).getTime() + graceMs)
+  };
+};
+
+/**
+ * Indiquer si une entrée à cette date est permise par les créneaux des articles d'un achat
+ * Un article sans créneau permet l'entrée pendant toute la validité de l'achat
+ */
+export const isWithinSlotWindows = (items, at) => {
+  if (items.some(item => !item.slot?.startsAt)) return true;
+
+  return items.some(item => {
+    const { from, until } = getSlotAdmissionWindow(item.slot);
+    return at >= from && at <= until;
+  });
+};
@@ -0,0 +1,48 @@
+/**
+ * Service des comptes utilisateurs
+ *
+ * Responsabilités:
+ * - Changer le rôle ou l'activation d'un compte sans retirer le dernier administrateur actif
+ * - Invalider les tokens d'un compte dont les droits changent
+ */
+
+import User from '../../models/User.js';
+
+/**
+ * Indiquer si un compte est un administrateur actif
+ */
+export const isActiveAdmin = ({ role, isActive }) => role === 'admin' && isActive;
+
+/**
+ * Changer le rôle ou l'activation d'un compte sans retirer le dernier administrateur actif
+ * La modification est appliquée puis annulée s'il ne reste plus d'administrateur actif:
+ * deux retraits simultanés ne peuvent pas laisser la plateforme sans administrateur
+ * Retourne { user } ou { conflict } (message à renvoyer avec un 409)
+ */
+export const applyAccessChange = async (user, changes) => {
+  const previous = { role: user.role, isActive: user.isActive };
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, ...previous },
+    { $set: changes },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    return { conflict: 'Le compte a été modifié entre-temps, veuillez réessayer' };
+  }
+
+  if (isActiveAdmin(previous) && !isActiveAdmin(updated)) {
+    const remainingAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+
+    if (remainingAdmins === 0) {
+      await User.updateOne({ _id: user._id, ...changes }, { $set: previous });
+      return { conflict: 'Impossible de retirer le dernier administrateur actif' };
+    }
+  }
+
+  // Le changement de rôle ou d'activation invalide les tokens existants (version des tokens)
+  return {
+    user: await User.findByIdAndUpdate(user._id, { $inc: { tokenVersion: 1 } }, { new: true })
+  };
+};
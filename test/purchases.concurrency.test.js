@@ -0,0 +1,73 @@
+/**
+ * Achats simultanés sur un billet à stock limité
+ *
+ * Vérifie que la transaction de createPurchase ne survend jamais un billet:
+ * autant d'achats réussis que d'unités en stock, et un stock final jamais négatif.
+ * La base est un replica set à un nœud en mémoire (les transactions l'exigent).
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import Ticket from '../models/Ticket.js';
+import Purchase from '../models/Purchase.js';
+import { createPurchase } from '../services/purchases/index.js';
+
+const STOCK = 5;
+const BUYERS = 20;
+
+let replSet;
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+
+  // Les collections ne peuvent pas être créées en parallèle dans des transactions concurrentes
+  await mongoose.connection.syncIndexes();
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+test('les achats simultanés ne dépassent jamais le stock du billet', async () => {
+  const ticket = await Ticket.create({
+    type: 'Entrée générale',
+    description: 'Billet d\'entrée au stock limité',
+    price: 5000,
+    stock: STOCK,
+    category: 'Entrée',
+    createdBy: new mongoose.Types.ObjectId()
+  });
+
+  const results = await Promise.allSettled(
+    Array.from({ length: BUYERS }, (_, index) => createPurchase({
+      userId: new mongoose.Types.ObjectId(),
+      customer: {
+        firstName: 'Visiteur',
+        lastName: `Numéro ${index}`,
+        email: `visiteur${index}@example.com`
+      },
+      items: [{ ticketId: ticket._id.toString(), quantity: 1 }],
+      paymentMethod: 'cash'
+    }))
+  );
+
+  const succeeded = results.filter(result => result.status === 'fulfilled');
+  const failed = results.filter(result => result.status === 'rejected');
+
+  assert.equal(succeeded.length, STOCK);
+
+  // Les refus sont des ruptures de stock, pas des erreurs de transaction
+  for (const { reason } of failed) {
+    assert.equal(reason.statusCode, 400, reason.message);
+  }
+
+  const updatedTicket = await Ticket.findById(ticket._id);
+  assert.equal(updatedTicket.stock, 0);
+  assert.equal(updatedTicket.purchaseCount, STOCK);
+
+  assert.equal(await Purchase.countDocuments({ 'items.ticketId': ticket._id }), STOCK);
+});
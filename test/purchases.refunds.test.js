@@ -0,0 +1,103 @@
+/**
+ * Achats partiellement remboursés
+ *
+ * Vérifie qu'un achat déjà remboursé ne peut plus être annulé (ses billets remboursés
+ * seraient restitués deux fois au stock) et que l'instantané des scanners hors ligne
+ * ne compte pas les entrées remboursées.
+ * Les accès à la base sont simulés sur le modèle Purchase.
+ */
+
+import { afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Purchase from '../models/Purchase.js';
+import { buildSnapshot } from '../services/admissions/sync.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Achat confirmé de 3 billets dont 1 remboursé
+ */
+const partiallyRefundedPurchase = () => {
+  const itemId = new mongoose.Types.ObjectId();
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'confirmed',
+    qrCode: 'MCN1.dev.contenu.signature',
+    validFrom: new Date(Date.now() - DAY),
+    validUntil: new Date(Date.now() + DAY),
+    items: [{
+      _id: itemId,
+      ticketId: new mongoose.Types.ObjectId(),
+      ticketType: 'Entrée générale',
+      category: 'Entrée',
+      quantity: 3,
+      unitPrice: 1000,
+      totalPrice: 3000,
+      refundedQuantity: 1
+    }],
+    total: 3000,
+    refundedAmount: 1000,
+    refundedItems: 1,
+    admittedCount: 0,
+    refunds: [{ amount: 1000, items: [{ itemId, quantity: 1, amount: 1000 }], status: 'completed' }]
+  };
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('un achat partiellement remboursé ne peut pas être annulé', async () => {
+  const updateOne = mock.method(Purchase, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const purchase = new Purchase(partiallyRefundedPurchase());
+
+  await assert.rejects(purchase.cancelPurchase('Changement de programme'), /déjà remboursé/);
+  assert.equal(updateOne.mock.callCount(), 0);
+  assert.equal(purchase.status, 'confirmed');
+});
+
+test('l\'annulation échoue si un remboursement est réservé entre-temps', async () => {
+  const updateOne = mock.method(Purchase, 'updateOne', async () => ({ modifiedCount: 0 }));
+  const purchase = new Purchase({ ...partiallyRefundedPurchase(), refunds: [], refundedItems: 0, refundedAmount: 0 });
+
+  assert.equal(await purchase.cancelPurchase('Changement de programme'), null);
+  assert.equal(purchase.status, 'confirmed');
+
+  // La mise à jour n'a lieu que si l'achat est encore confirmé et sans remboursement
+  const [filter] = updateOne.mock.calls[0].arguments;
+  assert.equal(filter.status, 'confirmed');
+  assert.deepEqual(filter['refunds.0'], { $exists: false });
+});
+
+test('un achat sans remboursement est annulé', async () => {
+  mock.method(Purchase, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const purchase = new Purchase({ ...partiallyRefundedPurchase(), refunds: [], refundedItems: 0, refundedAmount: 0 });
+
+  const cancelled = await purchase.cancelPurchase('Changement de programme');
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.match(cancelled.notes, /Annulé: Changement de programme/);
+});
+
+test('l\'instantané hors ligne déduit les billets remboursés des entrées restantes', async () => {
+  const data = partiallyRefundedPurchase();
+
+  // Projection simulée: seuls les champs sélectionnés sont chargés, comme avec MongoDB
+  mock.method(Purchase, 'find', () => ({
+    select: async (fields) => {
+      const projected = { _id: data._id };
+      for (const field of fields.split(' ')) {
+        projected[field] = data[field];
+      }
+      return [new Purchase(projected)];
+    }
+  }));
+
+  const { snapshot } = await buildSnapshot(new Date(), 'scanner-1');
+
+  assert.equal(snapshot.purchases.length, 1);
+  assert.equal(snapshot.purchases[0].totalItems, 3);
+  assert.equal(snapshot.purchases[0].remainingAdmissions, 2);
+});
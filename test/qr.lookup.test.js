@@ -0,0 +1,112 @@
+/**
+ * Recherche des achats par QR code
+ *
+ * Vérifie qu'aucune valeur non textuelle (opérateur MongoDB) ni aucun code falsifié
+ * n'atteint la base, et que les anciens codes non signés ne sont acceptés qu'avant
+ * la date limite configurée.
+ */
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createPurchaseQrCode, getArtworkLookup, getPurchaseLookup } from '../services/qr/index.js';
+import { validateQrCode } from '../middleware/validation.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Exécuter une chaîne de validation comme le ferait Express
+ * Retourne { status, body } si la requête est refusée, sinon { next: true }
+ */
+const runValidation = async (chain, body) => {
+  const req = { body, headers: {} };
+  const outcome = {};
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(payload) {
+      outcome.body = payload;
+    }
+  };
+
+  for (const middleware of chain) {
+    let called = false;
+    await middleware(req, res, () => { called = true; });
+    if (!called) return outcome;
+  }
+
+  return { next: true };
+};
+
+afterEach(() => {
+  delete process.env.QR_LEGACY_CODES_ISSUED_BEFORE;
+});
+
+test('un QR code non textuel est refusé avant toute requête en base', () => {
+  for (const qrCode of [{ $ne: null }, ['PUR1'], 42, null, undefined, '']) {
+    assert.deepEqual(getPurchaseLookup(qrCode), { valid: false, error: 'QR code invalide' });
+    assert.deepEqual(getArtworkLookup(qrCode), { valid: false, error: 'QR code invalide' });
+  }
+});
+
+test('la validation d\'un billet refuse un QR code non textuel avec un 400', async () => {
+  const rejected = await runValidation(validateQrCode, { qrCode: { $ne: null } });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.errors[0].code, 'QR_CODE_INVALID');
+
+  const empty = await runValidation(validateQrCode, { qrCode: '   ' });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.errors[0].code, 'QR_CODE_REQUIRED');
+
+  assert.deepEqual(await runValidation(validateQrCode, { qrCode: 'PUR123' }), { next: true });
+});
+
+test('les anciens QR codes non signés sont refusés par défaut', () => {
+  assert.equal(getPurchaseLookup('PUR1700000000000ABCDE').valid, false);
+  assert.equal(getArtworkLookup('QR1700000000000ABCDE').valid, false);
+});
+
+test('les anciens QR codes ne visent que les documents créés avant la date limite', () => {
+  process.env.QR_LEGACY_CODES_ISSUED_BEFORE = '2026-10-19';
+
+  const lookup = getPurchaseLookup('PUR1700000000000ABCDE');
+
+  assert.equal(lookup.valid, true);
+  assert.deepEqual(lookup.filter, {
+    qrCode: 'PUR1700000000000ABCDE',
+    createdAt: { $lt: new Date('2026-10-19') }
+  });
+});
+
+test('une date limite invalide refuse les anciens QR codes', () => {
+  process.env.QR_LEGACY_CODES_ISSUED_BEFORE = 'pas-une-date';
+
+  assert.equal(getPurchaseLookup('PUR1700000000000ABCDE').valid, false);
+});
+
+test('un QR code signé est vérifié puis recherché par identifiant', () => {
+  const id = new mongoose.Types.ObjectId();
+  const qrCode = createPurchaseQrCode({
+    id,
+    validFrom: new Date(Date.now() - DAY),
+    validUntil: new Date(Date.now() + DAY),
+    itemCount: 2
+  });
+
+  const lookup = getPurchaseLookup(qrCode);
+  assert.equal(lookup.valid, true);
+  assert.deepEqual(lookup.filter, { _id: id.toString(), qrCode });
+
+  // Contenu modifié: la signature ne correspond plus
+  const [prefix, kid, payload, signature] = qrCode.split('.');
+  const forged = [prefix, kid, `${payload}A`, signature].join('.');
+  assert.equal(getPurchaseLookup(forged).valid, false);
+
+  // Fenêtre de validité dépassée
+  assert.deepEqual(getPurchaseLookup(qrCode, new Date(Date.now() + 2 * DAY)), {
+    valid: false,
+    error: 'Achat expiré'
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Administrateurs de la plateforme
+ *
+ * Vérifie que le dernier administrateur actif ne peut être ni rétrogradé ni désactivé,
+ * et que le démarrage ne rétablit pas le rôle de l'admin par défaut modifié via l'API.
+ * Les accès à la base sont simulés sur le modèle User.
+ */
+
+import { afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { applyAccessChange } from '../services/users/index.js';
+
+const admin = () => ({ _id: new mongoose.Types.ObjectId(), role: 'admin', isActive: true });
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.ADMIN_EMAIL;
+});
+
+test('le dernier administrateur actif ne peut pas être rétrogradé', async () => {
+  const user = admin();
+  mock.method(User, 'findOneAndUpdate', async () => ({ ...user, role: 'cashier' }));
+  mock.method(User, 'countDocuments', async () => 0);
+  const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const findByIdAndUpdate = mock.method(User, 'findByIdAndUpdate', async () => null);
+
+  const result = await applyAccessChange(user, { role: 'cashier' });
+
+  assert.equal(result.conflict, 'Impossible de retirer le dernier administrateur actif');
+
+  // Le changement est annulé et les tokens ne sont pas invalidés
+  assert.deepEqual(updateOne.mock.calls[0].arguments, [
+    { _id: user._id, role: 'cashier' },
+    { $set: { role: 'admin', isActive: true } }
+  ]);
+  assert.equal(findByIdAndUpdate.mock.callCount(), 0);
+});
+
+test('le dernier administrateur actif ne peut pas être désactivé', async () => {
+  const user = admin();
+  mock.method(User, 'findOneAndUpdate', async () => ({ ...user, isActive: false }));
+  mock.method(User, 'countDocuments', async () => 0);
+  const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const result = await applyAccessChange(user, { isActive: false });
+
+  assert.equal(result.conflict, 'Impossible de retirer le dernier administrateur actif');
+  assert.equal(updateOne.mock.callCount(), 1);
+});
+
+test('un administrateur est rétrogradé s\'il en reste un autre actif', async () => {
+  const user = admin();
+  mock.method(User, 'findOneAndUpdate', async () => ({ ...user, role: 'cashier' }));
+  mock.method(User, 'countDocuments', async () => 1);
+  const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const findByIdAndUpdate = mock.method(User, 'findByIdAndUpdate', async () => ({ ...user, role: 'cashier', tokenVersion: 1 }));
+
+  const result = await applyAccessChange(user, { role: 'cashier' });
+
+  assert.equal(result.user.role, 'cashier');
+  assert.equal(updateOne.mock.callCount(), 0);
+  assert.deepEqual(findByIdAndUpdate.mock.calls[0].arguments[1], { $inc: { tokenVersion: 1 } });
+});
+
+test('un compte modifié entre-temps est signalé en conflit', async () => {
+  mock.method(User, 'findOneAndUpdate', async () => null);
+  const countDocuments = mock.method(User, 'countDocuments', async () => 0);
+
+  const result = await applyAccessChange(admin(), { role: 'user' });
+
+  assert.equal(result.conflict, 'Le compte a été modifié entre-temps, veuillez réessayer');
+  assert.equal(countDocuments.mock.callCount(), 0);
+});
+
+test('le démarrage conserve le rôle de l\'admin par défaut rétrogradé via l\'API', async () => {
+  process.env.ADMIN_EMAIL = 'admin@example.com';
+  const demoted = new User({ email: 'admin@example.com', role: 'cashier', emailVerified: true });
+  const save = mock.method(demoted, 'save', async () => demoted);
+  mock.method(User, 'findOne', async () => demoted);
+  mock.method(console, 'log', () => {});
+
+  await User.createDefaultAdmin();
+
+  assert.equal(demoted.role, 'cashier');
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('le démarrage migre un admin par défaut au rôle inconnu et non vérifié', async () => {
+  process.env.ADMIN_EMAIL = 'admin@example.com';
+  const legacy = new User({ email: 'admin@example.com', emailVerified: false });
+  legacy.set('role', 'superadmin', { strict: false });
+  const save = mock.method(legacy, 'save', async () => legacy);
+  mock.method(User, 'findOne', async () => legacy);
+  mock.method(console, 'log', () => {});
+
+  await User.createDefaultAdmin();
+
+  assert.equal(legacy.role, 'admin');
+  assert.equal(legacy.emailVerified, true);
+  assert.equal(save.mock.callCount(), 1);
+});